@@ -6,14 +6,13 @@
  * manage message history with proper synchronization and error handling.
  * 
  * Core Responsibilities:
- * - Persistent message storage using JSON files
  * - Message ID generation and management
  * - Message retrieval with timestamp filtering
  * - Chat history maintenance and cleanup
  * 
  * Technical Implementation:
- * - Uses file system for persistent storage
- * - Implements atomic file operations
+ * - Persists messages through the configured store (JSON files or SQLite,
+ *   see services/storage/index.js)
  * - Maintains separate incoming/outgoing queues
  * - Provides message synchronization
  * 
@@ -21,76 +20,95 @@
  * - Unique message ID generation
  * - Timestamp-based message filtering
  * - Separate incoming/outgoing message queues
- * - Atomic file operations
- * - Error handling and recovery
+ * - Interchangeable storage backends
  * 
  * Attributes:
- *     filePath (string): Path to the chat history JSON file
- *         - Stores the absolute path to the storage file
- *         - Uses the current directory as base
+ *     store (Object): Storage backend the messages are persisted to
  *     messageCounter (Object): Counters for message IDs
  *         - incoming (number): Counter for incoming message IDs
  *         - outgoing (number): Counter for outgoing message IDs
  * 
  * Methods:
- *     initialize(): Initialize storage and message counters
- *         - Creates storage file if not exists
- *         - Initializes message counters
- *         - Recovers from any existing data
+ *     initialize(): Initialize message counters
+ *         - Continues numbering after the highest stored message ID, or after the
+ *           IDs handed out before the history was last cleared
  * 
  *     clearMessages(): Clear all stored messages
- *         - Resets message counters
- *         - Clears storage file
- *         - Maintains file structure
+ *         - Keeps the message counters, so an ID is never given to two messages
+ *           (outbox items still waiting to be delivered refer to them by ID)
+ *         - Clears the store
  * 
  *     getMaxMessageId(messages, prefix): Get highest message ID for a type
  *         - Scans message array for highest ID
  *         - Handles missing or invalid IDs
  *         - Returns next available ID
  * 
- *     readMessages(): Read messages from storage
- *         - Reads JSON file atomically
- *         - Parses message data
- *         - Handles file read errors
- * 
- *     saveMessages(data): Save messages to storage
- *         - Writes JSON file atomically
- *         - Ensures data integrity
- *         - Handles write errors
- * 
- *     addIncomingMessage(from, content): Add a new incoming message
+ *     addIncomingMessage(from, content, metadata): Add a new incoming message
  *         - Generates unique message ID
  *         - Adds timestamp
+ *         - Stores optional metadata (e.g. the WhatsApp message id as `wamid`)
  *         - Updates storage
  * 
- *     addOutgoingMessage(to, content): Add a new outgoing message
+ *     hasMessage(wamid): Check whether a WhatsApp message id is already stored
+ * 
+ *     getServiceWindow(phone): Whether the 24-hour customer service window is open
+ *         - Opened by the customer's last incoming message
+ *         - Returns { open, lastIncomingAt, expiresAt }
+ *         - Outside it WhatsApp only accepts template messages
+ * 
+ *     updateMessageStatus(wamid, status, { timestamp, error }): Apply a delivery receipt
+ *         - sent → delivered → read; late or repeated receipts never move a message back
+ *         - failed is always applied and keeps the WhatsApp error
+ *         - Returns the updated message, or null if nothing changed
+ * 
+ *     addOutgoingMessage(to, content, metadata): Add a new outgoing message
  *         - Generates unique message ID
  *         - Adds timestamp
+ *         - Stores optional metadata (e.g. the related ticketNumber)
+ *         - Starts as queued until the outbound queue delivers it
  *         - Updates storage
  * 
+ *     markSent(id, wamid): Record that the outbound queue delivered a message
+ *         - Stores the WhatsApp message id so receipts can be matched to it
+ * 
+ *     markFailed(id, error): Record that delivery was given up (dead-lettered)
+ * 
+ *     markQueued(id): Put a failed message back to queued when it is replayed
+ * 
  *     getMessagesSince(timestamp): Get messages after a timestamp
  *         - Filters messages by timestamp
  *         - Returns both incoming and outgoing
  *         - Sorts messages chronologically
  * 
+ *     getConversationMessages(phone, { before, limit }): Page through one customer's thread
+ *         - Incoming and outgoing messages together, in the order they were stored
+ *         - Returns the `limit` messages before the message id `before` (or the latest
+ *           ones) as { messages, hasMore }, or null when `before` isn't in the thread
+ * 
  *     getAllMessages(): Get all stored messages
  *         - Retrieves complete message history
  *         - Returns structured message object
  *         - Maintains message order
  * 
+ * Events:
+ *     messageAdded (message, direction): Emitted after a message was stored
+ *     messageUpdated (message): Emitted after the status of an outgoing message changed
+ * 
  * Error Handling:
- * - Handles file system errors
- * - Provides data recovery
- * - Maintains data integrity
+ * - Propagates store errors to the caller
  * - Logs detailed error information
  * 
- * Storage Format:
+ * Message Format (JSON store layout shown):
  * {
  *     "messages": {
  *         "incoming": [
  *             {
  *                 "id": "msg_in_1",
+ *                 "seq": 1,                         // Store order, shared by both directions
+ *                 "wamid": "wamid.HBgL...",         // WhatsApp message id
+ *                 "type": "text",
  *                 "from": "phone_number",
+ *                 "customerName": "Thandi",         // WhatsApp profile name, when sent
  *                 "content": "message_text",
  *                 "timestamp": "ISO_date_string",
  *                 "status": "received"
@@ -99,26 +117,40 @@
  *         "outgoing": [
  *             {
  *                 "id": "msg_out_1",
+ *                 "seq": 2,
+ *                 "wamid": "wamid.HBgL...",         // Id returned by the Graph API
  *                 "to": "phone_number",
  *                 "content": "message_text",
  *                 "timestamp": "ISO_date_string",
- *                 "status": "sent"
+ *                 "status": "sent",                 // queued, sent, delivered, read or failed
+ *                 "statusUpdatedAt": "ISO_date_string",
+ *                 "statusTimes": { "delivered": "ISO_date_string" },
+ *                 "error": { "code": 131047, "title": "..." },  // Only when failed
+ *                 "sentBy": "agent",                // bot, agent or system (notifications and notices)
+ *                 "agent": "thandi",                // Only when an agent sent it
+ *                 "agentName": "Thandi S",
+ *                 "ticketNumber": "CLD-2026-00042"   // Only on ticket notifications
  *             }
  *         ]
  *     }
  * }
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { EventEmitter } from 'events';
+
+// Receipts can arrive out of order; a message never moves back to an earlier status
+const STATUS_ORDER = { sent: 1, delivered: 2, read: 3 };
+
+// Thread order: the order the messages were stored in, whatever their timestamps
+export const THREAD_ORDER = (a, b) => a.seq - b.seq;
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Free-form messages are only allowed within 24 hours of the customer's last message
+export const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
 
-class MessageStorage {
-    constructor() {
-        this.filePath = path.join(__dirname, 'chatHistory.json');
+class MessageStorage extends EventEmitter {
+    constructor({ store }) {
+        super();
+        this.store = store;
         this.messageCounter = {
             incoming: 1,
             outgoing: 1
@@ -126,40 +158,16 @@ class MessageStorage {
     }
 
     async initialize() {
-        try {
-            const data = await this.readMessages();
-            // Initialize counters based on existing messages
-            this.messageCounter.incoming = this.getMaxMessageId(data.messages.incoming, 'msg_in_') + 1;
-            this.messageCounter.outgoing = this.getMaxMessageId(data.messages.outgoing, 'msg_out_') + 1;
-        } catch (error) {
-            // If file doesn't exist, create it with empty structure
-            await this.saveMessages({
-                messages: {
-                    incoming: [],
-                    outgoing: []
-                }
-            });
-        }
+        const messages = await this.store.getMessages();
+        const cleared = await this.store.getMessageCounters();
+        // Continue after the existing messages and the IDs used before the last clear
+        this.messageCounter.incoming = Math.max(this.getMaxMessageId(messages.incoming, 'msg_in_') + 1, cleared.incoming || 1);
+        this.messageCounter.outgoing = Math.max(this.getMaxMessageId(messages.outgoing, 'msg_out_') + 1, cleared.outgoing || 1);
     }
 
     async clearMessages() {
         try {
-            // Reset the message counters
-            this.messageCounter = {
-                incoming: 1,
-                outgoing: 1
-            };
-            
-            // Create empty message structure
-            const emptyMessages = {
-                messages: {
-                    incoming: [],
-                    outgoing: []
-                }
-            };
-            
-            // Save empty structure to file
-            await this.saveMessages(emptyMessages);
+            await this.store.clearMessages({ ...this.messageCounter });
             return true;
         } catch (error) {
             console.error('Error clearing messages:', error);
@@ -177,58 +185,126 @@ class MessageStorage {
         }, 0);
     }
 
-    async readMessages() {
-        const data = await fs.readFile(this.filePath, 'utf8');
-        return JSON.parse(data);
-    }
-
-    async saveMessages(data) {
-        await fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
-    }
-
-    async addIncomingMessage(from, content) {
-        const data = await this.readMessages();
+    async addIncomingMessage(from, content, metadata = {}) {
         const message = {
+            ...metadata,
             id: `msg_in_${this.messageCounter.incoming++}`,
             from,
             content,
             timestamp: new Date().toISOString(),
             status: 'received'
         };
-        data.messages.incoming.push(message);
-        await this.saveMessages(data);
-        return message;
+        return await this.addMessage('incoming', message);
     }
 
-    async addOutgoingMessage(to, content) {
-        const data = await this.readMessages();
+    async addOutgoingMessage(to, content, metadata = {}) {
         const message = {
+            ...metadata,
             id: `msg_out_${this.messageCounter.outgoing++}`,
             to,
             content,
             timestamp: new Date().toISOString(),
-            status: 'sent'
+            status: 'queued'
         };
-        data.messages.outgoing.push(message);
-        await this.saveMessages(data);
-        return message;
+        return await this.addMessage('outgoing', message);
     }
 
-    async getMessagesSince(timestamp) {
-        const data = await this.readMessages();
-        const since = new Date(timestamp);
-        
-        const filteredMessages = {
-            incoming: data.messages.incoming.filter(msg => new Date(msg.timestamp) > since),
-            outgoing: data.messages.outgoing.filter(msg => new Date(msg.timestamp) > since)
+    async addMessage(direction, message) {
+        const stored = await this.store.addMessage(direction, message);
+        this.emit('messageAdded', stored, direction);
+        return stored;
+    }
+
+    // Changes a stored outgoing message and tells listeners when it did change
+    async updateOutgoingMessage(query, applyChange) {
+        const updated = await this.store.updateOutgoingMessage(query, applyChange);
+        if (updated) {
+            this.emit('messageUpdated', updated);
+        }
+        return updated;
+    }
+
+    async updateMessageStatus(wamid, status, { timestamp, error } = {}) {
+        return await this.updateOutgoingMessage({ wamid }, message => {
+            const current = STATUS_ORDER[message.status] || 0;
+            if (status !== 'failed' && (STATUS_ORDER[status] || 0) <= current) {
+                return false;
+            }
+
+            message.status = status;
+            message.statusUpdatedAt = new Date().toISOString();
+            message.statusTimes = { ...message.statusTimes, [status]: timestamp || message.statusUpdatedAt };
+            if (error) {
+                message.error = error;
+            }
+        });
+    }
+
+    // Status changes made by the outbound queue, found by message id
+    async setQueueStatus(id, status, applyChange = () => {}) {
+        return await this.updateOutgoingMessage({ id }, message => {
+            message.status = status;
+            message.statusUpdatedAt = new Date().toISOString();
+            message.statusTimes = { ...message.statusTimes, [status]: message.statusUpdatedAt };
+            applyChange(message);
+        });
+    }
+
+    async markSent(id, wamid) {
+        return await this.setQueueStatus(id, 'sent', message => {
+            message.wamid = wamid;
+            delete message.error;
+        });
+    }
+
+    async markFailed(id, error) {
+        return await this.setQueueStatus(id, 'failed', message => {
+            message.error = error;
+        });
+    }
+
+    async markQueued(id) {
+        return await this.setQueueStatus(id, 'queued', message => {
+            delete message.error;
+        });
+    }
+
+    async hasMessage(wamid) {
+        return await this.store.hasMessage(wamid);
+    }
+
+    async getServiceWindow(phone) {
+        // WhatsApp sends customer numbers as digits only
+        const lastIncoming = await this.store.getLastMessage('incoming', String(phone).replace(/\D/g, ''));
+        if (!lastIncoming) {
+            return { open: false, lastIncomingAt: null, expiresAt: null };
+        }
+        const expiresAt = new Date(new Date(lastIncoming.timestamp).getTime() + SERVICE_WINDOW_MS);
+        return {
+            open: expiresAt > new Date(),
+            lastIncomingAt: lastIncoming.timestamp,
+            expiresAt: expiresAt.toISOString()
         };
-        
-        return filteredMessages;
+    }
+
+    async getMessagesSince(timestamp) {
+        return await this.store.getMessages({ since: timestamp });
+    }
+
+    async getConversationMessages(phone, { before, limit = 50 } = {}) {
+        const { incoming, outgoing } = await this.store.getCustomerMessages(String(phone).replace(/\D/g, ''));
+        const thread = [...incoming, ...outgoing].sort(THREAD_ORDER);
+        const end = before ? thread.findIndex(message => message.id === before) : thread.length;
+        if (end === -1) {
+            return null;
+        }
+        const start = Math.max(0, end - limit);
+        return { messages: thread.slice(start, end), hasMore: start > 0 };
     }
 
     async getAllMessages() {
-        return await this.readMessages();
+        return { messages: await this.store.getMessages() };
     }
 }
 
-export default MessageStorage; 
\ No newline at end of file
+export default MessageStorage;
@@ -1,228 +1,338 @@
 /**
  * WhatsApp Service Class
  * 
- * A comprehensive service class that handles all WhatsApp-related functionality for the support ticket system.
- * This class serves as the core interface between the frontend and the WhatsApp Business API,
- * managing message flows, ticket generation, and automated responses.
+ * Browser-side service for the agent console. The Sprout bot itself runs on the server
+ * (see services/conversationEngine.js) and answers customers straight from the webhook,
+ * so this class only displays the conversations and lets an agent send manual messages.
+ * Opening the console in several tabs never produces duplicate bot replies.
+ * 
+ * The console shows one conversation at a time: the thread of the customer picked in
+ * the inbox (GET /conversations). Messages of other customers only update the inbox.
  * 
  * Core Responsibilities:
- * - Message sending and receiving through WhatsApp Business API
- * - Ticket generation and management with department-based prefixes
- * - Automated response handling for greetings and support requests
+ * - Inbox of conversations and the open conversation's thread, paged from the server
+ * - Real-time updates
+ * - Manual message sending by an agent
  * - Image sending capability (Sprout Bot official logo)
- * - Real-time chat history management and synchronization
- * 
- * Key Features:
- * - Automatic greeting detection and response with logo
- * - Support keyword detection and menu generation
- * - Department-based ticket creation with unique numbering
- * - Real-time message polling and UI updates
- * - Message history tracking and persistence
- * - Error handling and logging
  * 
  * Technical Implementation:
- * - Uses WhatsApp Business API for message handling
- * - Implements polling mechanism for real-time updates
+ * - Receives new messages, status updates and ticket changes as they happen over
+ *   Server-Sent Events (GET /events); the browser resumes from the last event id when
+ *   the connection drops, and the server replays what was missed
+ * - Polls the server for new messages only while that stream is down
+ * - Uses the server endpoints for every WhatsApp API call; the WhatsApp access token
+ *   never reaches the browser
  * - Manages state through class properties
- * - Handles file uploads for image sending
- * - Provides error handling and logging
  * 
  * Attributes:
- *     envVars (Object): Environment variables for WhatsApp API configuration
- *         - AccessToken: WhatsApp API authentication token
- *         - PhoneNumberID: WhatsApp Business Account phone number ID
- *         - Version: API version being used
- *     recipientPhone (string): Default recipient phone number for messages
+ *     capabilities (Object): What the server is connected to (GET /capabilities)
+ *         - phoneNumberId: WhatsApp Business phone number ID messages are sent from
+ *         - version: Graph API version being used
+ *         - recipientPhone: RECIPIENT_PHONE, when configured
+ *         - features: interactiveMenus, templates, windowClosedTemplate, mediaKinds,
+ *           webhookSignatures, storageBackend, customGraphApi (e.g. the simulator)
+ *     recipientPhone (string): Customer whose conversation is open, and who messages go to
+ *         - Taken from RECIPIENT_PHONE if configured
+ *         - Otherwise the sender of the next incoming message, until the agent picks one
+ *     oldestMessageId (string): Oldest displayed message, to page back from
  *     lastMessageTimestamp (string): ISO timestamp of last received message
  *     onMessageReceived (function): Callback for message reception and UI updates
- *     responses (Object): Loaded response templates from sprout_commands.json
- *     lastSelectedIssue (string): Last issue selected by user for ticket creation
- *     ticketCounter (number): Counter for generating unique ticket numbers
- *     processedMessageIds (Set): Set to track processed message IDs
- *     recentlyProcessedMessages (Map): Map to track processed message contents to handle race conditions
+ *         - Called with (content, isFromBot, phone, storedMessage)
+ *     onStatusChanged (function): Callback when a displayed message's delivery status changes
+ *     onTicketEvent (function): Callback for ticket changes pushed by the server
+ *         - Called with ('ticket-created' | 'ticket-updated', { ticket, entry }), or with
+ *           ('resync') when the tickets should be reloaded
+ *     onConversationEvent (function): Callback for inbox changes pushed by the server
+ *         - Called with ('conversation-updated', { conversation }), or with ('resync')
+ *     onConversationOpened (function): Callback when a conversation's thread was loaded
+ *         - Called with (phone, { messages, hasMore }); the page replaces what was shown
+ *     liveConnected (boolean): Whether the event stream is open (polling is paused)
+ *     lastEventId (string): Id of the last event received, to resume from
+ *     processedMessageIds (Set): Set to track displayed message IDs
+ *     messageStatuses (Map): Last known delivery status of each displayed message
+ * 
+ * Every request is authenticated by the session cookie set when the agent signed in
+ * (login.html); when the session has ended the page goes back to the sign-in page.
  * 
  * Methods:
- *     initialize(): Initialize the service and load environment variables
- *         - Fetches environment configuration
- *         - Validates API tokens
- *         - Loads chat history
+ *     getCurrentAgent(): The signed-in agent ({ username, name, role })
+ *         - Goes to the sign-in page when nobody is signed in
+ * 
+ *     logout(): End the session and go to the sign-in page
+ * 
+ *     initialize(): Initialize the service
+ *         - Fetches the server's capabilities
+ * 
+ *     getConversations(): The inbox, latest message first
+ *         - Each with unreadCount, lastMessage and openTickets
+ * 
+ *     getConversation(phone): One conversation with its open tickets
+ * 
+ *     getConversationMessages(phone, { before, limit }): A page of a customer's thread
+ *         - Empty for a customer who has no messages yet
  * 
- *     loadChatHistory(): Load and display existing chat history
- *         - Retrieves messages from storage
- *         - Sorts by timestamp
- *         - Updates UI through callback
+ *     openConversation(phone): Show a customer's latest messages and mark them read
+ *         - Makes the customer the recipient
+ *         - Messages arriving while the thread loads are shown after it
  * 
- *     sendMessage(message): Send a text message to WhatsApp
+ *     loadEarlierMessages(): The page before the oldest displayed message
+ *         - Returns { messages, hasMore }; the caller shows them above the thread
+ * 
+ *     markConversationRead(phone): Reset a conversation's unread count
+ * 
+ *     setConversationMode(mode, phone): Take over (human), pause or hand back (bot)
+ *         - Returns { conversation, notice } with the notice sent to the customer, if any
+ *         - Refused while another agent is handling the conversation, unless a
+ *           supervisor is signed in
+ * 
+ *     sendMessage(message): Send a manual text message to WhatsApp
  *         - Validates service initialization
  *         - Sends message through API
+ *         - Outside the service window the server may send a template instead
  *         - Handles errors and logging
  * 
- *     loadResponses(): Load response templates from sprout_commands.json
- *         - Loads department and issue definitions
- *         - Caches responses for quick access
+ *     checkForNewMessages(): Poll for new messages and display them
+ *         - Maintains message order
  * 
- *     generateTicketNumber(issue): Generate a unique ticket number with department prefix
- *         - Creates department-specific prefix
- *         - Includes timestamp in ticket number
- *         - Handles special cases (e.g., "Other" category)
+ *     handleMessage(message): Display a polled or pushed message
+ *         - Shows incoming customer messages and outgoing replies of the open conversation
+ *         - Skips messages that are already displayed
+ *         - Reports delivery status changes (sent/delivered/read/failed)
  * 
- *     saveTicket(ticket): Save a ticket to storage with duplicate checking
- *         - Checks for existing tickets
- *         - Prevents duplicates
- *         - Maintains ticket history
+ *     connectEvents(): Open the event stream
+ *         - Catches up through /messages when the stream (re)starts without a replay
+ *         - Reconnects with ?lastEventId= if the browser gives up on it
  * 
- *     handleUserInput(message): Process user input and generate appropriate responses
- *         - Detects greetings and keywords
- *         - Manages ticket creation flow
- *         - Handles menu navigation
+ *     startMessagePolling(callback, onStatusChanged): Start real-time updates with UI callbacks
+ *         - Opens the event stream
+ *         - Polls every 5 seconds while the stream is down
  * 
- *     handleIncomingMessage(message): Handle incoming WhatsApp messages and generate responses
- *         - Processes incoming messages
- *         - Generates appropriate responses
- *         - Manages conversation flow
+ *     sendMenu(node): Send a #sprout menu as an interactive WhatsApp list
+ *         - Defaults to the department menu
+ *         - Customers pick an option instead of typing a code
  * 
- *     checkForNewMessages(): Poll for new messages and process them
- *         - Implements polling mechanism
- *         - Updates UI with new messages
- *         - Maintains message order
+ *     getServiceWindow(phone): Whether free-form messages can be sent to a customer
+ *         - Returns { open, lastIncomingAt, expiresAt }
+ * 
+ *     getTemplates(): List the approved message templates
+ * 
+ *     sendTemplate(name, language, parameters): Send a template message
+ *         - Allowed outside the 24-hour service window
  * 
- *     startMessagePolling(callback): Start the message polling service with UI updates
- *         - Initializes polling interval
- *         - Sets up UI callback
- *         - Manages real-time updates
+ *     sendMedia(file, { caption, fileName }): Send an image, document, audio or video file
+ *         - Uploads and sends it in one multipart request
+ *         - The server checks the type and size against WhatsApp's limits
+ *
+ *     sendImage(imageUrl, caption): Send the image at a URL with a caption
+ *         - Used for the Sprout Bot official logo
  * 
- *     sendImage(): Send the Sprout Bot official logo image with caption
- *         - Handles image upload to WhatsApp
- *         - Manages media IDs
- *         - Sends image messages
+ *     getOutbox(): Messages waiting to be delivered and dead letters
+ * 
+ *     replayOutboxItem(id) / discardOutboxItem(id): Queue a dead letter again, or drop it
  * 
  * Error Handling:
  * - Validates API responses
  * - Provides detailed error logging
- * - Implements retry mechanisms
  * - Graceful degradation on failures
  */
 
+// Customer numbers compare by their digits, however they were typed
+const samePhone = (a, b) => !!a && !!b && String(a).replace(/\D/g, '') === String(b).replace(/\D/g, '');
+
 class WhatsAppService {
     constructor() {
-        this.envVars = {};
-        this.recipientPhone = this.envVars.RecipientPhone || '264814067806';
+        this.capabilities = null;
+        this.recipientPhone = null;
         this.lastMessageTimestamp = new Date().toISOString();
         this.onMessageReceived = null;
-        this.responses = null;
-        this.lastSelectedIssue = null;
-        this.ticketCounter = 1;
+        this.onStatusChanged = null;
+        this.onTicketEvent = null;
+        this.onConversationEvent = null;
+        this.onConversationOpened = null;
+        this.oldestMessageId = null;
+        this.pendingMessages = null;
+        this.eventSource = null;
+        this.liveConnected = false;
+        this.lastEventId = null;
         this.processedMessageIds = new Set();
-        this.recentlyProcessedMessages = new Map();
-        this.loadResponses();
-        console.log('WhatsAppService initialized with recipient:', this.recipientPhone);
+        this.messageStatuses = new Map();
+    }
+
+    setRecipient(phone) {
+        this.recipientPhone = phone || null;
+    }
+
+    redirectToLogin() {
+        window.location.replace('login.html');
+    }
+
+    async getCurrentAgent() {
+        const response = await fetch('/auth/me');
+        if (response.status === 401) {
+            this.redirectToLogin();
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return (await response.json()).agent;
+    }
+
+    async logout() {
+        await fetch('/auth/logout', { method: 'POST' });
+        this.redirectToLogin();
     }
 
     async initialize() {
         try {
             console.log('Starting WhatsApp service initialization...');
-            const response = await fetch('/environment');
-            
-            console.log('Environment endpoint response status:', response.status);
-            
+            const response = await fetch('/capabilities');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
-            this.envVars = await response.json();
-            console.log('Received environment variables:', {
-                hasToken: !!this.envVars.AccessToken,
-                tokenLength: this.envVars.AccessToken ? this.envVars.AccessToken.length : 0,
-                phoneNumberId: this.envVars.PhoneNumberID,
-                version: this.envVars.Version
-            });
-            
-            // Add validation
-            if (!this.envVars.AccessToken) {
-                console.error('Environment loaded but no token found:', this.envVars);
-                throw new Error('No access token available');
-            }
+            this.capabilities = await response.json();
+            console.log('Server capabilities:', this.capabilities);
 
-            // Load chat history after environment is initialized
-            await this.loadChatHistory();
+            // Optional fixed recipient from RECIPIENT_PHONE
+            if (this.capabilities.recipientPhone) {
+                this.recipientPhone = this.capabilities.recipientPhone;
+            }
             
             return true;
         } catch (error) {
             console.error('Error initializing WhatsApp service:', error);
             console.error('Full error details:', {
                 message: error.message,
-                stack: error.stack,
-                envVars: this.envVars
+                stack: error.stack
             });
             return false;
         }
     }
 
-    async loadChatHistory() {
-        try {
-            const response = await fetch('/debug/chat-history');
-            if (!response.ok) {
-                throw new Error('Failed to load chat history');
-            }
-            
-            const chatHistory = await response.json();
-            console.log('Loaded chat history:', chatHistory);
-
-            // Process incoming and outgoing messages separately
-            const allMessages = [];
-
-            // Add incoming messages (user messages)
-            chatHistory.messages.incoming.forEach(msg => {
-                allMessages.push({
-                    ...msg,
-                    isFromBot: false,
-                    timestamp: msg.timestamp
-                });
-            });
+    async getConversations() {
+        const response = await fetch('/conversations');
+        if (response.status === 401) {
+            this.redirectToLogin();
+            return [];
+        }
+        if (!response.ok) {
+            throw new Error('Failed to load conversations');
+        }
+        return (await response.json()).conversations;
+    }
 
-            // Add outgoing messages (bot responses)
-            chatHistory.messages.outgoing.forEach(msg => {
-                allMessages.push({
-                    ...msg,
-                    isFromBot: true,
-                    timestamp: msg.timestamp,
-                    from: msg.to // normalize the 'from' field for sorting
-                });
-            });
+    async getConversation(phone) {
+        const response = await fetch(`/conversations/${encodeURIComponent(phone)}`);
+        if (!response.ok) {
+            throw new Error('Failed to load the conversation');
+        }
+        return (await response.json()).conversation;
+    }
 
-            // Sort messages by timestamp
-            allMessages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    // A page of the thread, or an empty one for a customer who has no messages yet
+    async getConversationMessages(phone, { before, limit = 50 } = {}) {
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (before) {
+            params.set('before', before);
+        }
+        const response = await fetch(`/conversations/${encodeURIComponent(phone)}/messages?${params}`);
+        if (response.status === 404) {
+            return { messages: [], hasMore: false };
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load messages');
+        }
+        return data;
+    }
 
-            // Display each message in chronological order
-            allMessages.forEach(msg => {
-                if (this.onMessageReceived) {
-                    const content = msg.content;
-                    // Only show bot messages for outgoing messages
-                    const isBot = msg.to === this.recipientPhone;
-                    this.onMessageReceived(content, isBot);
-                }
-            });
+    async markConversationRead(phone = this.recipientPhone) {
+        const response = await fetch(`/conversations/${encodeURIComponent(phone)}/read`, { method: 'POST' });
+        // Nothing to mark for a customer who has no messages yet
+        if (!response.ok && response.status !== 404) {
+            throw new Error('Failed to mark the conversation as read');
+        }
+    }
+
+    async setConversationMode(mode, phone = this.recipientPhone) {
+        if (!phone) {
+            throw new Error('No customer selected');
+        }
+        const response = await fetch(`/conversations/${encodeURIComponent(phone)}/mode`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mode })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to change who answers this conversation');
+        }
+        return data;
+    }
 
-            // Update last message timestamp
-            if (allMessages.length > 0) {
-                this.lastMessageTimestamp = allMessages[allMessages.length - 1].timestamp;
+    async openConversation(phone) {
+        this.setRecipient(phone);
+        this.oldestMessageId = null;
+        // Messages arriving while the thread loads are shown after it
+        const pending = this.pendingMessages = [];
+        try {
+            const page = await this.getConversationMessages(phone);
+            // Another conversation was opened in the meantime
+            if (this.pendingMessages !== pending) {
+                return page;
+            }
+
+            this.processedMessageIds.clear();
+            this.messageStatuses.clear();
+            this.rememberPage(page);
+            if (this.onConversationOpened) {
+                this.onConversationOpened(phone, page);
+            }
+            if (page.messages.length > 0) {
+                await this.markConversationRead(phone);
             }
+            return page;
         } catch (error) {
-            console.error('Error loading chat history:', error);
+            console.error('Error opening conversation:', error);
+            throw error;
+        } finally {
+            if (this.pendingMessages === pending) {
+                this.pendingMessages = null;
+                pending.forEach(message => this.handleMessage(message));
+            }
+        }
+    }
+
+    async loadEarlierMessages() {
+        if (!this.recipientPhone || !this.oldestMessageId) {
+            return { messages: [], hasMore: false };
+        }
+        const page = await this.getConversationMessages(this.recipientPhone, { before: this.oldestMessageId });
+        this.rememberPage(page);
+        return page;
+    }
+
+    // Marks a page of the thread as displayed
+    rememberPage(page) {
+        page.messages.forEach(message => {
+            this.processedMessageIds.add(message.id);
+            this.messageStatuses.set(message.id, message.status);
+        });
+        if (page.messages.length > 0) {
+            this.oldestMessageId = page.messages[0].id;
         }
     }
 
     async sendMessage(message) {
         try {
-            if (!this.envVars.AccessToken) {
-                throw new Error('WhatsApp service not properly initialized - missing token');
+            if (!this.recipientPhone) {
+                throw new Error('No customer selected - enter the customer number first');
             }
 
             console.log('Attempting to send message:', {
                 messageLength: message.length,
-                to: this.recipientPhone,
-                hasToken: !!this.envVars.AccessToken,
-                tokenLength: this.envVars.AccessToken.length
+                to: this.recipientPhone
             });
 
             const response = await fetch('/send-message', {
@@ -244,514 +354,314 @@ class WhatsAppService {
 
             const data = await response.json();
             
-            // Show the message in UI and mark it as processed
-            if (this.onMessageReceived) {
-                this.onMessageReceived(message, true);
-            }
-            if (data.data?.messages?.[0]?.id) {
-                this.processedMessageIds.add(data.data.messages[0].id);
-            }
+            // Outside the service window the server sends a template instead, so show what was sent
+            this.showSentMessage(data.message, message);
             
             console.log('Message sent successfully:', data);
-            return true;
+            return data;
         } catch (error) {
             console.error('Error sending message:', error);
             throw error;
         }
     }
 
-    async loadResponses() {
-        try {
-            const response = await fetch('/sprout_commands.json');
-            this.responses = await response.json();
-            console.log('Responses loaded:', this.responses);
-        } catch (error) {
-            console.error('Error loading responses:', error);
+    // Shows a message the agent just sent, unless the event stream already delivered it
+    showSentMessage(message, text) {
+        if (message?.id && this.processedMessageIds.has(message.id)) {
+            return;
         }
-    }
-
-    generateTicketNumber(issue) {
-        // Extract the department code from the issue (first letter of the issue code)
-        let deptCode;
-        let prefix;
-
-        // Special handling for "Other" category
-        if (issue.startsWith('Greetings')) {
-            prefix = 'OTR';
-            issue = 'None Specified'; // Update the issue text for Other category
-        } else {
-            deptCode = issue.charAt(0);
-            // Map department codes to ticket prefixes
-            const prefixMap = {
-                'C': 'CLD', // Cloud
-                'I': 'INF', // Infrastructure
-                'N': 'NET', // Network
-                'S': 'SFT', // Software
-                'P': 'PRT', // Printing
-                'W': 'WRT'  // Warranty
-            };
-            prefix = prefixMap[deptCode] || 'TKT';
+        if (message?.id) {
+            this.processedMessageIds.add(message.id);
+            this.messageStatuses.set(message.id, message.status);
+        }
+        if (this.onMessageReceived && (message || text)) {
+            this.onMessageReceived(message?.content || text, true, this.recipientPhone, message);
         }
-        
-        // Get current date and time
-        const now = new Date();
-        
-        // Format time as HHMMSS
-        const hours = now.getHours().toString().padStart(2, '0');
-        const minutes = now.getMinutes().toString().padStart(2, '0');
-        const seconds = now.getSeconds().toString().padStart(2, '0');
-        const timeString = `${hours}${minutes}${seconds}`;
-        
-        // Format date as DDMM
-        const day = now.getDate().toString().padStart(2, '0');
-        const month = (now.getMonth() + 1).toString().padStart(2, '0');
-        const dateString = `${day}${month}`;
-        
-        return `${prefix}-${timeString}-${dateString}`;
     }
 
-    async saveTicket(ticket) {
+    async checkForNewMessages() {
         try {
-            console.log('Saving ticket:', ticket);
-            
-            // First get existing tickets
-            const getResponse = await fetch('/tickets');
-            let existingTickets = { tickets: [] };
-            
-            if (getResponse.ok) {
-                existingTickets = await getResponse.json();
-                console.log('Existing tickets:', existingTickets);
-            }
-
-            // Check if ticket already exists
-            const isDuplicate = existingTickets.tickets.some(
-                existingTicket => existingTicket.ticketNumber === ticket.ticketNumber
-            );
-
-            if (isDuplicate) {
-                console.log('Duplicate ticket detected:', ticket.ticketNumber);
-                return true; // Return success but don't save duplicate
-            }
-
-            // Add new ticket
-            const updatedTickets = {
-                tickets: [...existingTickets.tickets, ticket]
-            };
-
-            console.log('Saving updated tickets:', updatedTickets);
-
-            // Save all tickets
-            const saveResponse = await fetch('/save-ticket', {
-                method: 'POST',
+            const response = await fetch(`/messages?since=${encodeURIComponent(this.lastMessageTimestamp)}`, {
                 headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(updatedTickets)
+                    'Cache-Control': 'no-cache',
+                    'Pragma': 'no-cache'
+                }
             });
-            
-            if (!saveResponse.ok) {
-                const errorData = await saveResponse.json();
-                console.error('Failed to save ticket:', errorData);
-                throw new Error(`Failed to save ticket: ${errorData.error || 'Unknown error'}`);
+            if (response.status === 401) {
+                this.redirectToLogin();
+                return;
             }
+            
+            const data = await response.json();
+            console.log('Received messages:', data);
 
-            const result = await saveResponse.json();
-            console.log('Save ticket response:', result);
-            return true;
+            if (data.messages && data.messages.length > 0) {
+                data.messages.forEach(message => this.handleMessage(message));
+            }
         } catch (error) {
-            console.error('Error saving ticket:', error);
-            throw error;
+            console.error('Error checking messages:', error);
         }
     }
 
-    generateTicket(issueCode) {
-        const departments = {
-            'C': 'Cloud',
-            'I': 'Infrastructure',
-            'N': 'Network',
-            'P': 'Printing',
-            'S': 'Software',
-            'W': 'Warranty'
-        };
-
-        const dept = departments[issueCode.charAt(0)];
-        const ticketId = `${dept.substring(0, 3).toUpperCase()}-${String(this.ticketCounter).padStart(4, '0')}`;
-        this.ticketCounter++;
-
-        return {
-            id: ticketId,
-            issue: this.findIssueDescription(issueCode),
-            status: 'Open',
-            created: new Date().toISOString(),
-            issueCode: issueCode
-        };
-    }
-
-    findIssueDescription(issueCode) {
-        const deptMap = {
-            'C': 'Cloud Department',
-            'I': 'Infrastructure Department',
-            'N': 'Network and Security Department',
-            'P': 'Printing Department',
-            'S': 'Software Department',
-            'W': 'Warranty Department'
-        };
+    handleMessage(message) {
+        // Outgoing messages (bot replies and agent messages) carry a `to` field
+        const isOutgoing = !!message.to;
+        const customerPhone = isOutgoing ? message.to : message.from;
 
-        const dept = deptMap[issueCode.charAt(0)];
-        const deptNumber = Object.keys(this.responses[dept])[0];
-        const issues = this.responses[dept][deptNumber];
-        
-        return issues.find(issue => issue.startsWith(issueCode)) || 'Unknown Issue';
-    }
+        // A later poll only needs what changed after this message
+        this.lastMessageTimestamp = this.latestChange([message]);
 
-    // Update greetings at class level
-    greetingStarters = [
-        'hi',
-        'hello',
-        'greetings',
-        'how do you do',
-        'good morning',
-        'good evening',
-        'good afternoon',
-        'good day'  // Added good day
-    ];
-
-    async handleUserInput(message, messageId = null) {
-        const lowerMessage = message.toLowerCase().trim();
-        
-        // If this is a greeting, show it in the UI here
-        if (this.isGreeting(message) && this.onMessageReceived) {
-            this.onMessageReceived(message, false);
+        if (!this.recipientPhone && !isOutgoing) {
+            // Nothing open yet: open the conversation of the customer who wrote
+            this.openConversation(customerPhone).catch(() => {}); // Logged by openConversation
+            return;
         }
-        
-        // Create a unique key for this message
-        const messageKey = `${lowerMessage}_${Date.now()}`;
-        
-        // If we've recently processed this exact message content, skip it
-        if (this.recentlyProcessedMessages.has(lowerMessage)) {
-            const timestamp = this.recentlyProcessedMessages.get(lowerMessage);
-            if (Date.now() - timestamp < 10000) {
-                console.log('Skipping recently processed message:', lowerMessage);
-                return null;
-            }
+        if (!samePhone(customerPhone, this.recipientPhone)) {
+            return; // Shown in the inbox only
         }
-
-        // First check if message starts with a greeting
-        const startsWithGreeting = this.greetingStarters.some(greeting => 
-            lowerMessage.startsWith(greeting)
-        );
-
-        // Check for support keywords
-        const containsSupportKeyword = this.responses.support_keywords.some(keyword => 
-            lowerMessage.includes(keyword.toLowerCase())
-        );
-
-        // Mark message as processed
-        this.recentlyProcessedMessages.set(lowerMessage, Date.now());
-
-        // Case 1: Message starts with greeting and contains support keyword
-        if (startsWithGreeting && containsSupportKeyword) {
-            try {
-                // Send bot image first
-                await this.sendImage();
-                // Then send support greeting
-                await this.sendMessage(this.responses.support_greeting);
-                return null;
-            } catch (error) {
-                console.error('Error sending greeting image:', error);
-                // Even if image fails, still send support greeting
-                await this.sendMessage(this.responses.support_greeting);
-                return null;
-            }
+        if (this.pendingMessages) {
+            this.pendingMessages.push(message);
+            return;
         }
 
-        // Case 2: Message starts with greeting only
-        if (startsWithGreeting) {
-            try {
-                // Send bot image first
-                await this.sendImage();
-                
-                // Then send appropriate greeting response
-                for (const [greeting, response] of Object.entries(this.responses.greetings)) {
-                    if (lowerMessage === greeting.toLowerCase()) {
-                        await this.sendMessage(response);
-                        return null;
-                    }
+        // Already displayed: only its delivery status can have changed
+        if (this.processedMessageIds.has(message.id)) {
+            if (message.status !== this.messageStatuses.get(message.id)) {
+                this.messageStatuses.set(message.id, message.status);
+                if (this.onStatusChanged) {
+                    this.onStatusChanged(message);
                 }
-                
-                // For partial greetings
-                const defaultResponse = "Hi there! Type #sprout to see our support menu.";
-                await this.sendMessage(defaultResponse);
-                return null;
-            } catch (error) {
-                console.error('Error sending greeting image:', error);
-                return "Hi there! Type #sprout to see our support menu.";
             }
-        }
-
-        // Case 3: Message contains support keyword only (no greeting)
-        if (containsSupportKeyword && !lowerMessage.startsWith('#sprout')) {
-            return this.responses.support_greeting;
-        }
-
-        // Clean up old entries from recentlyProcessedMessages
-        const now = Date.now();
-        for (const [key, timestamp] of this.recentlyProcessedMessages.entries()) {
-            if (now - timestamp > 10000) {
-                this.recentlyProcessedMessages.delete(key);
+        } else {
+            const messageText = typeof message.text === 'object' ? message.text.body : message.text;
+            if (this.onMessageReceived) {
+                this.onMessageReceived(messageText, isOutgoing, customerPhone, message);
             }
+
+            // Mark message as processed
+            this.processedMessageIds.add(message.id);
+            this.messageStatuses.set(message.id, message.status);
         }
 
-        // Handle "yes" response for ticket creation
-        if (lowerMessage === 'yes' && this.lastSelectedIssue) {
-            const ticketNumber = this.generateTicketNumber(this.lastSelectedIssue);
-            // Special handling for Other category tickets
-            const issueText = this.lastSelectedIssue.startsWith('Greetings') ? 'None Specified' : this.lastSelectedIssue;
-            await this.saveTicket({
-                ticketNumber,
-                issue: issueText,
-                status: 'Open',
-                createdAt: new Date().toISOString(),
-                customerPhone: this.recipientPhone
+        // Clean up old message IDs (keep only last 1000)
+        if (this.processedMessageIds.size > 1000) {
+            const idsArray = Array.from(this.processedMessageIds);
+            this.processedMessageIds = new Set(idsArray.slice(-1000));
+            this.messageStatuses.forEach((status, id) => {
+                if (!this.processedMessageIds.has(id)) this.messageStatuses.delete(id);
             });
-            const displayIssue = issueText === 'None Specified' ? 'Other - None Specified' : issueText;
-            const response = `Ticket created successfully!\n\nTicket Details:\nTicket Number: ${ticketNumber}\nIssue: ${displayIssue}\nStatus: Open\n\nWe will contact you shortly regarding this ticket.\n\nType #sprout to return to the main menu.`;
-            this.lastSelectedIssue = null;
-            return response;
         }
+    }
 
-        // Check for farewells
-        for (const [farewell, response] of Object.entries(this.responses.farewells)) {
-            if (lowerMessage.includes(farewell.toLowerCase())) {
-                return response;
-            }
+    connectEvents() {
+        if (typeof EventSource === 'undefined') {
+            return; // Polling only
         }
-
-        // Check for support keywords if message doesn't start with #sprout
-        if (!lowerMessage.startsWith('#sprout')) {
-            // Check if the message contains any support keywords
-            const containsSupportKeyword = this.responses.support_keywords.some(keyword => 
-                lowerMessage.includes(keyword.toLowerCase())
-            );
-            
-            if (containsSupportKeyword) {
-                return this.responses.support_greeting;
+        // The browser sends Last-Event-ID itself when it reconnects; a new EventSource
+        // passes the id it should resume from in the URL instead
+        const url = this.lastEventId ? `/events?lastEventId=${encodeURIComponent(this.lastEventId)}` : '/events';
+        const source = new EventSource(url);
+        this.eventSource = source;
+
+        const on = (type, handler) => source.addEventListener(type, event => {
+            this.lastEventId = event.lastEventId;
+            handler(JSON.parse(event.data));
+        });
+        // A new stream: fetch whatever arrived before it opened
+        on('ready', () => this.checkForNewMessages());
+        on('new-message', message => this.handleMessage(message));
+        on('status-update', message => this.handleMessage(message));
+        on('ticket-created', data => this.onTicketEvent && this.onTicketEvent('ticket-created', data));
+        on('ticket-updated', data => this.onTicketEvent && this.onTicketEvent('ticket-updated', data));
+        on('conversation-updated', data => this.onConversationEvent && this.onConversationEvent('conversation-updated', data));
+        // The missed events are gone (e.g. the server restarted): reload instead
+        on('resync', () => {
+            this.checkForNewMessages();
+            if (this.onTicketEvent) {
+                this.onTicketEvent('resync');
             }
-            return null;
-        }
-
-        // Remove #sprout and trim spaces
-        const command = lowerMessage.replace('#sprout', '').trim();
-        
-        // If just #sprout was sent, show the main menu
-        if (command === '') {
-            this.lastSelectedIssue = null;
-            return this.responses.Sprout.sprout.join('\n');
-        } 
-        
-        // Check for department selections (must be exactly 01-07)
-        const deptMatch = command.match(/^(0[1-7])$/);
-        if (deptMatch) {
-            const deptNum = deptMatch[1];
-            const departments = {
-                '01': 'Cloud Department',
-                '02': 'Infrastructure Department',
-                '03': 'Network and Security Department',
-                '04': 'Software Department',
-                '05': 'Printing Department',
-                '06': 'Warranty Department',
-                '07': 'Other'
-            };
-            
-            const dept = departments[deptNum];
-            if (dept && this.responses[dept] && this.responses[dept][deptNum]) {
-                // Special handling for "Other" category
-                if (deptNum === '07') {
-                    const otherMessage = this.responses[dept][deptNum][0];
-                    this.lastSelectedIssue = otherMessage;
-                    return `${otherMessage}\n\nWould you like to create a ticket for this issue? Reply with "yes" to proceed.`;
-                }
-                this.lastSelectedIssue = null;
-                return this.responses[dept][deptNum].join('\n');
+            if (this.onConversationEvent) {
+                this.onConversationEvent('resync');
             }
-        }
+        });
 
-        // Check for specific issue codes (C1, I4, P2, etc.)
-        const issueMatch = command.match(/^([cinspw])(\d+)$/i);
-        if (issueMatch) {
-            const [_, deptCode, issueNum] = issueMatch;
-            // Validate issue number is between 1 and 10
-            const num = parseInt(issueNum);
-            if (num >= 1 && num <= 10) {
-                const departments = {
-                    'C': 'Cloud Department',
-                    'I': 'Infrastructure Department',
-                    'N': 'Network and Security Department',
-                    'S': 'Software Department',
-                    'P': 'Printing Department',
-                    'W': 'Warranty Department'
-                };
-
-                const dept = departments[deptCode.toUpperCase()];
-                if (dept) {
-                    const deptResponses = this.responses[dept];
-                    const deptKey = Object.keys(deptResponses)[0];
-                    const issues = deptResponses[deptKey];
-                    
-                    const issue = issues.find(i => i.startsWith(`${deptCode.toUpperCase()}${issueNum}`));
-                    if (issue) {
-                        this.lastSelectedIssue = issue;
-                        return `Selected issue:\n${issue}\n\nWould you like to create a ticket for this issue? Reply with "yes" to proceed.`;
-                    }
-                }
+        source.onopen = () => {
+            this.liveConnected = true;
+        };
+        source.onerror = () => {
+            this.liveConnected = false;
+            // The browser retries by itself unless the stream was refused (e.g. the session
+            // ended, which the next poll notices); try again later in that case
+            if (source.readyState === EventSource.CLOSED) {
+                setTimeout(() => this.connectEvents(), 15000);
             }
-        }
-
-        // Return help message for any invalid commands
-        return "Available commands:\n#sprout - Show department menu\n#sprout [01-07] - Show department issues\n#sprout [C1-C10, I1-I10, P1-P10, etc.] - Select specific issue";
+        };
     }
 
-    async handleIncomingMessage(message) {
-        // Process the message and get response
-        const response = await this.handleUserInput(message);
-        
-        // Only send a response if handleUserInput returns something
-        // and it's not a greeting (greetings are handled in handleUserInput)
-        if (response && !this.isGreeting(message)) {
-            await this.sendMessage(response);
-        }
+    // Latest send or status change, so the next poll picks up newer receipts too
+    latestChange(messages) {
+        return messages.reduce((latest, msg) => {
+            const changed = [msg.timestamp, msg.statusUpdatedAt].filter(Boolean);
+            return changed.reduce((max, value) => new Date(value) > new Date(max) ? value : max, latest);
+        }, this.lastMessageTimestamp);
     }
 
-    isGreeting(message) {
-        const lowerMessage = message.toLowerCase().trim();
-        // Check if it's an exact match with any greeting
-        return Object.keys(this.responses.greetings).some(greeting => 
-            lowerMessage === greeting.toLowerCase()
-        ) || this.greetingStarters.some(greeting => 
-            lowerMessage.startsWith(greeting)
-        );
+    startMessagePolling(callback, onStatusChanged) {
+        console.log('Starting message updates');
+        this.onMessageReceived = callback;
+        this.onStatusChanged = onStatusChanged || null;
+        
+        this.connectEvents();
+        this.checkForNewMessages(); // Initial check
+        // Fall back to polling while the event stream is down
+        setInterval(() => {
+            if (!this.liveConnected) {
+                this.checkForNewMessages();
+            }
+        }, 5000);
     }
 
-    async checkForNewMessages() {
+    async sendMenu(node) {
         try {
-            const response = await fetch(`/messages?since=${encodeURIComponent(this.lastMessageTimestamp)}`, {
+            if (!this.recipientPhone) {
+                throw new Error('No customer selected - enter the customer number first');
+            }
+
+            const response = await fetch('/send-menu', {
+                method: 'POST',
                 headers: {
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
-                }
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    to: this.recipientPhone,
+                    node
+                })
             });
-            
-            const data = await response.json();
-            console.log('Received messages:', data);
 
-            if (data.messages && data.messages.length > 0) {
-                for (const message of data.messages) {
-                    // Skip if we've already processed this message
-                    if (this.processedMessageIds.has(message.id)) {
-                        continue;
-                    }
-
-                    // Check if the message is from the current user's phone number
-                    const isIncoming = message.from === this.recipientPhone;
-                    const isOutgoing = message.to === this.recipientPhone;
-                    
-                    // Only process incoming messages
-                    if (isIncoming && !isOutgoing) {
-                        const messageText = typeof message.text === 'object' ? message.text.body : message.text;
-                        console.log('Processing incoming message:', messageText);
-                        
-                        // Show the incoming message in the UI only if it's not a greeting
-                        // Greetings will be displayed through handleUserInput
-                        if (this.onMessageReceived && !this.isGreeting(messageText)) {
-                            this.onMessageReceived(messageText, false);
-                        }
-                        
-                        // Handle the message and generate response
-                        await this.handleIncomingMessage(messageText);
-                    }
-
-                    // Mark message as processed
-                    this.processedMessageIds.add(message.id);
-                }
-                
-                // Update timestamp after processing all messages
-                const latestMessage = data.messages[data.messages.length - 1];
-                this.lastMessageTimestamp = latestMessage.timestamp;
-
-                // Clean up old message IDs (keep only last 1000)
-                if (this.processedMessageIds.size > 1000) {
-                    const idsArray = Array.from(this.processedMessageIds);
-                    this.processedMessageIds = new Set(idsArray.slice(-1000));
-                }
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to send menu');
             }
+
+            this.showSentMessage(data.message);
+            return data;
         } catch (error) {
-            console.error('Error checking messages:', error);
+            console.error('Error sending menu:', error);
+            throw error;
         }
     }
 
-    startMessagePolling(callback) {
-        console.log('Starting message polling');
-        this.onMessageReceived = callback;
-        
-        // Load initial chat history before starting polling
-        this.loadChatHistory().then(() => {
-            // Start polling for new messages
-            this.checkForNewMessages(); // Initial check
-            setInterval(() => this.checkForNewMessages(), 5000);
-        });
+    async getServiceWindow(phone = this.recipientPhone) {
+        const response = await fetch(`/customers/${encodeURIComponent(phone)}/window`);
+        if (!response.ok) {
+            throw new Error('Failed to check the service window');
+        }
+        return await response.json();
     }
 
-    async sendImage(imageUrl) {
+    async getTemplates() {
+        const response = await fetch('/templates');
+        if (!response.ok) {
+            throw new Error('Failed to load message templates');
+        }
+        return await response.json();
+    }
+
+    async sendTemplate(name, language, parameters) {
         try {
-            if (!this.envVars.AccessToken) {
-                throw new Error('WhatsApp service not properly initialized - missing token');
+            if (!this.recipientPhone) {
+                throw new Error('No customer selected - enter the customer number first');
             }
 
-            console.log('Uploading image to WhatsApp...');
-            
-            // First upload the image
-            const uploadResponse = await fetch('/upload-media', {
-                method: 'POST'
+            const response = await fetch('/send-template', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ to: this.recipientPhone, name, language, parameters })
             });
-
-            if (!uploadResponse.ok) {
-                const errorData = await uploadResponse.json();
-                throw new Error(errorData.error || 'Failed to upload image');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to send template');
             }
 
-            const uploadData = await uploadResponse.json();
-            console.log('Image upload response:', uploadData);
+            this.showSentMessage(data.message);
+            return data;
+        } catch (error) {
+            console.error('Error sending template:', error);
+            throw error;
+        }
+    }
 
-            if (!uploadData.success || !uploadData.data || !uploadData.data.id) {
-                throw new Error('Invalid upload response: missing media ID');
+    async sendMedia(file, { caption, fileName } = {}) {
+        try {
+            if (!this.recipientPhone) {
+                throw new Error('No customer selected - enter the customer number first');
             }
 
-            // Then send the message with the uploaded media ID
-            const response = await fetch('/send-image', {
+            // Upload and send in one request; the server reuses the media ID of files it sent before
+            const form = new FormData();
+            form.append('to', this.recipientPhone);
+            form.append('file', file, fileName || file.name);
+            if (caption) {
+                form.append('caption', caption);
+            }
+            if (fileName) {
+                form.append('filename', fileName);
+            }
+
+            const response = await fetch('/send-media', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    to: this.recipientPhone,
-                    media_id: uploadData.data.id,
-                    caption: "Sprout - Green Enterprise Solutions Support"
-                })
+                body: form
             });
-
+            const data = await response.json();
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Failed to send image');
+                throw new Error(data.error || 'Failed to send file');
             }
 
-            const data = await response.json();
-            console.log('Image sent successfully:', data);
+            this.showSentMessage(data.message);
             return data;
         } catch (error) {
-            console.error('Error sending image:', error);
+            console.error('Error sending file:', error);
             throw error;
         }
     }
+
+    async getOutbox() {
+        const response = await fetch('/outbox');
+        if (!response.ok) {
+            throw new Error('Failed to load the outbox');
+        }
+        return await response.json();
+    }
+
+    async replayOutboxItem(id) {
+        const response = await fetch(`/outbox/${encodeURIComponent(id)}/replay`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to replay message');
+        }
+        return data.item;
+    }
+
+    async discardOutboxItem(id) {
+        const response = await fetch(`/outbox/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to discard message');
+        }
+        return data.item;
+    }
+
+    async sendImage(imageUrl, caption) {
+        const response = await fetch(imageUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load image ${imageUrl}`);
+        }
+        const blob = await response.blob();
+        const fileName = decodeURIComponent(new URL(imageUrl, window.location.href).pathname.split('/').pop());
+        return await this.sendMedia(new File([blob], fileName, { type: blob.type }), { caption });
+    }
 }
 
 export default WhatsAppService; 
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * JSON to SQLite Migration Script
+ *
+ * Imports the JSON store (chatHistory.json, tickets.json, ticketSequences.json,
+ * sessions.json, outbox.json, agents.json and conversations.json) into the SQLite
+ * database, so an existing installation can switch to STORAGE_BACKEND=sqlite without
+ * losing its history.
+ *
+ * Records that are already in the database are kept, so the import can be run again
+ * after more messages arrived. The JSON files are not changed.
+ *
+ * Usage:
+ *     npm run migrate-sqlite [-- path/to/dataDir [path/to/sprout.db]]
+ *
+ * Defaults to DATA_DIR / SQLITE_PATH, then public/ and data/sprout.db.
+ * Exits with code 1 if the import fails.
+ */
+
+import dotenv from 'dotenv';
+import { createStore } from '../services/storage/index.js';
+
+dotenv.config();
+
+const dataDir = process.argv[2] || process.env.DATA_DIR || undefined;
+const sqlitePath = process.argv[3] || process.env.SQLITE_PATH || undefined;
+
+let source;
+let target;
+try {
+    source = await createStore({ backend: 'json', dataDir });
+    target = await createStore({ backend: 'sqlite', sqlitePath });
+
+    const snapshot = {
+        messages: await source.getMessages(),
+        messageCounters: await source.getMessageCounters(),
+        tickets: await source.getTickets(),
+        sequences: await source.getTicketSequences(),
+        sessions: await source.getSessions(),
+        outbox: await source.getOutboxItems(),
+        agents: await source.getAgents(),
+        conversations: await source.getConversations()
+    };
+    const counts = await target.importSnapshot(snapshot);
+
+    const found = snapshot.messages.incoming.length + snapshot.messages.outgoing.length;
+    console.log(`✅ Imported ${counts.messages} of ${found} messages from ${source.dataDir}`);
+    console.log(`✅ Imported ${counts.tickets} of ${snapshot.tickets.length} tickets`);
+    console.log(`✅ Updated ${counts.sequences} ticket sequence(s) and imported ${counts.sessions} session(s)`);
+    console.log(`✅ Imported ${counts.outbox} of ${snapshot.outbox.length} outbox item(s)`);
+    console.log(`✅ Imported ${counts.agents} of ${snapshot.agents.length} agent account(s)`);
+    console.log(`✅ Imported ${counts.conversations} of ${snapshot.conversations.length} conversation(s)`);
+    console.log(`SQLite database: ${target.sqlitePath}`);
+} catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    await source?.close();
+    await target?.close();
+}
@@ -0,0 +1,54 @@
+/**
+ * Mock Graph API Script
+ *
+ * Runs the WhatsApp Cloud API simulator (services/graphSimulator.js) so the bot can be
+ * developed without live credentials or a network. Start the server with
+ * GRAPH_API_URL pointing at the simulator and any non-empty WHATSAPP_TOKEN:
+ *
+ *     npm run mock-graph
+ *     GRAPH_API_URL=http://localhost:3100 WHATSAPP_TOKEN=local npm start
+ *
+ * Then play the customer:
+ *
+ *     curl -X POST localhost:3100/_simulator/incoming -H 'Content-Type: application/json' \
+ *         -d '{"from": "15551234567", "text": "#sprout"}'
+ *     curl localhost:3100/_simulator/messages
+ *
+ * Environment:
+ *     MOCK_GRAPH_PORT           Port to listen on (default 3100)
+ *     MOCK_WEBHOOK_URL          Where deliveries are posted (default http://localhost:$PORT/webhook)
+ *     APP_SECRET                Signs deliveries, as the server expects
+ *     MOCK_STATUS_DELAY_MS      Time between the sent, delivered and read receipts (default 500)
+ *     MOCK_AUTO_STATUSES        "false" to only send receipts through /_simulator/statuses
+ *
+ * Exits with code 1 if the port is taken.
+ */
+
+import dotenv from 'dotenv';
+import GraphSimulator from '../services/graphSimulator.js';
+
+dotenv.config();
+
+const simulator = new GraphSimulator({
+    port: Number(process.env.MOCK_GRAPH_PORT) || 3100,
+    webhookUrl: process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/webhook`,
+    appSecret: process.env.APP_SECRET,
+    phoneNumberId: process.env.PHONE_NUMBER_ID,
+    autoStatuses: process.env.MOCK_AUTO_STATUSES !== 'false',
+    statusDelayMs: Number(process.env.MOCK_STATUS_DELAY_MS) || 500
+});
+
+try {
+    const baseUrl = await simulator.start();
+    console.log(`🧪 WhatsApp API simulator running at ${baseUrl}`);
+    console.log(`   Webhook deliveries go to ${simulator.webhookUrl}${simulator.appSecret ? ' (signed)' : ' (unsigned)'}`);
+    console.log(`   Start the server with GRAPH_API_URL=${baseUrl}`);
+} catch (error) {
+    console.error('❌ Failed to start the simulator:', error.message);
+    process.exit(1);
+}
+
+process.on('SIGINT', async () => {
+    await simulator.stop();
+    process.exit(0);
+});
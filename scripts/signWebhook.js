@@ -0,0 +1,66 @@
+/**
+ * Webhook Signing Script
+ *
+ * Signs a webhook fixture with APP_SECRET the way Meta does, so signature checking can
+ * be tried locally. Prints the X-Hub-Signature-256 value, or posts the fixture to a
+ * running server. With --tamper the body is changed after signing, which the server
+ * must reject.
+ *
+ * Usage:
+ *     npm run sign-webhook -- <fixture.json> [--post <url>] [--tamper] [--unsigned]
+ *
+ * Examples:
+ *     npm run sign-webhook -- scripts/fixtures/webhook_text_message.json
+ *     npm run sign-webhook -- scripts/fixtures/webhook_text_message.json --post http://localhost:3001/webhook
+ *     npm run sign-webhook -- scripts/fixtures/webhook_text_message.json --post http://localhost:3001/webhook --tamper
+ *
+ * Exits with code 1 if the fixture can't be read or the post fails.
+ */
+
+import fs from 'fs/promises';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { signPayload, SIGNATURE_HEADER } from '../services/webhookSignature.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const postIndex = args.indexOf('--post');
+const postUrl = postIndex !== -1 ? args[postIndex + 1] : null;
+const fixturePath = args.find((arg, index) => !arg.startsWith('--') && (postIndex === -1 || index !== postIndex + 1));
+const tamper = args.includes('--tamper');
+const unsigned = args.includes('--unsigned');
+const appSecret = process.env.APP_SECRET;
+
+if (!fixturePath) {
+    console.error('Usage: npm run sign-webhook -- <fixture.json> [--post <url>] [--tamper] [--unsigned]');
+    process.exit(1);
+}
+if (!appSecret && !unsigned) {
+    console.error('APP_SECRET is not set');
+    process.exit(1);
+}
+
+try {
+    // Sign the compact JSON that is actually sent
+    const body = JSON.stringify(JSON.parse(await fs.readFile(fixturePath, 'utf8')));
+    const signature = unsigned ? null : signPayload(body, appSecret);
+    const sentBody = tamper ? body.replace(/"timestamp":"(\d+)"/, (match, value) => `"timestamp":"${Number(value) + 1}"`) : body;
+
+    if (!postUrl) {
+        console.log(`${SIGNATURE_HEADER}: ${signature}`);
+        console.log(sentBody);
+        process.exit(0);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (signature) {
+        headers[SIGNATURE_HEADER] = signature;
+    }
+    const response = await axios.post(postUrl, sentBody, { headers, validateStatus: () => true });
+    const outcome = response.status === 200 ? '✅ Accepted' : '❌ Rejected';
+    console.log(`${outcome} (${response.status})${tamper ? ' [tampered body]' : ''}${unsigned ? ' [unsigned]' : ''}`);
+} catch (error) {
+    console.error('Failed to sign webhook fixture:', error.message);
+    process.exit(1);
+}
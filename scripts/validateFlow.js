@@ -0,0 +1,39 @@
+/**
+ * Conversation Flow Validation Script
+ *
+ * Validates a flow definition without starting the server, so flow edits can be
+ * checked before a deploy.
+ *
+ * Usage:
+ *     npm run validate-flow [-- path/to/flow.json]
+ *
+ * Exits with code 1 if the flow has errors.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateFlow } from '../services/flowValidator.js';
+import { RESERVED_COMMANDS } from '../services/conversationEngine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const flowPath = process.argv[2] || process.env.SPROUT_FLOW_PATH || path.join(__dirname, '..', 'public', 'sprout_flow.json');
+
+try {
+    const flow = JSON.parse(await fs.readFile(flowPath, 'utf8'));
+    const { valid, errors, warnings } = validateFlow(flow, { reservedWords: RESERVED_COMMANDS });
+
+    warnings.forEach(warning => console.warn('⚠️  ' + warning));
+    errors.forEach(error => console.error('❌ ' + error));
+
+    if (!valid) {
+        console.error(`Flow ${flowPath} has ${errors.length} error(s)`);
+        process.exit(1);
+    }
+    console.log(`✅ Flow ${flowPath} is valid (${Object.keys(flow.nodes).length} nodes)`);
+} catch (error) {
+    console.error(`Failed to validate ${flowPath}:`, error.message);
+    process.exit(1);
+}
@@ -9,15 +9,21 @@
  * - WhatsApp Business API integration
  * - Webhook handling and verification
  * - Message routing and processing
+ * - Running the Sprout bot conversation engine on incoming messages
  * - Ticket management and storage
+ * - Customer notifications when tickets are assigned or change status
  * - Static file serving
  * - Environment configuration
- * - Media handling (images)
+ * - Media handling (images, video, audio and documents in both directions)
+ * - Durable delivery of outgoing messages through a persisted outbox
+ * - Agent accounts, sign-in and role checks for the console and its routes
+ * - An inbox of conversations grouped by customer, with unread counts
+ * - Agent takeover of a conversation, silencing the bot until it is handed back
  * 
  * Technical Implementation:
  * - Express.js web server
  * - WhatsApp Business API client
- * - File-based storage systems
+ * - JSON file or SQLite storage
  * - RESTful API endpoints
  * - Webhook integration
  * - Media upload handling
@@ -28,46 +34,112 @@
  * - Secure environment configuration
  * - Message history management
  * - Ticket system integration
- * - Image upload and sending
+ * - Media upload and sending
  * - Error handling and logging
  * 
  * API Endpoints:
  * 1. WhatsApp Integration:
- *    - POST /webhook: Receive WhatsApp messages
+ *    - POST /webhook: Receive WhatsApp messages and send bot replies (signature-checked)
  *    - GET /webhook: Verify WhatsApp webhook
- *    - POST /send-message: Send text messages
- *    - POST /send-image: Send images
- *    - POST /upload-media: Upload media to WhatsApp
+ *    - POST /send-message: Send text messages (within the 24-hour service window)
+ *    - POST /send-template: Send an approved template message
+ *    - GET /templates: List message templates
+ *    - POST /templates: Add or replace a message template
+ *    - GET /customers/:phone/window: Whether the 24-hour service window is open
+ *    - POST /send-list: Send interactive list messages
+ *    - POST /send-buttons: Send interactive reply-button messages
+ *    - POST /send-menu: Send a #sprout menu as an interactive list
+ *    - POST /send-image: Send an uploaded image with a caption
+ *    - POST /send-media: Send an image, document, audio or video file (multipart)
+ *    - POST /upload-media: Upload an image, document, audio or video file to WhatsApp
+ *    - GET /outbox: Messages waiting to be delivered and dead letters
+ *    - POST /outbox/:id/replay: Queue a dead letter again
+ *    - DELETE /outbox/:id: Discard a dead letter
  * 
  * 2. Ticket Management:
  *    - GET /tickets: Retrieve all tickets
- *    - POST /save-ticket: Create/update tickets
+ *    - POST /tickets: Create a ticket under the next sequential number
+ *    - GET /tickets/statuses: Ticket statuses and allowed transitions
+ *    - GET /tickets/:ticketNumber: Retrieve one ticket with its history
+ *    - POST /tickets/:ticketNumber/status: Change a ticket's status
+ *    - POST /tickets/:ticketNumber/assign: Assign a ticket to an agent
+ *    - POST /tickets/:ticketNumber/notes: Add an internal note
+ *    - POST /save-ticket: Create tickets (numbers are assigned when missing)
  *    - POST /api/clear-tickets: Clear ticket history
  *    - GET /check-tickets: Get ticket status
  * 
  * 3. Message Management:
  *    - GET /messages: Retrieve messages
+ *    - GET /events: Server-Sent Events for new messages, status updates, ticket and
+ *      conversation changes
+ *    - GET /conversations: Inbox of conversations, one per customer
+ *    - GET /conversations/:phone: One conversation with its open tickets
+ *    - GET /conversations/:phone/messages: Page through a conversation's messages
+ *    - POST /conversations/:phone/read: Mark a conversation as read
+ *    - POST /conversations/:phone/mode: Take over, pause or hand back a conversation
  *    - POST /api/clear-chat-history: Clear message history
  *    - GET /debug/chat-history: Debug message history
  * 
  * 4. System Management:
  *    - GET /health: System health check
- *    - GET /environment: Environment variables
- *    - GET /test-message: Test message sending
+ *    - GET /capabilities: Connected number, API version and enabled features (no secrets)
+ *    - GET /test-message: Send a test message to ?to= or RECIPIENT_PHONE
+ * 
+ * 5. Agents and Sign-in:
+ *    - POST /auth/login: Sign in, sets the session cookie and returns a bearer token
+ *    - POST /auth/logout: End the current session
+ *    - GET /auth/me: The signed-in agent
+ *    - POST /auth/password: Change your own password
+ *    - GET /agents: List agent accounts
+ *    - POST /agents: Add an agent account
+ *    - PUT /agents/:username: Change an account's name, role or password
+ *    - DELETE /agents/:username: Delete an agent account
+ * 
+ * Access:
+ * The webhook routes, /health and /auth/login are public. Every other route needs a
+ * signed-in agent (session cookie or `Authorization: Bearer <token>`) with a role of at
+ * least:
+ *    - agent: reading chats and conversations, tickets, templates, the outbox and media; sending
+ *      messages; taking over conversations; creating and working on tickets; /capabilities
+ *      (changing a conversation another agent took over needs a supervisor)
+ *    - supervisor: POST /templates, /save-ticket, replaying and discarding dead letters
+ *    - admin: /api/clear-*, /debug/chat-history, /test-message and /agents
  * 
  * Dependencies:
  * - express: Web server framework
  * - dotenv: Environment configuration
- * - axios: HTTP client
+ * - axios: HTTP client (through services/graphClient.js)
  * - form-data: Multipart form handling
- * - fs/promises: File system operations
+ * - multer: Multipart uploads from the console
  * 
  * Environment Variables:
  * - WHATSAPP_TOKEN: WhatsApp API authentication token
  * - PHONE_NUMBER_ID: WhatsApp Business Account ID
  * - VERSION: WhatsApp API version
  * - WEBHOOK_VERIFY_TOKEN: Webhook verification token
+ * - APP_SECRET: Meta app secret used to verify X-Hub-Signature-256 on webhook deliveries
  * - PORT: Server port number
+ * - SESSION_IDLE_TIMEOUT_MINUTES: Idle time before a customer session expires (default 30)
+ * - DEFAULT_LANGUAGE: Language given to new customer sessions (default en)
+ * - SPROUT_FLOW_PATH: Conversation flow definition (default public/sprout_flow.json)
+ * - TEMPLATES_PATH: Approved WhatsApp message templates (default public/message_templates.json)
+ * - INTERACTIVE_MENUS: Send menus as WhatsApp lists and buttons (default true, "false" for text)
+ * - STORAGE_BACKEND: Where messages, tickets and sessions are stored, json or sqlite (default json)
+ * - DATA_DIR: Directory of the JSON store files (default public)
+ * - SQLITE_PATH: SQLite database file (default data/sprout.db)
+ * - MEDIA_DIR: Where media customers send is stored, served under /media (default data/media)
+ * - INBOUND_MEDIA_MAX_MB: Largest customer media file that is downloaded (default 16)
+ * - MESSAGES_PER_SECOND: Throughput limit of the WhatsApp phone number (default 80)
+ * - GRAPH_API_URL: WhatsApp API base URL, e.g. the local simulator (default https://graph.facebook.com)
+ * - GRAPH_MAX_RETRIES: Retries of rate-limited or transient WhatsApp API failures (default 3)
+ * - OUTBOX_MAX_ATTEMPTS: Delivery attempts before an outgoing message is dead-lettered (default 8)
+ * - ADMIN_USERNAME / ADMIN_PASSWORD: Admin account created when there are no accounts yet (default username admin)
+ * - AUTH_SESSION_HOURS: How long a sign-in lasts (default 12)
+ * - CORS_ORIGINS: Comma-separated origins allowed to call the API from a browser (default none)
+ * - HUMAN_TAKEOVER_MESSAGE: Sent to the customer when an agent takes over; {agent} is replaced
+ *   by the agent's name (empty to send nothing)
+ * - BOT_HANDBACK_MESSAGE: Sent to the customer when the conversation is handed back to the bot
+ *   (empty to send nothing)
  * 
  * Error Handling:
  * - Detailed error logging
@@ -76,26 +148,43 @@
  * - Debug information
  * 
  * Security Features:
- * - Environment variable protection
+ * - Environment variable protection: the WhatsApp token stays on the server, and
+ *   secrets are redacted from every log line (services/logRedaction.js)
  * - Webhook verification
  * - Token validation
+ * - Agent sign-in with scrypt password hashes and role checks
+ * - CORS restricted to configured origins
+ * - Store files in public/ are never served
  * - Error message sanitization
  * 
  * @module server
  * @requires express
  * @requires dotenv
- * @requires axios
- * @requires fs/promises
  */
 
 import express from "express";
 import dotenv from "dotenv";
-import axios from "axios";
-import fs from 'fs/promises';
 import path from "path";
 import { fileURLToPath } from 'url';
-import MessageStorage from './public/messageStorage.js';
-import FormData from 'form-data';
+import MessageStorage, { THREAD_ORDER } from './public/messageStorage.js';
+import TicketStorage, { TICKET_STATUSES, TICKET_TRANSITIONS, TicketError } from './services/ticketStorage.js';
+import ConversationEngine, { RESERVED_COMMANDS } from './services/conversationEngine.js';
+import SessionStore from './services/sessionStore.js';
+import ConversationFlow from './services/conversationFlow.js';
+import TicketNotifier from './services/ticketNotifier.js';
+import { createStore } from './services/storage/index.js';
+import { verifySignature, SIGNATURE_HEADER } from './services/webhookSignature.js';
+import WebhookProcessor from './services/webhookProcessor.js';
+import GraphClient, { GraphError } from './services/graphClient.js';
+import MediaStore, { MediaError } from './services/mediaStore.js';
+import MediaUploader, { MEDIA_LIMITS, MAX_MEDIA_BYTES } from './services/mediaUploader.js';
+import MessageTemplates, { TemplateError } from './services/messageTemplates.js';
+import OutboundQueue, { QueueError } from './services/outboundQueue.js';
+import AgentAccounts, { ROLES } from './services/agentAccounts.js';
+import { installLogRedaction, redactFields } from './services/logRedaction.js';
+import EventStream from './services/eventStream.js';
+import ConversationInbox, { ConversationError } from './services/conversationInbox.js';
+import multer from 'multer';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -103,6 +192,14 @@ const __dirname = path.dirname(__filename);
 // At the very top of server.js, after imports
 console.log('Starting server...');
 dotenv.config();
+
+// Secrets never reach the logs, whatever is logged below
+installLogRedaction([
+    process.env.WHATSAPP_TOKEN,
+    process.env.APP_SECRET,
+    process.env.WEBHOOK_VERIFY_TOKEN,
+    process.env.ADMIN_PASSWORD
+]);
 console.log('Environment check:', {
     hasToken: !!process.env.WHATSAPP_TOKEN,
     tokenLength: process.env.WHATSAPP_TOKEN ? process.env.WHATSAPP_TOKEN.length : 0,
@@ -112,12 +209,7 @@ console.log('Environment check:', {
 
 const app = express();
 
-// IMPORTANT: Declare messages array here, at the top level
-let messages = [];
-
-// Initialize message storage
-const messageStorage = new MessageStorage();
-await messageStorage.initialize();
+const DEFAULT_GRAPH_API_URL = 'https://graph.facebook.com';
 
 /**
  * Server Configuration
@@ -127,7 +219,28 @@ const config = {
     TOKEN: process.env.WHATSAPP_TOKEN,
     PHONE_NUMBER_ID: process.env.PHONE_NUMBER_ID || '541998855653030',
     VERSION: process.env.VERSION || 'v21.0',
-    PORT: process.env.PORT || 3001
+    GRAPH_API_URL: process.env.GRAPH_API_URL || DEFAULT_GRAPH_API_URL,
+    PORT: process.env.PORT || 3001,
+    SESSION_IDLE_TIMEOUT_MINUTES: Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30,
+    DEFAULT_LANGUAGE: process.env.DEFAULT_LANGUAGE || 'en',
+    SPROUT_FLOW_PATH: process.env.SPROUT_FLOW_PATH,
+    TEMPLATES_PATH: process.env.TEMPLATES_PATH,
+    INTERACTIVE_MENUS: process.env.INTERACTIVE_MENUS !== 'false',
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'json',
+    DATA_DIR: process.env.DATA_DIR,
+    SQLITE_PATH: process.env.SQLITE_PATH,
+    APP_SECRET: process.env.APP_SECRET,
+    MEDIA_DIR: process.env.MEDIA_DIR || path.join(__dirname, 'data', 'media'),
+    INBOUND_MEDIA_MAX_MB: Number(process.env.INBOUND_MEDIA_MAX_MB) || 16,
+    MESSAGES_PER_SECOND: Number(process.env.MESSAGES_PER_SECOND) || 80,
+    GRAPH_MAX_RETRIES: process.env.GRAPH_MAX_RETRIES !== undefined ? Number(process.env.GRAPH_MAX_RETRIES) : 3,
+    OUTBOX_MAX_ATTEMPTS: Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8,
+    ADMIN_USERNAME: process.env.ADMIN_USERNAME || 'admin',
+    ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
+    AUTH_SESSION_HOURS: Number(process.env.AUTH_SESSION_HOURS) || 12,
+    CORS_ORIGINS: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    HUMAN_TAKEOVER_MESSAGE: process.env.HUMAN_TAKEOVER_MESSAGE ?? "You're now chatting with {agent} from our support team.",
+    BOT_HANDBACK_MESSAGE: process.env.BOT_HANDBACK_MESSAGE ?? "You're back with the Sprout bot. Type #sprout to see our support menu."
 };
 
 // Validate required configuration
@@ -141,46 +254,407 @@ console.log('Configuration loaded:', {
     hasToken: !!config.TOKEN,
     tokenLength: config.TOKEN ? config.TOKEN.length : 0,
     phoneNumberId: config.PHONE_NUMBER_ID,
-    version: config.VERSION
+    version: config.VERSION,
+    graphApiUrl: config.GRAPH_API_URL,
+    storageBackend: config.STORAGE_BACKEND,
+    verifiesWebhookSignatures: !!config.APP_SECRET,
+    corsOrigins: config.CORS_ORIGINS
+});
+
+if (!config.APP_SECRET) {
+    console.warn('⚠️  APP_SECRET is not set: webhook deliveries will be accepted without signature checks');
+}
+
+// Open the storage backend shared by messages, tickets and sessions
+const store = await createStore({
+    backend: config.STORAGE_BACKEND,
+    dataDir: config.DATA_DIR,
+    sqlitePath: config.SQLITE_PATH
+});
+
+// Accounts agents sign in to the console with
+const agentAccounts = new AgentAccounts({
+    store,
+    sessionTtlMs: config.AUTH_SESSION_HOURS * 60 * 60 * 1000
+});
+await agentAccounts.initialize({
+    bootstrapAdmin: { username: config.ADMIN_USERNAME, password: config.ADMIN_PASSWORD }
+});
+if (agentAccounts.list().length === 0) {
+    console.warn('⚠️  There are no agent accounts: set ADMIN_PASSWORD to create the first admin');
+}
+
+// Every WhatsApp API call goes through this client: retries, throughput and error types
+const graphClient = new GraphClient({
+    token: config.TOKEN,
+    version: config.VERSION,
+    phoneNumberId: config.PHONE_NUMBER_ID,
+    graphUrl: config.GRAPH_API_URL,
+    messagesPerSecond: config.MESSAGES_PER_SECOND,
+    maxRetries: config.GRAPH_MAX_RETRIES
+});
+
+// Initialize message storage
+const messageStorage = new MessageStorage({ store });
+await messageStorage.initialize();
+
+// Outgoing messages are written to the outbox first and delivered in the background
+const outboundQueue = new OutboundQueue({
+    store,
+    graphClient,
+    messageStorage,
+    maxAttempts: config.OUTBOX_MAX_ATTEMPTS
 });
+await outboundQueue.initialize();
+outboundQueue.start();
+
+// Initialize ticket storage
+const ticketStorage = new TicketStorage({ store });
+
+// One conversation per customer for the console's inbox
+const conversationInbox = new ConversationInbox({ store, messageStorage, ticketStorage });
+await conversationInbox.initialize();
+
+// Push message, ticket and conversation changes to the open consoles
+const eventStream = new EventStream();
+messageStorage.on('messageAdded', message => eventStream.publish('new-message', toConsoleMessage(message)));
+messageStorage.on('messageUpdated', message => eventStream.publish('status-update', toConsoleMessage(message)));
+ticketStorage.on('ticketCreated', ticket => eventStream.publish('ticket-created', { ticket }));
+ticketStorage.on('ticketUpdated', (ticket, entry) => eventStream.publish('ticket-updated', { ticket, entry }));
+conversationInbox.on('conversationUpdated', conversation => eventStream.publish('conversation-updated', { conversation }));
+
+/**
+ * A stored message in the shape the console reads: the text as `text.body` and the
+ * customer's number as `from`, for incoming and outgoing messages alike
+ * @param {Object} message - Stored message
+ * @returns {Object}
+ */
+function toConsoleMessage(message) {
+    return {
+        ...message,
+        text: { body: message.content },
+        from: message.to || message.from
+    };
+}
+
+// Load the approved message templates, the only messages allowed outside the service window
+const messageTemplates = new MessageTemplates({ templatesPath: config.TEMPLATES_PATH });
+await messageTemplates.load();
+
+// Customers' messages are stored under their WhatsApp id, which is digits only
+const phoneDigits = phone => String(phone ?? '').replace(/\D/g, '');
+
+/**
+ * Stores an outgoing message as queued and adds it to the outbox. The outbound queue
+ * delivers it and records its WhatsApp id, so receipts can be matched to it.
+ * @param {string} to - Recipient phone number; stored as digits only (+27 82… becomes
+ *     2782…), so the message shows in the customer's thread
+ * @param {Object} payload - Message body for the Graph API, without `to`
+ * @param {string} content - Text stored in the chat history for this message
+ * @param {Object} [metadata] - Extra fields stored with the message
+ * @param {Object} [fallback] - Payload sent instead if WhatsApp rejects this one
+ * @returns {Promise<Object>} { message } with the stored message
+ */
+async function queueMessage(to, payload, content, metadata = {}, fallback = null) {
+    const recipient = phoneDigits(to);
+    const storedMessage = await messageStorage.addOutgoingMessage(recipient, content, metadata);
+    await outboundQueue.enqueue(recipient, payload, { messageId: storedMessage.id, fallback });
+    console.log('Queued outgoing message:', { id: storedMessage.id, to: recipient, type: payload.type });
+    return { message: storedMessage };
+}
+
+// Stored with every reply of the conversation engine
+const SENT_BY_BOT = { sentBy: 'bot' };
+
+/**
+ * Sender fields stored with a message an agent sends from the console, so the chat
+ * shows who wrote it instead of making it look like a bot reply
+ * @param {Object} agent - The signed-in agent (req.agent)
+ * @returns {Object} { sentBy: 'agent', agent, agentName }
+ */
+function sentByAgent(agent) {
+    return { sentBy: 'agent', agent: agent.username, agentName: agent.name || agent.username };
+}
+
+/**
+ * Queues a text message and stores it as an outgoing message
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message content
+ * @param {Object} [metadata] - Extra fields stored with the message (e.g. ticketNumber)
+ * @returns {Promise<Object>} { message } with the stored message, queued for delivery
+ */
+async function sendTextMessage(to, message, metadata = {}) {
+    return await queueMessage(to, {
+        type: "text",
+        text: { body: message }
+    }, message, metadata);
+}
+
+/**
+ * Queues an approved template message
+ * @param {string} to - Recipient phone number
+ * @param {Object} template - WhatsApp `template` object built by MessageTemplates.build
+ * @param {string} content - Text stored in the chat history for this message
+ * @param {Object} [metadata] - Extra fields stored with the message
+ * @returns {Promise<Object>} { message } with the stored message, queued for delivery
+ */
+async function sendTemplateMessage(to, template, content, metadata = {}) {
+    return await queueMessage(to, {
+        type: "template",
+        template
+    }, content, { ...metadata, template: template.name });
+}
 
-// Parse JSON bodies (must be before routes)
-app.use(express.json());
+/**
+ * Error for a free-form message to a customer whose 24-hour service window has closed
+ * @param {string} to - Recipient phone number
+ * @param {Object} serviceWindow - The window state, answered as `serviceWindow`
+ * @returns {TemplateError} 409
+ */
+function windowClosedError(to, serviceWindow) {
+    const error = new TemplateError(`The 24-hour service window with ${to} is closed; only template messages can be sent`, 409);
+    error.serviceWindow = serviceWindow;
+    return error;
+}
+
+/**
+ * Refuses a free-form message up front once the customer's service window has closed,
+ * instead of queueing one WhatsApp will only reject
+ * @param {string} to - Recipient phone number
+ * @throws {TemplateError} 409 when the window is closed
+ */
+async function requireOpenWindow(to) {
+    const serviceWindow = await messageStorage.getServiceWindow(to);
+    if (!serviceWindow.open) {
+        throw windowClosedError(to, serviceWindow);
+    }
+}
 
-// Enable CORS for all routes
+/**
+ * Sends a free-form text message if the customer's 24-hour service window is open.
+ * Once it has closed, the configured window-closed template is sent instead, asking
+ * the customer to reply; without one the message is refused.
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message content
+ * @param {Object} [metadata] - Extra fields stored with the message
+ * @returns {Promise<Object>} { message } with the stored message and, when the template
+ *     was sent instead, `serviceWindow` and the template's name as `switchedToTemplate`
+ * @throws {TemplateError} 409 when the window is closed and there is no fallback template
+ */
+async function sendTextWithinWindow(to, message, metadata = {}) {
+    const serviceWindow = await messageStorage.getServiceWindow(to);
+    if (serviceWindow.open) {
+        return await sendTextMessage(to, message, metadata);
+    }
+
+    const fallback = messageTemplates.getWindowClosedTemplate();
+    if (!fallback) {
+        throw windowClosedError(to, serviceWindow);
+    }
+    const { template, text } = messageTemplates.build(fallback.name, { language: fallback.language });
+    const result = await sendTemplateMessage(to, template, text, metadata);
+    return { ...result, serviceWindow, switchedToTemplate: fallback.name };
+}
+
+/**
+ * Queues an interactive list or reply-button message. If WhatsApp rejects it, the
+ * stored text is sent instead so the customer can still type the codes.
+ * @param {string} to - Recipient phone number
+ * @param {Object} interactive - WhatsApp `interactive` object (type list or button)
+ * @param {string} content - Text stored in the chat history for this message
+ * @param {Object} [metadata] - Extra fields stored with the message
+ * @returns {Promise<Object>} { message } with the stored message, queued for delivery
+ * @throws {TemplateError} 409 when the customer's service window is closed
+ */
+async function sendInteractiveMessage(to, interactive, content, metadata = {}) {
+    await requireOpenWindow(to);
+    const text = content || interactive.body?.text || '';
+    return await queueMessage(to, {
+        type: "interactive",
+        interactive
+    }, text, metadata, {
+        type: "text",
+        text: { body: text }
+    });
+}
+
+/**
+ * Queues uploaded media and stores it as an outgoing message
+ * @param {string} to - Recipient phone number
+ * @param {Object} media - Uploaded media
+ * @param {string} media.kind - image, sticker, audio, video or document
+ * @param {string} media.id - WhatsApp media ID returned by the upload
+ * @param {string} [media.caption] - Caption (images, videos and documents)
+ * @param {string} [media.fileName] - File name shown to the customer (documents)
+ * @param {Object} [metadata] - Extra fields stored with the message
+ * @returns {Promise<Object>} { message } with the stored message, queued for delivery
+ * @throws {TemplateError} 409 when the customer's service window is closed
+ */
+async function sendMediaMessage(to, { kind, id, caption, fileName, mimeType, sha256 }, metadata = {}) {
+    await requireOpenWindow(to);
+    const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+    const name = kind === 'document' && fileName ? `: ${fileName}` : '';
+    return await queueMessage(to, mediaUploader.buildMessage(kind, id, { caption, fileName }),
+        caption ? `[${label}${name}] ${caption}` : `[${label}${name}]`, {
+            ...metadata,
+            media: { id, kind, mimeType, sha256, caption, originalName: fileName }
+        });
+}
+
+/**
+ * Sends the Sprout Bot official logo. The upload is cached by content hash, so the
+ * logo is only uploaded again once its media ID is about to expire.
+ * @param {string} to - Recipient phone number
+ * @param {Object} [metadata] - Extra fields stored with the message
+ * @returns {Promise<Object>} { message } with the stored message, queued for delivery
+ */
+async function sendLogoMessage(to, metadata = {}) {
+    const logo = await mediaUploader.uploadFile(LOGO_PATH);
+    return await sendMediaMessage(to, { ...logo, caption: LOGO_CAPTION }, metadata);
+}
+
+// Initialize per-customer conversation sessions
+const sessionStore = new SessionStore({
+    idleTimeoutMs: config.SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000,
+    defaultLanguage: config.DEFAULT_LANGUAGE,
+    store
+});
+await sessionStore.initialize();
+sessionStore.startExpiryTimer();
+
+// Load the #sprout conversation flow definition
+const conversationFlow = new ConversationFlow({
+    flowPath: config.SPROUT_FLOW_PATH,
+    reservedWords: RESERVED_COMMANDS
+});
+
+// Initialize the server-side conversation engine. It replies to customers directly
+// from the webhook, unless an agent has taken the conversation over.
+const conversationEngine = new ConversationEngine({
+    messenger: {
+        sendText: (to, body) => sendTextMessage(to, body, SENT_BY_BOT),
+        sendImage: (to) => sendLogoMessage(to, SENT_BY_BOT),
+        sendInteractive: (to, interactive, body) => sendInteractiveMessage(to, interactive, body, SENT_BY_BOT)
+    },
+    interactive: config.INTERACTIVE_MENUS,
+    ticketStorage,
+    sessionStore,
+    flow: conversationFlow
+});
+await conversationEngine.initialize();
+
+// Tell customers when their tickets are assigned or change status
+const ticketNotifier = new TicketNotifier({
+    ticketStorage,
+    messenger: {
+        sendText: (to, body, metadata) => sendTextWithinWindow(to, body, { ...metadata, sentBy: 'system' })
+    }
+});
+await ticketNotifier.initialize();
+
+// Uploads media agents send, reusing the media ID of files that were sent before
+const mediaUploader = new MediaUploader({ graphClient });
+
+const LOGO_PATH = path.join(__dirname, 'public', 'images', 'Sprout bot official.png');
+const LOGO_CAPTION = 'Sprout - Green Enterprise Solutions Support';
+
+// Downloads media customers send so agents can open it from the chat and tickets
+const mediaStore = new MediaStore({
+    graphClient,
+    mediaDir: config.MEDIA_DIR,
+    maxBytes: config.INBOUND_MEDIA_MAX_MB * 1024 * 1024
+});
+
+// Process webhook deliveries off the request path, deduplicated on the WhatsApp message id
+const webhookProcessor = new WebhookProcessor({
+    messageStorage,
+    conversationEngine,
+    conversationInbox,
+    mediaStore
+});
+
+// Parse JSON bodies (must be before routes). The raw bytes are kept because webhook
+// signatures are computed over the body exactly as Meta sent it.
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// Allow browsers on the configured origins only; the console itself is same-origin
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
+    const origin = req.get('Origin');
+    res.vary('Origin');
+    if (!origin || !config.CORS_ORIGINS.includes(origin)) {
+        return next();
+    }
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
     next();
 });
 
-// Add this middleware to log all requests
+// Add this middleware to log all requests (passwords and tokens in bodies are redacted)
 app.use((req, res, next) => {
-    console.log(`${req.method} ${req.path}`, req.body);
+    console.log(`${req.method} ${req.path}`, redactFields(req.body));
     next();
 });
 
+const SESSION_COOKIE = 'sprout_session';
+
+/**
+ * Reads the session token of a request: a bearer token, or else the session cookie
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readSessionToken(req) {
+    const bearer = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+    if (bearer) {
+        return bearer[1];
+    }
+    for (const cookie of (req.get('Cookie') || '').split(';')) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Only lets requests through from a signed-in agent with at least the given role,
+ * answering 401 without a valid session and 403 when the role is too low. The agent
+ * is available to the route as req.agent.
+ * @param {string} role - agent, supervisor or admin
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        const agent = agentAccounts.authenticate(readSessionToken(req));
+        if (!agent) {
+            return res.status(401).json({ success: false, error: 'Sign in to continue' });
+        }
+        if (!agentAccounts.hasRole(agent, role)) {
+            return res.status(403).json({ success: false, error: `This needs the ${role} role` });
+        }
+        req.agent = agent;
+        next();
+    };
+}
+
 // Group all API routes together at the top
 // API Routes
 const apiRouter = express.Router();
+apiRouter.use(requireRole('admin'));
 
 // Clear tickets endpoint
 apiRouter.post('/clear-tickets', async (req, res) => {
     try {
         console.log('Received clear tickets request');
-        const ticketsPath = path.join(__dirname, 'public', 'tickets.json');
-        
-        // Create empty tickets structure
-        const emptyTickets = {
-            tickets: []
-        };
-        
-        // Write empty tickets to file
-        await fs.writeFile(
-            ticketsPath, 
-            JSON.stringify(emptyTickets, null, 2)
-        );
+        await ticketStorage.clearTickets();
         
         console.log('All tickets cleared successfully');
         res.status(200).json({ 
@@ -201,7 +675,7 @@ apiRouter.post('/clear-tickets', async (req, res) => {
 apiRouter.post('/clear-chat-history', async (req, res) => {
     try {
         await messageStorage.clearMessages();
-        messages = [];
+        await conversationInbox.clear();
         console.log('Chat history cleared successfully');
         res.status(200).json({ 
             success: true, 
@@ -221,65 +695,392 @@ apiRouter.post('/clear-chat-history', async (req, res) => {
 app.use('/api', apiRouter);
 
 /**
- * Sends a message via WhatsApp API
+ * Answers a failed sign-in or account request with the error's HTTP status
+ * @param {Object} res - Express response
+ * @param {Error} error - AuthError, or any other error (500)
+ */
+function sendAuthError(res, error) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode === 500) {
+        console.error('Account operation failed:', error);
+    }
+    res.status(statusCode).json({ success: false, error: error.message });
+}
+
+/**
+ * Signs an agent in. The console uses the session cookie; API clients send the
+ * returned token as `Authorization: Bearer <token>`.
+ * @route POST /auth/login
+ * @param {string} req.body.username
+ * @param {string} req.body.password
+ * @returns {Object} { token, expiresAt, agent }
+ */
+app.post('/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const session = await agentAccounts.login(username, password);
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            path: '/',
+            expires: new Date(session.expiresAt)
+        });
+        res.json({ success: true, ...session });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Ends the current session
+ * @route POST /auth/logout
+ */
+app.post('/auth/logout', async (req, res) => {
+    try {
+        await agentAccounts.logout(readSessionToken(req));
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ success: true });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Returns the signed-in agent
+ * @route GET /auth/me
+ * @returns {Object} { agent: { username, name, role } }
+ */
+app.get('/auth/me', requireRole('agent'), (req, res) => {
+    res.json({ success: true, agent: req.agent });
+});
+
+/**
+ * Changes the signed-in agent's password and ends all of their sessions
+ * @route POST /auth/password
+ * @param {string} req.body.currentPassword
+ * @param {string} req.body.newPassword
+ */
+app.post('/auth/password', requireRole('agent'), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        await agentAccounts.changePassword(req.agent.username, currentPassword, newPassword);
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ success: true });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Lists the agent accounts
+ * @route GET /agents
+ */
+app.get('/agents', requireRole('admin'), (req, res) => {
+    res.json({ agents: agentAccounts.list(), roles: ROLES });
+});
+
+/**
+ * Adds an agent account
+ * @route POST /agents
+ * @param {string} req.body.username - 3 to 32 letters, digits, dots, dashes or underscores
+ * @param {string} req.body.password - At least 8 characters
+ * @param {string} [req.body.role] - agent (default), supervisor or admin
+ * @param {string} [req.body.name] - Name shown in the console
+ */
+app.post('/agents', requireRole('admin'), async (req, res) => {
+    try {
+        const agent = await agentAccounts.create(req.body);
+        console.log(`Agent ${agent.username} (${agent.role}) created by ${req.agent.username}`);
+        res.status(201).json({ success: true, agent });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Changes an agent's name, role or password; a new password ends their sessions
+ * @route PUT /agents/:username
+ * @param {string} [req.body.name]
+ * @param {string} [req.body.role]
+ * @param {string} [req.body.password]
+ */
+app.put('/agents/:username', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, role, password } = req.body;
+        const agent = await agentAccounts.update(req.params.username, { name, role, password });
+        res.json({ success: true, agent });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Deletes an agent account; the last admin can't be deleted
+ * @route DELETE /agents/:username
+ */
+app.delete('/agents/:username', requireRole('admin'), async (req, res) => {
+    try {
+        const agent = await agentAccounts.remove(req.params.username);
+        console.log(`Agent ${agent.username} deleted by ${req.agent.username}`);
+        res.json({ success: true, agent });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Answers a failed WhatsApp API request. GraphErrors keep their meaning: 429 with
+ * Retry-After for rate limits, 503 for an expired token or a Meta outage, 409 for a
+ * closed service window, 422 for a number that can't receive messages, 400 for a
+ * rejected request. Anything else is a 500.
+ * @param {Object} res - Express response
+ * @param {Error} error - GraphError, or any other error
+ * @param {string} [context] - What was being done, for the log
+ */
+function sendGraphError(res, error, context = 'WhatsApp API request') {
+    const statusCode = error.statusCode || 500;
+    // GraphErrors are logged by the client
+    if (!(error instanceof GraphError) && statusCode === 500) {
+        console.error(`${context} failed:`, error);
+    }
+    if (error.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        kind: error.kind,
+        code: error.code,
+        details: error.details
+    });
+}
+
+/**
+ * Sends a message via WhatsApp API. Outside the customer's 24-hour service window the
+ * window-closed template is sent instead (reported as `switchedToTemplate`), or the
+ * message is refused with 409 when there is none.
  * @route POST /send-message
- * @param {Object} req.body.message - Message content
- * @param {string} req.body.to - Recipient phone number
+ * @param {string} req.body.message - Message text
+ * @param {string} req.body.to - Recipient phone number; anything but digits is dropped
  */
-app.post('/send-message', async (req, res) => {
+app.post('/send-message', requireRole('agent'), async (req, res) => {
     try {
-        const { message, to } = req.body;
-        const url = `https://graph.facebook.com/${config.VERSION}/${config.PHONE_NUMBER_ID}/messages`;
+        const { message } = req.body;
+        const to = phoneDigits(req.body.to);
 
-        console.log('Sending message with config:', {
-            url,
-            phoneNumberId: config.PHONE_NUMBER_ID,
-            version: config.VERSION,
-            to,
-            message,
-            tokenLength: config.TOKEN ? config.TOKEN.length : 0
-        });
+        if (!to || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ success: false, error: 'to and message are required' });
+        }
 
-        const response = await axios({
-            method: 'POST',
-            url: url,
-            headers: {
-                'Authorization': `Bearer ${config.TOKEN}`,
-                'Content-Type': 'application/json'
-            },
-            data: {
-                messaging_product: "whatsapp",
-                recipient_type: "individual",
-                to: to,
-                type: "text",
-                text: { body: message }
-            }
+        const result = await sendTextWithinWindow(to, message, sentByAgent(req.agent));
+        res.status(202).json({
+            success: true,
+            message: result.message,
+            switchedToTemplate: result.switchedToTemplate
         });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return sendTemplateError(res, error);
+        }
+        sendGraphError(res, error, 'Sending message');
+    }
+});
+
+/**
+ * Answers a failed template request with the error's HTTP status
+ * @param {Object} res - Express response
+ * @param {Error} error - TemplateError, GraphError, or any other error (500)
+ */
+function sendTemplateError(res, error) {
+    if (error instanceof GraphError) {
+        return sendGraphError(res, error, 'Template operation');
+    }
+    const statusCode = error.statusCode || 500;
+    if (statusCode === 500) {
+        console.error('Template operation failed:', error);
+    }
+    res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        errors: error.errors,
+        serviceWindow: error.serviceWindow
+    });
+}
+
+/**
+ * Lists the approved message templates and their parameters
+ * @route GET /templates
+ */
+app.get('/templates', requireRole('agent'), (req, res) => {
+    res.json({
+        templates: messageTemplates.list(),
+        windowClosedTemplate: messageTemplates.getWindowClosedTemplate()?.name || null
+    });
+});
+
+/**
+ * Records a template approved in WhatsApp Manager, replacing the one with the same
+ * name and language
+ * @route POST /templates
+ * @param {Object} req.body - Template definition (see services/messageTemplates.js)
+ */
+app.post('/templates', requireRole('supervisor'), async (req, res) => {
+    try {
+        const template = await messageTemplates.save(req.body);
+        res.status(201).json({ success: true, template });
+    } catch (error) {
+        sendTemplateError(res, error);
+    }
+});
+
+/**
+ * Sends a template message; allowed whether or not the service window is open
+ * @route POST /send-template
+ * @param {string} req.body.to - Recipient phone number
+ * @param {string} req.body.name - Template name
+ * @param {string} [req.body.language] - Template language (any when omitted)
+ * @param {Object} [req.body.parameters] - Parameter values by name
+ * @returns {Object} The stored message, queued for delivery
+ */
+app.post('/send-template', requireRole('agent'), async (req, res) => {
+    try {
+        const { to, name, language, parameters } = req.body;
+        if (!to || !name) {
+            throw new TemplateError('Recipient phone number and template name are required');
+        }
+        const { template, text } = messageTemplates.build(name, { language, parameters });
+        const result = await sendTemplateMessage(to, template, text, sentByAgent(req.agent));
+        res.status(202).json({ success: true, message: result.message });
+    } catch (error) {
+        sendTemplateError(res, error);
+    }
+});
+
+/**
+ * Reports whether free-form messages can be sent to a customer
+ * @route GET /customers/:phone/window
+ * @returns {Object} { open, lastIncomingAt, expiresAt }
+ */
+app.get('/customers/:phone/window', requireRole('agent'), async (req, res) => {
+    try {
+        res.json(await messageStorage.getServiceWindow(req.params.phone));
+    } catch (error) {
+        sendTemplateError(res, error);
+    }
+});
 
-        // Store the outgoing message
-        await messageStorage.addOutgoingMessage(to, message);
-
-        console.log('WhatsApp API Response:', response.data);
-        res.json({ success: true, data: response.data });
-    } catch (error) {
-        console.error('Detailed error:', {
-            message: error.message,
-            response: error.response?.data,
-            config: {
-                url: error.config?.url,
-                method: error.config?.method,
-                data: error.config?.data,
-                headers: {
-                    ...error.config?.headers,
-                    'Authorization': error.config?.headers?.Authorization ? 'Bearer [REDACTED]' : undefined
-                }
+/**
+ * Sends an interactive list message via WhatsApp API. Refused with 409 once the
+ * customer's 24-hour service window has closed.
+ * @route POST /send-list
+ * @param {string} req.body.to - Recipient phone number
+ * @param {string} req.body.body - Message text shown above the list
+ * @param {string} req.body.button - Text of the button that opens the list
+ * @param {Array} req.body.sections - List sections ({ title, rows: [{ id, title, description }] })
+ * @param {string} [req.body.header] - Optional header text
+ * @param {string} [req.body.footer] - Optional footer text
+ */
+app.post('/send-list', requireRole('agent'), async (req, res) => {
+    try {
+        const { to, body, button, sections, header, footer } = req.body;
+
+        if (!to || !body || !button || !Array.isArray(sections) || sections.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'to, body, button and sections are required'
+            });
+        }
+
+        const interactive = {
+            type: 'list',
+            body: { text: body },
+            action: { button, sections }
+        };
+        if (header) interactive.header = { type: 'text', text: header };
+        if (footer) interactive.footer = { text: footer };
+
+        const result = await sendInteractiveMessage(to, interactive, body, sentByAgent(req.agent));
+        res.status(202).json({ success: true, message: result.message });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return sendTemplateError(res, error);
+        }
+        sendGraphError(res, error, 'Sending list message');
+    }
+});
+
+/**
+ * Sends an interactive reply-button message via WhatsApp API. Refused with 409 once
+ * the customer's 24-hour service window has closed.
+ * @route POST /send-buttons
+ * @param {string} req.body.to - Recipient phone number
+ * @param {string} req.body.body - Message text shown above the buttons
+ * @param {Array} req.body.buttons - Up to three buttons ({ id, title })
+ */
+app.post('/send-buttons', requireRole('agent'), async (req, res) => {
+    try {
+        const { to, body, buttons } = req.body;
+
+        if (!to || !body || !Array.isArray(buttons) || buttons.length === 0 || buttons.length > 3) {
+            return res.status(400).json({
+                success: false,
+                error: 'to, body and one to three buttons are required'
+            });
+        }
+
+        const interactive = {
+            type: 'button',
+            body: { text: body },
+            action: {
+                buttons: buttons.map(button => ({
+                    type: 'reply',
+                    reply: { id: button.id, title: button.title }
+                }))
             }
-        });
-        res.status(500).json({ 
-            success: false, 
-            error: error.message,
-            details: error.response?.data
-        });
+        };
+
+        const result = await sendInteractiveMessage(to, interactive, body, sentByAgent(req.agent));
+        res.status(202).json({ success: true, message: result.message });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return sendTemplateError(res, error);
+        }
+        sendGraphError(res, error, 'Sending button message');
+    }
+});
+
+/**
+ * Sends a #sprout menu (departments, or one department's issues) as an interactive list.
+ * Refused with 409 once the customer's 24-hour service window has closed.
+ * @route POST /send-menu
+ * @param {string} req.body.to - Recipient phone number
+ * @param {string} [req.body.node] - Flow node id, defaults to the department menu
+ */
+app.post('/send-menu', requireRole('agent'), async (req, res) => {
+    try {
+        const { to } = req.body;
+        const node = req.body.node || conversationFlow.startNodeId;
+
+        if (!to) {
+            return res.status(400).json({ success: false, error: 'to is required' });
+        }
+        if (!conversationFlow.getNode(node)) {
+            return res.status(404).json({ success: false, error: `Unknown menu: ${node}` });
+        }
+
+        const interactive = conversationFlow.buildListMessage(node);
+        if (!interactive) {
+            return res.status(400).json({ success: false, error: `Menu ${node} can't be sent as a list` });
+        }
+
+        const result = await sendInteractiveMessage(to, interactive, conversationFlow.renderNode(node), sentByAgent(req.agent));
+        res.status(202).json({ success: true, message: result.message });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return sendTemplateError(res, error);
+        }
+        sendGraphError(res, error, 'Sending menu');
     }
 });
 
@@ -293,14 +1094,12 @@ app.get('/webhook', (req, res) => {
     let token = req.query["hub.verify_token"];
     let challenge = req.query["hub.challenge"];
 
-    // Add detailed logging
+    // Add detailed logging (the tokens themselves are never logged)
     console.log('Webhook Verification Details:', {
-        expectedToken: verify_token,
-        receivedToken: token,
         mode: mode,
+        hasToken: !!token,
         challenge: challenge,
-        queryParams: req.query,
-        headers: req.headers
+        ip: req.ip
     });
 
     // Check if all required parameters are present
@@ -322,47 +1121,38 @@ app.get('/webhook', (req, res) => {
 });
 
 /**
- * Receives WhatsApp messages
- * @route POST /webhook
+ * Rejects webhook deliveries whose X-Hub-Signature-256 doesn't match APP_SECRET.
+ * Deliveries are accepted unchecked when no APP_SECRET is configured.
  */
-app.post('/webhook', async (req, res) => {
-    try {
-        const data = req.body;
-        
-        if (data.entry && 
-            data.entry[0].changes && 
-            data.entry[0].changes[0].value.messages && 
-            data.entry[0].changes[0].value.messages[0]) {
-            
-            const message = data.entry[0].changes[0].value.messages[0];
-            
-            // Store message with proper format
-            const messageData = {
-                from: message.from,
-                text: {
-                    body: message.text?.body || ''
-                },
-                timestamp: new Date().toISOString(),
-                type: message.type,
-                id: message.id
-            };
-
-            // Store in messages array and in storage
-            messages.push(messageData);
-            await messageStorage.addIncomingMessage(messageData.from, messageData.text.body);
-            
-            console.log('✅ Stored message:', messageData);
-        }
+function verifyWebhookSignature(req, res, next) {
+    if (!config.APP_SECRET) {
+        return next();
+    }
 
-        res.status(200).send('OK');
-    } catch (error) {
-        console.error('❌ Webhook error:', error);
-        res.status(200).send('OK');
+    const { valid, reason } = verifySignature(req.rawBody, req.get(SIGNATURE_HEADER), config.APP_SECRET);
+    if (!valid) {
+        console.warn('❌ Rejected webhook delivery:', { reason, ip: req.ip });
+        return res.sendStatus(401);
+    }
+    next();
+}
+
+/**
+ * Receives WhatsApp deliveries. Every message and status in the batch is processed
+ * in the background by the webhook processor, which lets the conversation engine reply.
+ * @route POST /webhook
+ */
+app.post('/webhook', verifyWebhookSignature, (req, res) => {
+    // Answer straight away; Meta retries deliveries that aren't acknowledged quickly
+    const queued = webhookProcessor.enqueue(req.body);
+    if (queued > 0) {
+        console.log(`Queued ${queued} webhook event(s)`);
     }
+    res.status(200).send('OK');
 });
 
 // Endpoint to get messages (for polling)
-app.get('/messages', async (req, res) => {
+app.get('/messages', requireRole('agent'), async (req, res) => {
     try {
         const since = req.query.since;
         console.log('Messages request received with timestamp:', since);
@@ -376,26 +1166,14 @@ app.get('/messages', async (req, res) => {
         // Get messages since the specified timestamp
         const newMessages = await messageStorage.getMessagesSince(since);
         
-        // Combine and sort incoming and outgoing messages
-        const combinedMessages = [
-            ...newMessages.incoming.map(msg => ({
-                ...msg,
-                text: { body: msg.content },
-                timestamp: msg.timestamp,
-                from: msg.from
-            })),
-            ...newMessages.outgoing.map(msg => ({
-                ...msg,
-                text: { body: msg.content },
-                timestamp: msg.timestamp,
-                from: msg.to
-            }))
-        ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        // Combine incoming and outgoing messages in the order they were stored
+        const combinedMessages = [...newMessages.incoming, ...newMessages.outgoing]
+            .map(toConsoleMessage)
+            .sort(THREAD_ORDER);
 
         console.log('Returning messages:', {
             sinceTimestamp: since,
-            messageCount: combinedMessages.length,
-            messages: combinedMessages
+            messageCount: combinedMessages.length
         });
 
         res.json({ messages: combinedMessages });
@@ -408,47 +1186,176 @@ app.get('/messages', async (req, res) => {
     }
 });
 
-// Add this test endpoint to your server.js
-app.get('/test-message', async (req, res) => {
+/**
+ * Streams new messages, status updates and ticket changes as Server-Sent Events.
+ * Reconnecting with the Last-Event-ID header (or ?lastEventId=) replays the events
+ * missed in between; `resync` is sent when they can't be replayed.
+ * @route GET /events
+ */
+app.get('/events', requireRole('agent'), (req, res) => {
+    eventStream.connect(req, res, req.get('Last-Event-ID') || req.query.lastEventId || null);
+});
+
+/**
+ * Answers a failed inbox request with the error's HTTP status
+ * @param {Object} res - Express response
+ * @param {Error} error - ConversationError or unexpected error
+ */
+function sendConversationError(res, error) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode === 500) {
+        console.error('Conversation operation failed:', error);
+    }
+    res.status(statusCode).json({ success: false, error: error.message });
+}
+
+/**
+ * Lists the conversations for the inbox, latest message first, with their unread
+ * counts, last message previews and open tickets
+ * @route GET /conversations
+ */
+app.get('/conversations', requireRole('agent'), async (req, res) => {
+    try {
+        res.json({ conversations: await conversationInbox.list() });
+    } catch (error) {
+        sendConversationError(res, error);
+    }
+});
+
+/**
+ * Retrieves one conversation with its open tickets
+ * @route GET /conversations/:phone
+ */
+app.get('/conversations/:phone', requireRole('agent'), async (req, res) => {
+    try {
+        res.json({ conversation: await conversationInbox.get(req.params.phone) });
+    } catch (error) {
+        sendConversationError(res, error);
+    }
+});
+
+/**
+ * Pages through a conversation, oldest message first. Without `before` the latest
+ * messages are returned; pass the id of the oldest message shown to get the ones
+ * before it.
+ * @route GET /conversations/:phone/messages
+ * @param {string} [req.query.before] - Message id to page back from
+ * @param {number} [req.query.limit] - Messages per page, 1 to 200 (default 50)
+ * @returns {Object} { messages, hasMore }
+ */
+app.get('/conversations/:phone/messages', requireRole('agent'), async (req, res) => {
+    try {
+        const conversation = conversationInbox.find(req.params.phone);
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            throw new ConversationError('limit must be a whole number from 1 to 200');
+        }
+
+        const page = await messageStorage.getConversationMessages(conversation.phone, { before: req.query.before, limit });
+        if (!page) {
+            throw new ConversationError(`Message ${req.query.before} is not part of this conversation`);
+        }
+        res.json({ messages: page.messages.map(toConsoleMessage), hasMore: page.hasMore });
+    } catch (error) {
+        sendConversationError(res, error);
+    }
+});
+
+/**
+ * Marks a conversation as read by the signed-in agent
+ * @route POST /conversations/:phone/read
+ */
+app.post('/conversations/:phone/read', requireRole('agent'), async (req, res) => {
+    try {
+        const conversation = await conversationInbox.markRead(req.params.phone, req.agent);
+        res.json({ success: true, conversation });
+    } catch (error) {
+        sendConversationError(res, error);
+    }
+});
+
+/**
+ * Tells the customer who they are talking to after a mode change: the takeover notice
+ * when an agent takes over (also from another agent), the handback notice when the bot
+ * answers again. Notices are free-form text, so nothing is sent once the service window
+ * has closed.
+ * @param {Object} conversation - The conversation after the change
+ * @param {string} previousMode - Its mode before the change
+ * @param {string|null} previousHandler - Username of the agent who was handling it
+ * @returns {Promise<Object|null>} The stored notice, or null when none was sent
+ */
+async function sendModeNotice(conversation, previousMode, previousHandler) {
+    let notice = null;
+    if (conversation.mode === 'human' && (previousMode !== 'human' || previousHandler !== conversation.handledBy.username)) {
+        notice = config.HUMAN_TAKEOVER_MESSAGE.replaceAll('{agent}', conversation.handledBy.name);
+    } else if (conversation.mode === 'bot' && previousMode !== 'bot') {
+        notice = config.BOT_HANDBACK_MESSAGE;
+    }
+    if (!notice) {
+        return null;
+    }
+
+    const serviceWindow = await messageStorage.getServiceWindow(conversation.phone);
+    if (!serviceWindow.open) {
+        console.log('Service window closed, no mode notice sent to:', conversation.phone);
+        return null;
+    }
+    const { message } = await sendTextMessage(conversation.phone, notice, { sentBy: 'system', notice: conversation.mode });
+    return message;
+}
+
+/**
+ * Switches who answers a customer. `human` takes the conversation over for the
+ * signed-in agent and silences the bot, `paused` silences the bot without anyone
+ * taking over, and `bot` hands the conversation back to the bot with a fresh session.
+ * Only the agent handling a conversation, or a supervisor, can change it.
+ * @route POST /conversations/:phone/mode
+ * @param {string} req.body.mode - bot, human or paused
+ * @returns {Object} { conversation, notice } with the notice sent to the customer, if any
+ */
+app.post('/conversations/:phone/mode', requireRole('agent'), async (req, res) => {
+    try {
+        const { conversation, previousMode, previousHandler } = await conversationInbox.setMode(req.params.phone, req.body.mode, req.agent, {
+            override: agentAccounts.hasRole(req.agent, 'supervisor')
+        });
+        if (conversation.mode === 'bot' && previousMode !== 'bot') {
+            sessionStore.deleteSession(conversation.phone);
+        }
+        const notice = await sendModeNotice(conversation, previousMode, previousHandler);
+        console.log(`Conversation ${conversation.phone} is now in ${conversation.mode} mode (${req.agent.username})`);
+        res.json({ success: true, conversation, notice });
+    } catch (error) {
+        sendConversationError(res, error);
+    }
+});
+
+/**
+ * Sends a test message straight through the WhatsApp API, bypassing the outbox
+ * @route GET /test-message
+ * @param {string} [req.query.to] - Recipient phone number, defaults to RECIPIENT_PHONE
+ */
+app.get('/test-message', requireRole('admin'), async (req, res) => {
     try {
-        // Test message to your WhatsApp number
         const testMessage = {
             message: "Hello, this is a test message!",
-            to: "264814067806"  // Replace with your test number
+            to: req.query.to || process.env.RECIPIENT_PHONE
         };
+        if (!testMessage.to) {
+            return res.status(400).json({ success: false, error: 'Pass ?to= or set RECIPIENT_PHONE' });
+        }
 
-        const url = `https://graph.facebook.com/${config.VERSION}/${config.PHONE_NUMBER_ID}/messages`;
-        
         console.log('Sending test message:', testMessage);
-        
-        const response = await axios({
-            method: 'POST',
-            url: url,
-            headers: {
-                'Authorization': `Bearer ${config.TOKEN}`,
-                'Content-Type': 'application/json'
-            },
-            data: {
-                messaging_product: "whatsapp",
-                recipient_type: "individual",
-                to: testMessage.to,
-                type: "text",
-                text: { body: testMessage.message }
-            }
+
+        const data = await graphClient.sendMessage({
+            to: testMessage.to,
+            type: "text",
+            text: { body: testMessage.message }
         });
 
-        console.log('Test message response:', response.data);
-        res.json({ success: true, data: response.data });
+        console.log('Test message response:', data);
+        res.json({ success: true, data });
     } catch (error) {
-        console.error('Test message error:', {
-            message: error.message,
-            response: error.response?.data
-        });
-        res.status(500).json({ 
-            success: false, 
-            error: error.message,
-            details: error.response?.data 
-        });
+        sendGraphError(res, error, 'Test message');
     }
 });
 
@@ -465,48 +1372,34 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Add this environment endpoint
-app.get('/environment', (req, res) => {
-    try {
-        const envVars = {
-            Version: config.VERSION,
-            PhoneNumberID: config.PHONE_NUMBER_ID,
-            AccessToken: config.TOKEN,
-            RecipientPhone: process.env.RECIPIENT_PHONE
-        };
-
-        console.log('Loaded environment variables:', {
-            Version: envVars.Version,
-            PhoneNumberID: envVars.PhoneNumberID,
-            hasAccessToken: !!envVars.AccessToken,
-            tokenLength: envVars.AccessToken ? envVars.AccessToken.length : 0,
-            RecipientPhone: envVars.RecipientPhone
-        });
-
-        // Log the actual token (first and last 5 characters)
-        if (envVars.AccessToken) {
-            console.log('Token check:', {
-                firstFive: envVars.AccessToken.substring(0, 5),
-                lastFive: envVars.AccessToken.substring(envVars.AccessToken.length - 5),
-                length: envVars.AccessToken.length
-            });
-        } else {
-            console.log('No token found in environment variables');
-            console.log('Available env vars:', Object.keys(process.env));
+/**
+ * Describes what the server is connected to and which features are enabled, so the
+ * console can adapt. Contains no secrets: every WhatsApp API call is made by the server.
+ * @route GET /capabilities
+ * @returns {Object} { phoneNumberId, version, recipientPhone, features }
+ */
+app.get('/capabilities', requireRole('agent'), (req, res) => {
+    res.json({
+        phoneNumberId: config.PHONE_NUMBER_ID,
+        version: config.VERSION,
+        recipientPhone: process.env.RECIPIENT_PHONE || null,
+        features: {
+            interactiveMenus: config.INTERACTIVE_MENUS,
+            templates: messageTemplates.list().length,
+            windowClosedTemplate: messageTemplates.getWindowClosedTemplate()?.name || null,
+            mediaKinds: Object.keys(MEDIA_LIMITS),
+            webhookSignatures: !!config.APP_SECRET,
+            storageBackend: config.STORAGE_BACKEND,
+            customGraphApi: config.GRAPH_API_URL !== DEFAULT_GRAPH_API_URL
         }
-
-        res.json(envVars);
-    } catch (error) {
-        console.error('Error sending environment variables:', error);
-        res.status(500).json({ error: 'Failed to load environment variables' });
-    }
+    });
 });
 
 // Add this near your other static file serving configurations
 app.use('/responses.json', express.static('public/responses.json'));
 
 // Add this endpoint to handle ticket saving
-app.post('/save-ticket', async (req, res) => {
+app.post('/save-ticket', requireRole('supervisor'), async (req, res) => {
     try {
         console.log('Received save ticket request:', req.body);
         
@@ -518,60 +1411,14 @@ app.post('/save-ticket', async (req, res) => {
             });
         }
 
-        const ticketsPath = path.join(__dirname, 'public', 'tickets.json');
-        console.log('Saving to path:', ticketsPath);
-
-        // Read existing tickets
-        let ticketData = { tickets: [] };
-        try {
-            const existingData = await fs.readFile(ticketsPath, 'utf8');
-            ticketData = JSON.parse(existingData);
-            console.log('Existing ticket data:', ticketData);
-        } catch (error) {
-            console.log('No existing tickets file or error reading it:', error.message);
-        }
-
-        // Ensure tickets is an array
-        if (!Array.isArray(ticketData.tickets)) {
-            ticketData.tickets = [];
-        }
-
-        // Create a Map to track unique tickets by their number
-        const uniqueTickets = new Map();
-
-        // First, add existing tickets to the Map (keeping only the first occurrence)
-        ticketData.tickets.forEach(ticket => {
-            if (!uniqueTickets.has(ticket.ticketNumber)) {
-                uniqueTickets.set(ticket.ticketNumber, ticket);
-            }
-        });
-
-        // Then try to add new tickets (only if they don't exist)
+        // Save only tickets whose number isn't already stored
         const newTickets = Array.isArray(req.body.tickets) ? req.body.tickets : [req.body.tickets];
-        let duplicatesFound = false;
-        
-        newTickets.forEach(newTicket => {
-            if (!uniqueTickets.has(newTicket.ticketNumber)) {
-                uniqueTickets.set(newTicket.ticketNumber, newTicket);
-            } else {
-                duplicatesFound = true;
-                console.log(`Duplicate ticket prevented: ${newTicket.ticketNumber}`);
-            }
-        });
-
-        // Convert Map back to array and sort by creation date
-        const finalTickets = Array.from(uniqueTickets.values())
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-        // Save the deduplicated tickets
-        await fs.writeFile(
-            ticketsPath, 
-            JSON.stringify({ tickets: finalTickets }, null, 2)
-        );
+        const { ticketCount, duplicatesFound, ticketNumbers } = await ticketStorage.saveTickets(newTickets);
 
         res.json({ 
             success: true, 
-            ticketCount: finalTickets.length,
+            ticketCount,
+            ticketNumbers,
             duplicatesFound
         });
     } catch (error) {
@@ -587,23 +1434,136 @@ app.post('/save-ticket', async (req, res) => {
 });
 
 // Add an endpoint to get tickets
-app.get('/tickets', async (req, res) => {
+app.get('/tickets', requireRole('agent'), async (req, res) => {
     try {
-        const ticketsPath = path.join(__dirname, 'public', 'tickets.json');
-        const ticketsData = await fs.readFile(ticketsPath, 'utf8');
-        res.json(JSON.parse(ticketsData));
+        const ticketsData = await ticketStorage.getAllTickets();
+        res.json(ticketsData);
     } catch (error) {
         console.error('Error reading tickets:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+/**
+ * Sends the response for a failed ticket operation
+ * @param {Object} res - Express response
+ * @param {Error} error - TicketError (with statusCode) or unexpected error
+ */
+function sendTicketError(res, error) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode === 500) {
+        console.error('Ticket operation failed:', error);
+    }
+    res.status(statusCode).json({ success: false, error: error.message });
+}
+
+/**
+ * Creates a ticket under the next number for its department prefix
+ * @route POST /tickets
+ * @param {string} req.body.issue - Issue description
+ * @param {string} req.body.customerPhone - Customer the ticket belongs to
+ * @param {string} [req.body.prefix] - Department ticket prefix (default TKT)
+ * @returns {Object} The stored ticket, including its assigned ticketNumber
+ */
+app.post('/tickets', requireRole('agent'), async (req, res) => {
+    try {
+        const { issue, customerPhone, prefix } = req.body;
+        if (!issue || !customerPhone) {
+            throw new TicketError('issue and customerPhone are required', 400);
+        }
+        if (prefix && !/^[A-Za-z]+$/.test(prefix)) {
+            throw new TicketError('prefix must contain letters only', 400);
+        }
+
+        const ticket = await ticketStorage.createTicket({
+            issue,
+            customerPhone,
+            status: 'Open',
+            createdAt: new Date().toISOString()
+        }, { prefix: prefix || 'TKT' });
+        console.log(`Ticket ${ticket.ticketNumber} created`);
+        res.status(201).json({ success: true, ticket });
+    } catch (error) {
+        sendTicketError(res, error);
+    }
+});
+
+/**
+ * Lists the ticket statuses and the transitions allowed from each
+ * @route GET /tickets/statuses
+ */
+app.get('/tickets/statuses', requireRole('agent'), (req, res) => {
+    res.json({ statuses: TICKET_STATUSES, transitions: TICKET_TRANSITIONS });
+});
+
+/**
+ * Retrieves a single ticket including its notes and history
+ * @route GET /tickets/:ticketNumber
+ */
+app.get('/tickets/:ticketNumber', requireRole('agent'), async (req, res) => {
+    try {
+        const ticket = await ticketStorage.getTicket(req.params.ticketNumber);
+        if (!ticket) {
+            return res.status(404).json({ success: false, error: `Ticket ${req.params.ticketNumber} not found` });
+        }
+        res.json({ success: true, ticket });
+    } catch (error) {
+        sendTicketError(res, error);
+    }
+});
+
+/**
+ * Moves a ticket to a new status, recorded under the signed-in agent
+ * @route POST /tickets/:ticketNumber/status
+ * @param {string} req.body.status - New status
+ * @param {string} [req.body.note] - Optional reason recorded in the history
+ */
+app.post('/tickets/:ticketNumber/status', requireRole('agent'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const ticket = await ticketStorage.changeStatus(req.params.ticketNumber, status, { actor: req.agent.username, note });
+        console.log(`Ticket ${ticket.ticketNumber} moved to ${ticket.status}`);
+        res.json({ success: true, ticket });
+    } catch (error) {
+        sendTicketError(res, error);
+    }
+});
+
+/**
+ * Assigns a ticket to an agent, recorded under the signed-in agent
+ * @route POST /tickets/:ticketNumber/assign
+ * @param {string} req.body.assignee - Agent the ticket is assigned to
+ */
+app.post('/tickets/:ticketNumber/assign', requireRole('agent'), async (req, res) => {
+    try {
+        const { assignee } = req.body;
+        const ticket = await ticketStorage.assignTicket(req.params.ticketNumber, assignee, { actor: req.agent.username });
+        console.log(`Ticket ${ticket.ticketNumber} assigned to ${ticket.assignedTo}`);
+        res.json({ success: true, ticket });
+    } catch (error) {
+        sendTicketError(res, error);
+    }
+});
+
+/**
+ * Adds an internal note to a ticket, written by the signed-in agent
+ * @route POST /tickets/:ticketNumber/notes
+ * @param {string} req.body.note - Note text
+ */
+app.post('/tickets/:ticketNumber/notes', requireRole('agent'), async (req, res) => {
+    try {
+        const { note } = req.body;
+        const ticket = await ticketStorage.addNote(req.params.ticketNumber, note, { actor: req.agent.username });
+        res.json({ success: true, ticket });
+    } catch (error) {
+        sendTicketError(res, error);
+    }
+});
+
 // Add this endpoint to check current tickets
-app.get('/check-tickets', async (req, res) => {
+app.get('/check-tickets', requireRole('agent'), async (req, res) => {
     try {
-        const ticketsPath = path.join(__dirname, 'public', 'tickets.json');
-        const data = await fs.readFile(ticketsPath, 'utf8');
-        const tickets = JSON.parse(data);
+        const tickets = await ticketStorage.getAllTickets();
         res.json({
             ticketCount: tickets.tickets.length,
             tickets: tickets
@@ -617,7 +1577,7 @@ app.get('/check-tickets', async (req, res) => {
 });
 
 // Add debug endpoint for chat history
-app.get('/debug/chat-history', async (req, res) => {
+app.get('/debug/chat-history', requireRole('admin'), async (req, res) => {
     try {
         const chatHistory = await messageStorage.getAllMessages();
         res.json(chatHistory);
@@ -630,114 +1590,201 @@ app.get('/debug/chat-history', async (req, res) => {
     }
 });
 
-// Add image sending endpoint
-app.post('/send-image', async (req, res) => {
-    try {
-        const { to, media_id } = req.body;
-        const url = `https://graph.facebook.com/${config.VERSION}/${config.PHONE_NUMBER_ID}/messages`;
+// Multipart uploads are kept in memory; the size limit per kind is checked afterwards
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MEDIA_BYTES, files: 1 }
+});
 
-        const whatsappData = {
-            messaging_product: "whatsapp",
-            recipient_type: "individual",
-            to: to,
-            type: "image",
-            image: {
-                id: media_id,
-                caption: "Sprout - Green Enterprise Solutions Support"
-            }
-        };
+/**
+ * Reads the optional `file` field of a multipart request into req.file
+ */
+function receiveFile(req, res, next) {
+    upload.single('file')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return sendMediaError(res, new MediaError(error.message, statusCode));
+        }
+        next(error);
+    });
+}
+
+/**
+ * Answers a failed media request with the error's HTTP status
+ * @param {Object} res - Express response
+ * @param {Error} error - MediaError, TemplateError (closed service window), GraphError,
+ *     or any other error (500)
+ */
+function sendMediaError(res, error) {
+    if (error instanceof GraphError) {
+        return sendGraphError(res, error, 'Media operation');
+    }
+    if (error instanceof TemplateError) {
+        return sendTemplateError(res, error);
+    }
+    const statusCode = error.statusCode || 500;
+    if (statusCode === 500) {
+        console.error('Media operation failed:', error);
+    }
+    res.status(statusCode).json({
+        success: false,
+        error: error.message
+    });
+}
 
-        const response = await axios({
-            method: 'POST',
-            url: url,
-            headers: {
-                'Authorization': `Bearer ${config.TOKEN}`,
-                'Content-Type': 'application/json'
-            },
-            data: whatsappData
+/**
+ * Uploads an image, document, audio or video file to WhatsApp
+ * @route POST /upload-media
+ * @param {File} req.file - Multipart `file` field
+ * @returns {Object} { id, kind, mimeType, size, sha256, cached }
+ */
+app.post('/upload-media', requireRole('agent'), receiveFile, async (req, res) => {
+    try {
+        if (!req.file) {
+            throw new MediaError('Attach the file to upload as the "file" field');
+        }
+        const media = await mediaUploader.upload(req.file.buffer, {
+            mimeType: req.file.mimetype,
+            fileName: req.file.originalname
         });
 
         res.json({
             success: true,
-            data: response.data
+            data: media
         });
     } catch (error) {
-        console.error('Error sending image:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendMediaError(res, error);
     }
 });
 
-// Update the upload-media endpoint to properly handle the file upload
-app.post('/upload-media', async (req, res) => {
+/**
+ * Sends media to a customer. Either attach the file (multipart) or pass the media_id
+ * and kind of an earlier upload. Refused with 409 once the customer's 24-hour service
+ * window has closed.
+ * @route POST /send-media
+ * @param {string} req.body.to - Recipient phone number
+ * @param {File} [req.file] - Multipart `file` field to upload and send
+ * @param {string} [req.body.media_id] - Media ID of an earlier upload
+ * @param {string} [req.body.kind] - Kind of that upload (image, sticker, audio, video or document)
+ * @param {string} [req.body.caption] - Caption (images, videos and documents)
+ * @param {string} [req.body.filename] - File name shown to the customer (documents)
+ * @returns {Object} The stored message, queued for delivery
+ */
+app.post('/send-media', requireRole('agent'), receiveFile, async (req, res) => {
     try {
-        const uploadUrl = `https://graph.facebook.com/${config.VERSION}/${config.PHONE_NUMBER_ID}/media`;
-        
-        // Read the image file - updated to use new Sprout Bot official image
-        const imagePath = path.join(__dirname, 'public', 'images', 'Sprout bot official.png');
-        const imageBuffer = await fs.readFile(imagePath);
-        
-        // Create form data with proper structure
-        const form = new FormData();
-        form.append('messaging_product', 'whatsapp');
-        form.append('type', 'image/png');
-        form.append('file', imageBuffer, {
-            filename: 'Sprout bot official.png',
-            contentType: 'image/png',
-            knownLength: imageBuffer.length
-        });
-
-        console.log('Uploading media to WhatsApp...', {
-            url: uploadUrl,
-            fileSize: imageBuffer.length,
-            headers: form.getHeaders()
-        });
+        const { to, media_id, kind, caption } = req.body;
+        if (!to) {
+            throw new MediaError('Recipient phone number is required');
+        }
 
-        const uploadResponse = await axios({
-            method: 'POST',
-            url: uploadUrl,
-            headers: {
-                ...form.getHeaders(),
-                'Authorization': `Bearer ${config.TOKEN}`,
-                'Content-Length': form.getLengthSync()
-            },
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity,
-            data: form
-        });
+        let media;
+        if (req.file) {
+            media = await mediaUploader.upload(req.file.buffer, {
+                mimeType: req.file.mimetype,
+                fileName: req.file.originalname
+            });
+        } else if (media_id && MEDIA_LIMITS[kind]) {
+            media = { id: media_id, kind };
+        } else {
+            throw new MediaError('Attach a file, or pass the media_id and kind of an earlier upload');
+        }
 
-        console.log('Media upload response:', uploadResponse.data);
+        const result = await sendMediaMessage(to, {
+            ...media,
+            caption,
+            fileName: req.body.filename || req.file?.originalname
+        }, sentByAgent(req.agent));
+        res.status(202).json({ success: true, ...result });
+    } catch (error) {
+        sendMediaError(res, error);
+    }
+});
 
-        if (!uploadResponse.data || !uploadResponse.data.id) {
-            throw new Error('Invalid media upload response: missing media ID');
+/**
+ * Sends an uploaded image. Refused with 409 once the customer's 24-hour service window
+ * has closed.
+ * @route POST /send-image
+ * @param {string} req.body.to - Recipient phone number
+ * @param {string} req.body.media_id - Media ID of the uploaded image
+ * @param {string} [req.body.caption] - Image caption
+ */
+app.post('/send-image', requireRole('agent'), async (req, res) => {
+    try {
+        const { to, media_id, caption } = req.body;
+        if (!to || !media_id) {
+            throw new MediaError('Recipient phone number and media_id are required');
         }
+        const result = await sendMediaMessage(to, { kind: 'image', id: media_id, caption }, sentByAgent(req.agent));
+        res.status(202).json({ success: true, ...result });
+    } catch (error) {
+        sendMediaError(res, error);
+    }
+});
 
-        res.json({
-            success: true,
-            data: {
-                id: uploadResponse.data.id
-            }
-        });
+/**
+ * Answers a failed outbox request with the error's HTTP status
+ * @param {Object} res - Express response
+ * @param {Error} error - QueueError, or any other error (500)
+ */
+function sendQueueError(res, error) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode === 500) {
+        console.error('Outbox operation failed:', error);
+    }
+    res.status(statusCode).json({ success: false, error: error.message });
+}
+
+/**
+ * Lists the outgoing messages waiting to be delivered and the dead letters
+ * @route GET /outbox
+ * @returns {Object} { pending: [], dead: [] } outbox items, oldest first
+ */
+app.get('/outbox', requireRole('agent'), (req, res) => {
+    res.json({
+        pending: outboundQueue.getPending(),
+        dead: outboundQueue.getDeadLetters()
+    });
+});
+
+/**
+ * Queues a dead letter again with a fresh set of delivery attempts
+ * @route POST /outbox/:id/replay
+ */
+app.post('/outbox/:id/replay', requireRole('supervisor'), async (req, res) => {
+    try {
+        const item = await outboundQueue.replay(req.params.id);
+        res.status(202).json({ success: true, item });
     } catch (error) {
-        console.error('Media upload error:', {
-            message: error.message,
-            response: error.response?.data,
-            status: error.response?.status,
-            config: error.config
-        });
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: error.response?.data
-        });
+        sendQueueError(res, error);
+    }
+});
+
+/**
+ * Removes a dead letter; its message stays marked as failed
+ * @route DELETE /outbox/:id
+ */
+app.delete('/outbox/:id', requireRole('supervisor'), async (req, res) => {
+    try {
+        const item = await outboundQueue.discard(req.params.id);
+        res.json({ success: true, item });
+    } catch (error) {
+        sendQueueError(res, error);
     }
 });
 
 // Add static routes for serving files
 app.use('/images', express.static('public/images'));
 app.use('/responses.json', express.static('public/responses.json'));
+app.use('/media', requireRole('agent'), express.static(config.MEDIA_DIR));
+
+// The JSON store keeps its files in public/ by default: never serve data files or their
+// backups, only the console
+app.use((req, res, next) => {
+    if (/\.json($|\.)/i.test(req.path)) {
+        return res.sendStatus(404);
+    }
+    next();
+});
 
 // Place static file serving AFTER all API routes
 app.use(express.static('public'));
@@ -760,9 +1807,11 @@ app.listen(PORT, () => {
    - Port: ${PORT}
    - Phone Number ID: ${config.PHONE_NUMBER_ID}
    - API Version: ${config.VERSION}
+   - WhatsApp API: ${config.GRAPH_API_URL}
    - Token Present: ${!!config.TOKEN}
 
 🔍 Test URLs:
+   - Console: http://localhost:${PORT}/login.html
    - Health: http://localhost:${PORT}/health
    - Test Message: http://localhost:${PORT}/test-message
    - Messages: http://localhost:${PORT}/messages
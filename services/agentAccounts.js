@@ -0,0 +1,387 @@
+/**
+ * Agent Accounts Class
+ *
+ * Keeps the accounts agents sign in to the web console with, and their login sessions.
+ * Accounts are persisted through the store (agents.json or the agents table), so they
+ * work with either storage backend.
+ *
+ * Passwords are hashed with scrypt and a random salt per account; only the hash is
+ * stored. Signing in hands out a random session token, which the console keeps in an
+ * HttpOnly cookie and API clients send as a bearer token. Only the SHA-256 hash of the
+ * token is stored with the account, so a copy of the data can't be used to sign in.
+ * Sessions expire after `sessionTtlMs`; changing a password ends every session of the
+ * account.
+ *
+ * After `maxFailedLogins` wrong passwords in a row, a username can't sign in for
+ * `lockoutMs`.
+ *
+ * Changes to one account (sign-ins, sign-outs, updates, removal) run one at a time
+ * and start from the account as it is then, so a change that lands while a password
+ * is being hashed or checked is never saved over.
+ *
+ * Roles (each one can do everything the roles before it can):
+ *     agent        Read chats and tickets, message customers and work on tickets
+ *     supervisor   Manage templates and the outbox, import tickets in bulk
+ *     admin        Clear data, read the debug routes, send test messages and manage accounts
+ *
+ * Methods:
+ *     initialize({ bootstrapAdmin }): Load the accounts
+ *         - `bootstrapAdmin` ({ username, password }) is created as an admin when there
+ *           are no accounts yet
+ *
+ *     list(): All accounts, without password hashes or sessions
+ *
+ *     create({ username, password, role, name }): Add an account
+ *         - Throws AuthError (400) for an invalid field, (409) for a taken username
+ *
+ *     update(username, { password, role, name }): Change an account
+ *         - Throws AuthError (404) for unknown accounts, (409) when it would leave no admin
+ *
+ *     changePassword(username, currentPassword, newPassword): Let agents change their own password
+ *         - Throws AuthError (401) when the current password is wrong
+ *
+ *     remove(username): Delete an account
+ *         - Throws AuthError (404) for unknown accounts, (409) for the last admin
+ *
+ *     login(username, password): Start a session
+ *         - Returns { token, expiresAt, agent }
+ *         - Throws AuthError (401) for a wrong username or password, (429) while locked out
+ *
+ *     authenticate(token): The account signed in with this token, or null
+ *
+ *     logout(token): End a session
+ *
+ *     hasRole(agent, role): Whether the account has `role` or a higher one
+ *
+ * Account Format:
+ * {
+ *     "username": "thandi",
+ *     "name": "Thandi Shikongo",                // Shown in the console
+ *     "role": "agent",                          // agent, supervisor or admin
+ *     "passwordHash": "scrypt$<salt>$<hash>",
+ *     "sessions": [{ "tokenHash": "...", "expiresAt": "ISO_date_string" }],
+ *     "createdAt": "ISO_date_string",
+ *     "updatedAt": "ISO_date_string"
+ * }
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['agent', 'supervisor', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+// Lock key for checks that read every account; no username can look like it
+const ALL_ACCOUNTS = '*';
+
+/**
+ * Error raised for account and sign-in operations that can't be carried out.
+ * `statusCode` is the HTTP status the routes should answer with.
+ */
+export class AuthError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Hashes a password with scrypt and a new random salt
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>", both hex
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash made by hashPassword, in constant time
+ * @param {string} password
+ * @param {string} passwordHash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = String(passwordHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+    const hash = await scrypt(String(password), Buffer.from(salt, 'hex'), KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'hex');
+    return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class AgentAccounts {
+    constructor({
+        store,
+        sessionTtlMs = 12 * 60 * 60 * 1000,
+        maxFailedLogins = 5,
+        lockoutMs = 15 * 60 * 1000
+    }) {
+        this.store = store;
+        this.sessionTtlMs = sessionTtlMs;
+        this.maxFailedLogins = maxFailedLogins;
+        this.lockoutMs = lockoutMs;
+        this.agents = new Map();
+        this.failedLogins = new Map();
+        this.locks = new Map();
+        this.dummyHash = null;
+    }
+
+    // Runs changes to one account one at a time. Under ALL_ACCOUNTS, the admin count is
+    // checked and acted on before another account can change role or be deleted
+    withAccountLock(username, task) {
+        const previous = this.locks.get(username) || Promise.resolve();
+        const run = previous.then(task, task);
+        const settled = run.catch(() => {});
+        this.locks.set(username, settled);
+        settled.then(() => {
+            if (this.locks.get(username) === settled) {
+                this.locks.delete(username);
+            }
+        });
+        return run;
+    }
+
+    async initialize({ bootstrapAdmin } = {}) {
+        const agents = await this.store.getAgents();
+        this.agents = new Map(agents.map(agent => [agent.username, agent]));
+        // Unknown usernames are checked against this, so they take as long as wrong passwords
+        this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+
+        if (this.agents.size === 0 && bootstrapAdmin?.password) {
+            await this.create({ ...bootstrapAdmin, role: 'admin' });
+            console.log(`Created the first admin account: ${bootstrapAdmin.username}`);
+        }
+        console.log(`Agent accounts loaded: ${this.agents.size}`);
+    }
+
+    /**
+     * The account as it is shown to agents and returned by the routes
+     * @param {Object} agent - Stored account
+     * @returns {Object} { username, name, role, createdAt, updatedAt }
+     */
+    toPublic(agent) {
+        const { username, name, role, createdAt, updatedAt } = agent;
+        return { username, name, role, createdAt, updatedAt };
+    }
+
+    list() {
+        return [...this.agents.values()]
+            .map(agent => this.toPublic(agent))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    get(username) {
+        const agent = this.agents.get(String(username || '').toLowerCase());
+        if (!agent) {
+            throw new AuthError(`Agent ${username} not found`, 404);
+        }
+        return agent;
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new AuthError(`Unknown role "${role}". Valid roles: ${ROLES.join(', ')}`);
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    countAdmins() {
+        return [...this.agents.values()].filter(agent => agent.role === 'admin').length;
+    }
+
+    async create({ username, password, role = 'agent', name }) {
+        const normalized = String(username || '').trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(normalized)) {
+            throw new AuthError('Usernames have 3 to 32 letters, digits, dots, dashes or underscores');
+        }
+        return await this.withAccountLock(normalized, () => this.createAccount(normalized, { password, role, name }));
+    }
+
+    async createAccount(normalized, { password, role, name }) {
+        if (this.agents.has(normalized)) {
+            throw new AuthError(`Agent ${normalized} already exists`, 409);
+        }
+        this.validateRole(role);
+        this.validatePassword(password);
+
+        const now = new Date().toISOString();
+        const agent = {
+            username: normalized,
+            name: String(name || '').trim() || normalized,
+            role,
+            passwordHash: await hashPassword(password),
+            sessions: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        await this.store.saveAgent(agent);
+        this.agents.set(normalized, agent);
+        return this.toPublic(agent);
+    }
+
+    async update(username, changes = {}) {
+        const { username: normalized } = this.get(username);
+        return await this.withAccountLock(normalized, () => this.updateAccount(normalized, changes));
+    }
+
+    async updateAccount(username, { password, role, name }) {
+        const agent = this.get(username);
+        const changes = {};
+        if (role !== undefined && role !== agent.role) {
+            this.validateRole(role);
+            changes.role = role;
+        }
+        if (password !== undefined) {
+            this.validatePassword(password);
+            changes.passwordHash = await hashPassword(password);
+            changes.sessions = [];
+        }
+        if (name !== undefined) {
+            changes.name = String(name).trim() || agent.username;
+        }
+
+        return await this.withAccountLock(ALL_ACCOUNTS, async () => {
+            if (changes.role && agent.role === 'admin' && this.countAdmins() === 1) {
+                throw new AuthError('The last admin account must stay an admin', 409);
+            }
+            const updated = { ...this.get(username), ...changes, updatedAt: new Date().toISOString() };
+            await this.store.saveAgent(updated);
+            this.agents.set(updated.username, updated);
+            return this.toPublic(updated);
+        });
+    }
+
+    async changePassword(username, currentPassword, newPassword) {
+        const agent = this.get(username);
+        if (!await verifyPassword(currentPassword, agent.passwordHash)) {
+            throw new AuthError('The current password is wrong', 401);
+        }
+        return await this.update(agent.username, { password: newPassword });
+    }
+
+    async remove(username) {
+        const { username: normalized } = this.get(username);
+        return await this.withAccountLock(normalized, () => this.withAccountLock(ALL_ACCOUNTS, async () => {
+            const agent = this.get(normalized);
+            if (agent.role === 'admin' && this.countAdmins() === 1) {
+                throw new AuthError('The last admin account can\'t be deleted', 409);
+            }
+            await this.store.deleteAgent(agent.username);
+            this.agents.delete(agent.username);
+            return this.toPublic(agent);
+        }));
+    }
+
+    checkLockout(username) {
+        const failures = this.failedLogins.get(username);
+        if (!failures || failures.count < this.maxFailedLogins) {
+            return;
+        }
+        if (Date.now() - failures.lastAt < this.lockoutMs) {
+            throw new AuthError('Too many failed sign-in attempts, try again later', 429);
+        }
+        this.failedLogins.delete(username);
+    }
+
+    async login(username, password) {
+        const normalized = String(username || '').trim().toLowerCase();
+        this.checkLockout(normalized);
+
+        const agent = this.agents.get(normalized);
+        const valid = await verifyPassword(password, agent ? agent.passwordHash : this.dummyHash);
+        if (!agent || !valid) {
+            const failures = this.failedLogins.get(normalized) || { count: 0 };
+            this.failedLogins.set(normalized, { count: failures.count + 1, lastAt: Date.now() });
+            throw new AuthError('Wrong username or password', 401);
+        }
+        this.failedLogins.delete(normalized);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+        const updated = await this.withAccountLock(normalized, async () => {
+            // The account may have changed while the password was checked
+            const current = this.agents.get(normalized);
+            if (!current || current.passwordHash !== agent.passwordHash) {
+                throw new AuthError('Wrong username or password', 401);
+            }
+            const now = new Date().toISOString();
+            const signedIn = {
+                ...current,
+                sessions: [
+                    ...(current.sessions || []).filter(session => session.expiresAt > now),
+                    { tokenHash: hashToken(token), expiresAt }
+                ]
+            };
+            await this.store.saveAgent(signedIn);
+            this.agents.set(signedIn.username, signedIn);
+            return signedIn;
+        });
+
+        console.log(`Agent ${updated.username} signed in`);
+        return { token, expiresAt, agent: this.toPublic(updated) };
+    }
+
+    findSession(token) {
+        if (!token) {
+            return null;
+        }
+        const tokenHash = hashToken(token);
+        for (const agent of this.agents.values()) {
+            const session = (agent.sessions || []).find(s => s.tokenHash === tokenHash);
+            if (session) {
+                return { agent, session };
+            }
+        }
+        return null;
+    }
+
+    authenticate(token) {
+        const found = this.findSession(token);
+        if (!found || new Date(found.session.expiresAt) <= new Date()) {
+            return null;
+        }
+        return this.toPublic(found.agent);
+    }
+
+    async logout(token) {
+        const found = this.findSession(token);
+        if (!found) {
+            return;
+        }
+        const { username } = found.agent;
+        await this.withAccountLock(username, async () => {
+            const current = this.agents.get(username);
+            if (!current) {
+                return;
+            }
+            const updated = {
+                ...current,
+                sessions: (current.sessions || []).filter(session => session.tokenHash !== found.session.tokenHash)
+            };
+            await this.store.saveAgent(updated);
+            this.agents.set(updated.username, updated);
+        });
+        console.log(`Agent ${username} signed out`);
+    }
+
+    hasRole(agent, role) {
+        return !!agent && ROLES.indexOf(agent.role) >= ROLES.indexOf(role);
+    }
+}
+
+export default AgentAccounts;
@@ -0,0 +1,377 @@
+/**
+ * Conversation Engine Class
+ *
+ * Server-side implementation of the Sprout bot. The POST /webhook handler passes every
+ * incoming customer message to this engine, which works out the reply and sends it
+ * straight away through the messenger supplied by the server. The bot therefore answers
+ * whether or not anyone has the web console open, and answers exactly once.
+ *
+ * Core Responsibilities:
+ * - Greeting and support keyword detection
+ * - `#sprout` department and issue menu navigation
+ * - Ticket creation after the customer confirms with "yes"
+ * - Ticket status lookup and cancellation by the customer (`#sprout status`,
+ *   `#sprout status <ticket>`, `#sprout cancel <ticket>`); customers only ever
+ *   see tickets opened from their own number
+ * - Farewell handling and help text for invalid commands
+ *
+ * Attributes:
+ *     messenger (Object): Outbound transport provided by the server
+ *         - sendText(to, body): Send a text message
+ *         - sendImage(to): Send the Sprout Bot official logo
+ *         - sendInteractive(to, interactive, body): Send a list or reply buttons
+ *     interactive (boolean): Send menus as WhatsApp lists and confirmations as
+ *         Yes/No buttons instead of plain text
+ *     ticketStorage (TicketStorage): Ticket persistence
+ *     sessionStore (SessionStore): Per-customer menu position and pending issue
+ *     flow (ConversationFlow): Menu nodes, issue codes and ticket prefixes
+ *         loaded from sprout_flow.json
+ *     responses (Object): Greetings, support keywords and farewells loaded
+ *         from sprout_commands.json
+ *
+ * Methods:
+ *     initialize(): Load response templates and the conversation flow
+ *         - Fails if the flow validator reports errors
+ *
+ *     handleIncomingMessage(from, message): Work out the reply and send it to `from`
+ *
+ *     handleIncomingAttachment(from, attachment): File media the customer sent
+ *         - Held for the pending issue and attached when the customer confirms it
+ *         - Otherwise attached to the customer's ticket that is Waiting on Customer
+ *
+ *     handleUserInput(from, message): Work out the replies for a message
+ *         - Returns a list of replies ({ type: 'image' }, { type: 'text', body } or
+ *           { type: 'interactive', interactive, body } with `body` as text fallback)
+ *         - Creates tickets when the customer confirms an issue; the ticket
+ *           storage assigns the next number for the department's prefix
+ *
+ *     enterNode(from, nodeId): Move a customer to a flow node and render it
+ *
+ *     listOpenTickets(from) / describeTicket(from, ticketNumber) /
+ *     cancelTicket(from, ticketNumber): Ticket self-service for the sender
+ *
+ *     menuReply(nodeId) / confirmationReply(body): Build menu and confirmation
+ *         replies, as interactive messages when enabled
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ConversationFlow from './conversationFlow.js';
+import { FINISHED_STATUSES } from './ticketStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_GREETING_RESPONSE = 'Hi there! Type #sprout to see our support menu.';
+
+// Words after the flow command that the engine handles itself; flow codes can't use them
+export const RESERVED_COMMANDS = ['status', 'cancel'];
+
+class ConversationEngine {
+    constructor({ messenger, ticketStorage, sessionStore, flow, interactive = false }) {
+        this.messenger = messenger;
+        this.ticketStorage = ticketStorage;
+        this.sessionStore = sessionStore;
+        this.flow = flow || new ConversationFlow({ reservedWords: RESERVED_COMMANDS });
+        this.interactive = interactive;
+        this.responsesPath = path.join(__dirname, '..', 'public', 'sprout_commands.json');
+        this.responses = null;
+    }
+
+    greetingStarters = [
+        'hi',
+        'hello',
+        'greetings',
+        'how do you do',
+        'good morning',
+        'good evening',
+        'good afternoon',
+        'good day'
+    ];
+
+    async initialize() {
+        const data = await fs.readFile(this.responsesPath, 'utf8');
+        this.responses = JSON.parse(data);
+        console.log('Conversation engine loaded responses from:', this.responsesPath);
+
+        await this.flow.load();
+    }
+
+    async handleIncomingMessage(from, message) {
+        const replies = await this.handleUserInput(from, message);
+        await this.sendReplies(from, replies);
+        return replies;
+    }
+
+    async handleIncomingAttachment(from, attachment) {
+        const replies = await this.handleAttachment(from, attachment);
+        await this.sendReplies(from, replies);
+        return replies;
+    }
+
+    async sendReplies(from, replies) {
+        for (const reply of replies) {
+            if (reply.type === 'image') {
+                try {
+                    await this.messenger.sendImage(from);
+                } catch (error) {
+                    // A missing logo should never stop the text reply
+                    console.error('Error sending greeting image:', error.message);
+                }
+            } else if (reply.type === 'interactive') {
+                try {
+                    await this.messenger.sendInteractive(from, reply.interactive, reply.body);
+                } catch (error) {
+                    // Fall back to the plain text menu the customer can type codes from
+                    console.error('Error sending interactive message, sending text instead:', error.message);
+                    await this.messenger.sendText(from, reply.body);
+                }
+            } else {
+                await this.messenger.sendText(from, reply.body);
+            }
+        }
+    }
+
+    async handleAttachment(from, attachment) {
+        const session = this.sessionStore.updateSession(from, {});
+        const label = attachment.kind;
+
+        // Keep it until the customer confirms the ticket
+        if (session.pendingIssue) {
+            this.sessionStore.updateSession(from, {
+                pendingAttachments: [...(session.pendingAttachments || []), attachment]
+            });
+            return [{ type: 'text', body: `Thanks, we'll add this ${label} to your ticket once you confirm it.` }];
+        }
+
+        // Otherwise it belongs to the ticket that is waiting for the customer
+        const tickets = await this.ticketStorage.getCustomerTickets(from);
+        const waiting = tickets.find(ticket => ticket.status === 'Waiting on Customer');
+        if (waiting) {
+            await this.ticketStorage.addAttachment(waiting.ticketNumber, attachment, { actor: 'customer' });
+            return [{ type: 'text', body: `Thanks, we've added this ${label} to ticket ${waiting.ticketNumber}.` }];
+        }
+
+        return [];
+    }
+
+    async handleUserInput(from, message) {
+        const lowerMessage = message.toLowerCase().trim();
+        const text = body => [{ type: 'text', body }];
+
+        // Every message counts as activity on the sender's session
+        const session = this.sessionStore.updateSession(from, {});
+
+        // First check if message starts with a greeting
+        const startsWithGreeting = this.greetingStarters.some(greeting =>
+            lowerMessage.startsWith(greeting)
+        );
+
+        // Check for support keywords
+        const containsSupportKeyword = this.responses.support_keywords.some(keyword =>
+            lowerMessage.includes(keyword.toLowerCase())
+        );
+
+        // Case 1: Message starts with greeting and contains support keyword
+        if (startsWithGreeting && containsSupportKeyword) {
+            return [{ type: 'image' }, ...text(this.responses.support_greeting)];
+        }
+
+        // Case 2: Message starts with greeting only
+        if (startsWithGreeting) {
+            const exactGreeting = Object.entries(this.responses.greetings)
+                .find(([greeting]) => lowerMessage === greeting.toLowerCase());
+            const response = exactGreeting ? exactGreeting[1] : DEFAULT_GREETING_RESPONSE;
+            return [{ type: 'image' }, ...text(response)];
+        }
+
+        // Case 3: Message contains support keyword only (no greeting)
+        if (containsSupportKeyword && this.flow.matchCommand(message) === null) {
+            return text(this.responses.support_greeting);
+        }
+
+        // Handle "yes" response for ticket creation
+        if (lowerMessage === 'yes' && session.pendingIssue) {
+            const { nodeId, issue, displayIssue } = session.pendingIssue;
+            const { ticketNumber } = await this.ticketStorage.createTicket({
+                issue,
+                status: 'Open',
+                createdAt: new Date().toISOString(),
+                customerPhone: from,
+                attachments: session.pendingAttachments || []
+            }, { prefix: this.flow.getTicketPrefix(nodeId) });
+            this.sessionStore.updateSession(from, { menu: null, pendingIssue: null, pendingAttachments: [] });
+            return text(`Ticket created successfully!\n\nTicket Details:\nTicket Number: ${ticketNumber}\nIssue: ${displayIssue || issue}\nStatus: Open\n\nWe will contact you shortly regarding this ticket.\n\nType ${this.flow.command} to return to the main menu.`);
+        }
+
+        // Handle "no" response: drop the pending issue without creating a ticket
+        if (lowerMessage === 'no' && session.pendingIssue) {
+            this.sessionStore.updateSession(from, { pendingIssue: null, pendingAttachments: [] });
+            return text(`No problem, no ticket was created.\n\nType ${this.flow.command} to return to the main menu.`);
+        }
+
+        // Check for farewells
+        for (const [farewell, response] of Object.entries(this.responses.farewells)) {
+            if (lowerMessage.includes(farewell.toLowerCase())) {
+                return text(response);
+            }
+        }
+
+        // Anything else that isn't a flow command gets no reply
+        const command = this.flow.matchCommand(message);
+        if (command === null) {
+            return [];
+        }
+
+        // If just the command was sent, show the start menu
+        if (command === '') {
+            return this.enterNode(from, this.flow.startNodeId);
+        }
+
+        // Ticket self-service commands
+        const [keyword, ...args] = command.split(/\s+/);
+        if (keyword === 'status') {
+            return text(args.length > 0
+                ? await this.describeTicket(from, args[0])
+                : await this.listOpenTickets(from));
+        }
+        if (keyword === 'cancel') {
+            return text(await this.cancelTicket(from, args[0]));
+        }
+
+        // Look the code up in the flow definition
+        const selection = this.flow.resolve(command);
+        if (selection) {
+            const { nodeId, option } = selection;
+            if (option.next) {
+                return this.enterNode(from, option.next);
+            }
+
+            // Options without a transition are issues that can become tickets
+            const pendingIssue = { nodeId, issue: `${option.code}. ${option.label}` };
+            this.sessionStore.updateSession(from, { menu: nodeId, pendingIssue, pendingAttachments: [] });
+            return this.confirmationReply(`Selected issue:\n${pendingIssue.issue}\n\n${this.flow.confirmPrompt}`);
+        }
+
+        // Return help message for any invalid commands
+        return text(this.getHelpText());
+    }
+
+    getHelpText() {
+        const command = this.flow.command;
+        return `${this.flow.getHelpText()}\n${command} status - List your open tickets\n${command} status [ticket number] - Show a ticket's details\n${command} cancel [ticket number] - Cancel a ticket`;
+    }
+
+    async findCustomerTicket(from, ticketNumber) {
+        // Only tickets opened from the sender's own number are ever visible
+        const tickets = await this.ticketStorage.getCustomerTickets(from);
+        return tickets.find(ticket => ticket.ticketNumber.toUpperCase() === ticketNumber.toUpperCase()) || null;
+    }
+
+    async listOpenTickets(from) {
+        const command = this.flow.command;
+        const tickets = (await this.ticketStorage.getCustomerTickets(from))
+            .filter(ticket => !FINISHED_STATUSES.includes(ticket.status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        if (tickets.length === 0) {
+            return `You have no open tickets.\n\nType ${command} to see our support menu.`;
+        }
+
+        const lines = tickets.map((ticket, index) =>
+            `${index + 1}. ${ticket.ticketNumber} - ${ticket.issue} (${ticket.status})`
+        );
+        return `Your open tickets:\n\n${lines.join('\n')}\n\nType ${command} status [ticket number] for details.`;
+    }
+
+    async describeTicket(from, ticketNumber) {
+        const ticket = await this.findCustomerTicket(from, ticketNumber);
+        if (!ticket) {
+            return `We couldn't find ticket ${ticketNumber.toUpperCase()} for your number.\n\nType ${this.flow.command} status to list your open tickets.`;
+        }
+
+        const formatDate = value => new Date(value).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' });
+
+        // Internal notes and agent actions stay private; only show what happened to the ticket
+        const history = (ticket.history || [])
+            .map(entry => {
+                switch (entry.action) {
+                    case 'created':
+                        return `${formatDate(entry.at)} - Ticket opened`;
+                    case 'status':
+                        return `${formatDate(entry.at)} - Status changed to ${entry.to}`;
+                    case 'assigned':
+                        return `${formatDate(entry.at)} - Assigned to ${entry.to}`;
+                    default:
+                        return null;
+                }
+            })
+            .filter(Boolean);
+
+        const lines = [
+            'Ticket Details:',
+            `Ticket Number: ${ticket.ticketNumber}`,
+            `Issue: ${ticket.issue}`,
+            `Status: ${ticket.status}`,
+            `Assigned To: ${ticket.assignedTo || 'Not yet assigned'}`,
+            `Created: ${formatDate(ticket.createdAt)}`
+        ];
+        if (history.length > 0) {
+            lines.push('', 'History:', ...history);
+        }
+        return lines.join('\n');
+    }
+
+    async cancelTicket(from, ticketNumber) {
+        const command = this.flow.command;
+        if (!ticketNumber) {
+            return `Please include the ticket number, e.g. ${command} cancel CLD-160818-2801\n\nType ${command} status to list your open tickets.`;
+        }
+
+        const ticket = await this.findCustomerTicket(from, ticketNumber);
+        if (!ticket) {
+            return `We couldn't find ticket ${ticketNumber.toUpperCase()} for your number.\n\nType ${command} status to list your open tickets.`;
+        }
+        if (FINISHED_STATUSES.includes(ticket.status)) {
+            return `Ticket ${ticket.ticketNumber} is already ${ticket.status.toLowerCase()} and can't be cancelled.`;
+        }
+
+        await this.ticketStorage.changeStatus(ticket.ticketNumber, 'Cancelled', {
+            actor: 'customer',
+            note: 'Cancelled by the customer on WhatsApp'
+        });
+        return `Ticket ${ticket.ticketNumber} has been cancelled.\n\nType ${command} to return to the main menu.`;
+    }
+
+    enterNode(from, nodeId) {
+        const node = this.flow.getNode(nodeId);
+
+        // Nodes with a ticket offer one straight away (e.g. "Other")
+        if (node.ticket) {
+            const pendingIssue = { nodeId, issue: node.ticket.issue, displayIssue: node.ticket.displayIssue };
+            this.sessionStore.updateSession(from, { menu: nodeId, pendingIssue, pendingAttachments: [] });
+            return this.confirmationReply(`${this.flow.renderNode(nodeId)}\n\n${this.flow.confirmPrompt}`);
+        }
+
+        this.sessionStore.updateSession(from, { menu: nodeId, pendingIssue: null, pendingAttachments: [] });
+        return this.menuReply(nodeId);
+    }
+
+    menuReply(nodeId) {
+        const body = this.flow.renderNode(nodeId);
+        const interactive = this.interactive ? this.flow.buildListMessage(nodeId) : null;
+        return interactive
+            ? [{ type: 'interactive', interactive, body }]
+            : [{ type: 'text', body }];
+    }
+
+    confirmationReply(body) {
+        return this.interactive
+            ? [{ type: 'interactive', interactive: this.flow.buildConfirmationButtons(body), body }]
+            : [{ type: 'text', body }];
+    }
+
+}
+
+export default ConversationEngine;
@@ -0,0 +1,236 @@
+/**
+ * Conversation Flow Class
+ *
+ * Loads the declarative `#sprout` menu definition (public/sprout_flow.json) and answers
+ * the questions the conversation engine asks about it. Departments, issues, prompts,
+ * transitions and ticket prefixes all live in that file, so adding a department is a
+ * data change only.
+ *
+ * Flow Format:
+ * {
+ *     "command": "#sprout",              // Prefix customers type before a code
+ *     "start": "main",                   // Node shown for the bare command
+ *     "confirmPrompt": "...",            // Appended when an issue is selected
+ *     "defaultTicketPrefix": "TKT",      // Used when a node has no ticketPrefix
+ *     "nodes": {
+ *         "main": {
+ *             "title": "Sprout Support",
+ *             "prompt": "Please select a department...",
+ *             "options": [
+ *                 { "code": "01", "label": "Cloud Department", "next": "cloud" }
+ *             ]
+ *         },
+ *         "cloud": {
+ *             "title": "Cloud Department",
+ *             "prompt": "Please select an issue...",
+ *             "ticketPrefix": "CLD",
+ *             "options": [
+ *                 { "code": "C1", "label": "Unable to access cloud storage.", "aliases": [] }
+ *             ]
+ *         },
+ *         "other": {
+ *             "title": "Other",
+ *             "prompt": "A Green Team member will call you back shortly",
+ *             "ticketPrefix": "OTR",
+ *             "ticket": { "issue": "None Specified", "displayIssue": "Other - None Specified" }
+ *         }
+ *     }
+ * }
+ *
+ * An option with `next` moves to another node. An option without `next` is an issue:
+ * selecting it offers a ticket using the node's ticket prefix. A node with `ticket`
+ * offers a ticket as soon as it is reached.
+ *
+ * Methods:
+ *     load(): Read and validate the flow file
+ *         - Throws if the validator reports errors
+ *         - Logs validator warnings
+ *
+ *     matchCommand(message): Strip the flow command from a message
+ *         - Returns the remaining text, or null if the message isn't a command
+ *
+ *     resolve(input): Find the option selected by a code or alias
+ *
+ *     getNode(nodeId): Get a node by id
+ *
+ *     renderNode(nodeId): Render a node's prompt and options as text
+ *
+ *     getHelpText(): Describe the accepted commands
+ *
+ *     buildListMessage(nodeId): Build a WhatsApp interactive list for a node
+ *         - Each row replies with the same text a customer would type
+ *         - Returns null when the node doesn't fit WhatsApp's list limits
+ *
+ *     buildConfirmationButtons(body): Build Yes/No reply buttons
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateFlow } from './flowValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// WhatsApp interactive message limits
+const LIST_MAX_ROWS = 10;
+const LIST_ROW_TITLE_MAX = 24;
+const LIST_ROW_DESCRIPTION_MAX = 72;
+const LIST_HEADER_MAX = 60;
+const LIST_SECTION_TITLE_MAX = 24;
+const INTERACTIVE_BODY_MAX = 1024;
+
+const truncate = (value, max) => value.length > max ? `${value.slice(0, max - 1)}…` : value;
+
+class ConversationFlow {
+    constructor({ flowPath, reservedWords = [] } = {}) {
+        this.flowPath = flowPath || path.join(__dirname, '..', 'public', 'sprout_flow.json');
+        this.reservedWords = reservedWords;
+        this.flow = null;
+        this.codeIndex = new Map();
+    }
+
+    async load() {
+        const data = await fs.readFile(this.flowPath, 'utf8');
+        const flow = JSON.parse(data);
+
+        const { valid, errors, warnings } = validateFlow(flow, { reservedWords: this.reservedWords });
+        warnings.forEach(warning => console.warn('Flow warning:', warning));
+        if (!valid) {
+            errors.forEach(error => console.error('Flow error:', error));
+            throw new Error(`Invalid conversation flow ${this.flowPath}: ${errors.length} error(s)`);
+        }
+
+        this.flow = flow;
+        this.codeIndex = this.buildCodeIndex(flow);
+        console.log('Conversation flow loaded from:', this.flowPath);
+        return flow;
+    }
+
+    buildCodeIndex(flow) {
+        const index = new Map();
+        for (const [nodeId, node] of Object.entries(flow.nodes)) {
+            for (const option of node.options || []) {
+                const entry = { nodeId, node, option };
+                index.set(option.code.toLowerCase(), entry);
+                (option.aliases || []).forEach(alias => index.set(alias.toLowerCase(), entry));
+            }
+        }
+        return index;
+    }
+
+    get command() {
+        return this.flow.command;
+    }
+
+    get startNodeId() {
+        return this.flow.start;
+    }
+
+    get confirmPrompt() {
+        return this.flow.confirmPrompt || 'Would you like to create a ticket for this issue? Reply with "yes" to proceed.';
+    }
+
+    matchCommand(message) {
+        const lowerMessage = message.toLowerCase().trim();
+        const command = this.command.toLowerCase();
+        if (!lowerMessage.startsWith(command)) {
+            return null;
+        }
+        return lowerMessage.slice(command.length).trim();
+    }
+
+    resolve(input) {
+        return this.codeIndex.get(input.toLowerCase().trim()) || null;
+    }
+
+    getNode(nodeId) {
+        return this.flow.nodes[nodeId] || null;
+    }
+
+    getTicketPrefix(nodeId) {
+        return this.getNode(nodeId)?.ticketPrefix || this.flow.defaultTicketPrefix || 'TKT';
+    }
+
+    renderNode(nodeId) {
+        const node = this.getNode(nodeId);
+        const lines = [node.prompt];
+        (node.options || []).forEach(option => lines.push(`${option.code}. ${option.label}`));
+        return lines.join('\n');
+    }
+
+    getHelpText() {
+        const start = this.getNode(this.startNodeId);
+        const range = options => options.length > 1
+            ? `${options[0].code}-${options[options.length - 1].code}`
+            : options[0].code;
+
+        const issueRanges = Object.values(this.flow.nodes)
+            .map(node => (node.options || []).filter(option => !option.next))
+            .filter(options => options.length > 0)
+            .map(range);
+
+        const lines = [
+            'Available commands:',
+            `${this.command} - Show department menu`,
+            `${this.command} [${range(start.options)}] - Show department issues`
+        ];
+        if (issueRanges.length > 0) {
+            const examples = issueRanges.slice(0, 3).join(', ');
+            lines.push(`${this.command} [${examples}${issueRanges.length > 3 ? ', etc.' : ''}] - Select specific issue`);
+        }
+        return lines.join('\n');
+    }
+
+    buildListMessage(nodeId) {
+        const node = this.getNode(nodeId);
+        const options = node.options || [];
+        if (options.length === 0 || options.length > LIST_MAX_ROWS) {
+            return null;
+        }
+
+        const rows = options.map(option => {
+            const title = `${option.code}. ${option.label}`;
+            const row = {
+                id: `${this.command} ${option.code}`,
+                title: truncate(title, LIST_ROW_TITLE_MAX)
+            };
+            // Show the full label underneath when the title had to be shortened
+            if (row.title !== title) {
+                row.description = truncate(option.label, LIST_ROW_DESCRIPTION_MAX);
+            }
+            return row;
+        });
+
+        const interactive = {
+            type: 'list',
+            body: { text: truncate(node.prompt.trim(), INTERACTIVE_BODY_MAX) },
+            action: {
+                button: node.options.some(option => option.next) ? 'Departments' : 'Issues',
+                sections: [{
+                    title: truncate(node.title || 'Options', LIST_SECTION_TITLE_MAX),
+                    rows
+                }]
+            }
+        };
+        if (node.title) {
+            interactive.header = { type: 'text', text: truncate(node.title, LIST_HEADER_MAX) };
+        }
+        return interactive;
+    }
+
+    buildConfirmationButtons(body) {
+        return {
+            type: 'button',
+            body: { text: truncate(body, INTERACTIVE_BODY_MAX) },
+            action: {
+                buttons: [
+                    { type: 'reply', reply: { id: 'yes', title: 'Yes' } },
+                    { type: 'reply', reply: { id: 'no', title: 'No' } }
+                ]
+            }
+        };
+    }
+}
+
+export default ConversationFlow;
@@ -0,0 +1,272 @@
+/**
+ * Conversation Inbox Class
+ *
+ * Groups the chat history into one conversation per customer number for the console's
+ * inbox. Each conversation has a summary record with the last message, the number of
+ * customer messages nobody has read yet and the customer's WhatsApp profile name. The
+ * summaries are kept up to date from MessageStorage's messageAdded event and persisted
+ * through the store (conversations.json or the conversations table), so listing the
+ * inbox never reads the whole history. A history from before the inbox existed is
+ * summarised once, on the first start.
+ *
+ * The inbox is shared: a conversation is read once any agent has opened it.
+ *
+ * Every conversation also has a mode that decides who answers the customer. In `bot`
+ * mode (the default) the conversation engine replies; when an agent takes over
+ * (`human`) or an agent pauses the bot (`paused`) the bot stays silent for that
+ * customer until someone hands the conversation back. Only the agent who took over,
+ * or a supervisor, can change a conversation another agent is handling.
+ *
+ * Methods:
+ *     initialize(): Load the summaries, building them from the history if there are none
+ *
+ *     list(): Every conversation, latest message first
+ *         - Each one with the customer's open tickets as `openTickets`
+ *
+ *     get(phone): One conversation with its open tickets
+ *         - Throws ConversationError (404) when the customer never wrote or was written to
+ *
+ *     markRead(phone, agent): Reset the unread count of a conversation
+ *         - Throws ConversationError (404) for unknown conversations
+ *
+ *     setMode(phone, mode, agent, { override }): Switch between bot, human and paused
+ *         - `human` records the agent as `handledBy`; override lets a supervisor take
+ *           over or hand back a conversation another agent is handling
+ *         - Returns { conversation, previousMode, previousHandler } with the username
+ *           of the agent who was handling it, if any
+ *         - Throws ConversationError: 400 for unknown modes, 403 when another agent is
+ *           handling the conversation, 404 for unknown conversations
+ *
+ *     botAnswers(phone): Whether the bot should reply to this customer
+ *         - True in bot mode and for customers without a conversation yet
+ *
+ *     clear(): Remove every summary (after the chat history was cleared)
+ *         - Conversations an agent has taken over or paused keep their mode, with
+ *           the message fields reset, so the bot stays silent for those customers
+ *
+ * Events:
+ *     conversationUpdated (conversation): Emitted after a message was added to a
+ *         conversation, it was read or its mode changed, without `openTickets`
+ *
+ * Conversation Format:
+ * {
+ *     "phone": "15551234567",
+ *     "customerName": "Thandi",                  // WhatsApp profile name, when known
+ *     "lastMessage": {                           // null after the history was cleared
+ *         "id": "msg_in_12",
+ *         "direction": "incoming",               // incoming or outgoing
+ *         "content": "My router keeps…",         // First PREVIEW_LENGTH characters
+ *         "timestamp": "ISO_date_string"
+ *     },
+ *     "unreadCount": 2,                          // Customer messages since lastReadAt
+ *     "lastIncomingAt": "ISO_date_string",
+ *     "lastReadAt": "ISO_date_string",
+ *     "lastReadBy": "thandi",
+ *     "mode": "human",                           // bot (default), human or paused
+ *     "handledBy": { "username": "thandi", "name": "Thandi S" },  // Only in human mode
+ *     "modeChangedAt": "ISO_date_string",
+ *     "modeChangedBy": "thandi",
+ *     "updatedAt": "ISO_date_string"
+ * }
+ */
+
+import { EventEmitter } from 'events';
+import { FINISHED_STATUSES } from './ticketStorage.js';
+import { THREAD_ORDER } from '../public/messageStorage.js';
+
+export const PREVIEW_LENGTH = 80;
+
+// Who answers the customer: the bot, an agent, or nobody while the bot is paused
+export const MODES = ['bot', 'human', 'paused'];
+
+/**
+ * Error raised for inbox operations that can't be carried out.
+ * `statusCode` is the HTTP status the routes should answer with.
+ */
+export class ConversationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ConversationError';
+        this.statusCode = statusCode;
+    }
+}
+
+// WhatsApp sends customer numbers as digits only
+const normalizePhone = phone => String(phone || '').replace(/\D/g, '');
+
+const preview = content => {
+    const text = String(content || '');
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+};
+
+class ConversationInbox extends EventEmitter {
+    constructor({ store, messageStorage, ticketStorage }) {
+        super();
+        this.store = store;
+        this.messageStorage = messageStorage;
+        this.ticketStorage = ticketStorage;
+        this.conversations = new Map();
+
+        this.messageStorage.on('messageAdded', (message, direction) => {
+            this.recordMessage(message, direction).catch(error => {
+                console.error('Error updating the conversation summary:', error);
+            });
+        });
+    }
+
+    async initialize() {
+        const conversations = await this.store.getConversations();
+        this.conversations = new Map(conversations.map(conversation => [conversation.phone, conversation]));
+
+        if (this.conversations.size === 0) {
+            const { incoming, outgoing } = await this.store.getMessages();
+            const history = [
+                ...incoming.map(message => ({ message, direction: 'incoming' })),
+                ...outgoing.map(message => ({ message, direction: 'outgoing' }))
+            ].sort((a, b) => THREAD_ORDER(a.message, b.message));
+
+            history.forEach(({ message, direction }) => this.applyMessage(message, direction));
+            for (const conversation of this.conversations.values()) {
+                await this.store.saveConversation(conversation);
+            }
+        }
+        console.log(`Conversations loaded: ${this.conversations.size}`);
+    }
+
+    // Updates the summary in memory; returns it, or null for messages without a customer
+    applyMessage(message, direction) {
+        const phone = normalizePhone(direction === 'incoming' ? message.from : message.to);
+        if (!phone) {
+            return null;
+        }
+        const current = this.conversations.get(phone) || { phone, unreadCount: 0 };
+        const conversation = {
+            ...current,
+            lastMessage: {
+                id: message.id,
+                direction,
+                content: preview(message.content),
+                timestamp: message.timestamp
+            },
+            updatedAt: new Date().toISOString()
+        };
+        if (direction === 'incoming') {
+            conversation.unreadCount = (current.unreadCount || 0) + 1;
+            conversation.lastIncomingAt = message.timestamp;
+            if (message.customerName) {
+                conversation.customerName = message.customerName;
+            }
+        }
+        this.conversations.set(phone, conversation);
+        return conversation;
+    }
+
+    async recordMessage(message, direction) {
+        const conversation = this.applyMessage(message, direction);
+        if (conversation) {
+            await this.store.saveConversation(conversation);
+            this.emit('conversationUpdated', conversation);
+        }
+    }
+
+    // Open tickets grouped by customer number
+    async openTicketsByPhone() {
+        const { tickets } = await this.ticketStorage.getAllTickets();
+        const byPhone = new Map();
+        tickets
+            .filter(ticket => !FINISHED_STATUSES.includes(ticket.status))
+            .forEach(ticket => {
+                const phone = normalizePhone(ticket.customerPhone);
+                const summary = { ticketNumber: ticket.ticketNumber, status: ticket.status, issue: ticket.issue };
+                byPhone.set(phone, [...(byPhone.get(phone) || []), summary]);
+            });
+        return byPhone;
+    }
+
+    async list() {
+        const openTickets = await this.openTicketsByPhone();
+        return [...this.conversations.values()]
+            .map(conversation => ({ ...conversation, openTickets: openTickets.get(conversation.phone) || [] }))
+            .sort((a, b) => new Date(b.lastMessage?.timestamp || 0) - new Date(a.lastMessage?.timestamp || 0));
+    }
+
+    find(phone) {
+        const conversation = this.conversations.get(normalizePhone(phone));
+        if (!conversation) {
+            throw new ConversationError(`No conversation with ${phone}`, 404);
+        }
+        return conversation;
+    }
+
+    async get(phone) {
+        const conversation = this.find(phone);
+        const openTickets = await this.openTicketsByPhone();
+        return { ...conversation, openTickets: openTickets.get(conversation.phone) || [] };
+    }
+
+    async markRead(phone, agent) {
+        const current = this.find(phone);
+        const now = new Date().toISOString();
+        const conversation = {
+            ...current,
+            unreadCount: 0,
+            lastReadAt: now,
+            lastReadBy: agent?.username || null,
+            updatedAt: now
+        };
+        this.conversations.set(conversation.phone, conversation);
+        await this.store.saveConversation(conversation);
+        this.emit('conversationUpdated', conversation);
+        return conversation;
+    }
+
+    async setMode(phone, mode, agent, { override = false } = {}) {
+        const current = this.find(phone);
+        if (!MODES.includes(mode)) {
+            throw new ConversationError(`Unknown mode "${mode}"; use one of ${MODES.join(', ')}`);
+        }
+        const previousMode = current.mode || 'bot';
+        const handler = current.handledBy?.username;
+        if (previousMode === 'human' && handler && handler !== agent?.username && !override) {
+            throw new ConversationError(`${current.handledBy.name || handler} is handling this conversation`, 403);
+        }
+        if (mode === previousMode && (mode !== 'human' || handler === agent?.username)) {
+            return { conversation: current, previousMode, previousHandler: handler || null };
+        }
+
+        const now = new Date().toISOString();
+        const conversation = {
+            ...current,
+            mode,
+            handledBy: mode === 'human' ? { username: agent.username, name: agent.name || agent.username } : null,
+            modeChangedAt: now,
+            modeChangedBy: agent?.username || null,
+            updatedAt: now
+        };
+        this.conversations.set(conversation.phone, conversation);
+        await this.store.saveConversation(conversation);
+        this.emit('conversationUpdated', conversation);
+        return { conversation, previousMode, previousHandler: handler || null };
+    }
+
+    botAnswers(phone) {
+        const conversation = this.conversations.get(normalizePhone(phone));
+        return !conversation?.mode || conversation.mode === 'bot';
+    }
+
+    async clear() {
+        const now = new Date().toISOString();
+        const kept = [...this.conversations.values()]
+            .filter(conversation => conversation.mode && conversation.mode !== 'bot')
+            .map(({ lastIncomingAt, lastReadAt, lastReadBy, ...conversation }) =>
+                ({ ...conversation, lastMessage: null, unreadCount: 0, updatedAt: now }));
+
+        await this.store.clearConversations();
+        this.conversations = new Map(kept.map(conversation => [conversation.phone, conversation]));
+        for (const conversation of kept) {
+            await this.store.saveConversation(conversation);
+        }
+    }
+}
+
+export default ConversationInbox;
@@ -0,0 +1,127 @@
+/**
+ * Event Stream Class
+ *
+ * Pushes what happens on the server to the open consoles over Server-Sent Events
+ * (GET /events), so they no longer have to poll for messages and tickets.
+ *
+ * Every event gets an id made of the stream id, which changes each time the server
+ * starts, and a sequence number. Browsers send the id of the last event they saw as
+ * the Last-Event-ID header when they reconnect (or a console passes it as
+ * ?lastEventId=), and the events published since are replayed from a buffer of the
+ * most recent ones before live events continue, so nothing is missed or sent twice.
+ * When the events can't be replayed (the id is from before a restart, or older than the
+ * buffer) a `resync` event is sent instead, telling the console to reload through the
+ * REST routes.
+ *
+ * A comment line is sent every `heartbeatMs` so proxies don't close idle connections.
+ *
+ * Events:
+ *     ready            { lastEventId } first on a new connection, so even a console that
+ *                      saw no other event can resume from there
+ *     new-message      A message was stored (incoming or outgoing)
+ *     status-update    An outgoing message changed status (queued, sent, delivered,
+ *                      read or failed)
+ *     ticket-created   { ticket }
+ *     ticket-updated   { ticket, entry } with the history entry of the change
+ *     conversation-updated  { conversation } when a message arrived, it was read or
+ *                      its mode changed
+ *     resync           { lastEventId } when missed events can't be replayed
+ *
+ * Methods:
+ *     publish(type, data): Send an event to every connected console
+ *         - Returns the event ({ id, type, data })
+ *
+ *     eventsAfter(lastEventId): Buffered events published after this one
+ *         - Returns null when they can't be replayed
+ *
+ *     connect(req, res, lastEventId): Turn a request into an event stream
+ *         - Replays the events after lastEventId first, if one is given, and sends
+ *           `ready` otherwise
+ *
+ *     close(): End every open stream
+ */
+
+const HEARTBEAT = ': ping\n\n';
+
+class EventStream {
+    constructor({ bufferSize = 1000, heartbeatMs = 25000, retryMs = 3000 } = {}) {
+        this.bufferSize = bufferSize;
+        this.heartbeatMs = heartbeatMs;
+        this.retryMs = retryMs;
+        this.streamId = Date.now().toString(36);
+        this.sequence = 0;
+        this.buffer = [];
+        this.clients = new Set();
+    }
+
+    get lastEventId() {
+        return `${this.streamId}-${this.sequence}`;
+    }
+
+    format(event) {
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+    }
+
+    publish(type, data) {
+        const event = { id: `${this.streamId}-${++this.sequence}`, sequence: this.sequence, type, data };
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        const chunk = this.format(event);
+        this.clients.forEach(client => client.write(chunk));
+        return { id: event.id, type, data };
+    }
+
+    eventsAfter(lastEventId) {
+        const [streamId, sequenceText] = String(lastEventId).split('-');
+        const sequence = Number(sequenceText);
+        if (streamId !== this.streamId || !Number.isInteger(sequence) || sequence > this.sequence) {
+            return null;
+        }
+        // The event right after the last one seen must still be buffered
+        const oldest = this.buffer[0]?.sequence ?? this.sequence + 1;
+        if (sequence + 1 < oldest) {
+            return null;
+        }
+        return this.buffer.filter(event => event.sequence > sequence);
+    }
+
+    connect(req, res, lastEventId = null) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.retryMs}\n\n`);
+
+        if (lastEventId) {
+            const missed = this.eventsAfter(lastEventId);
+            if (missed) {
+                missed.forEach(event => res.write(this.format(event)));
+            } else {
+                res.write(this.format({ id: this.lastEventId, type: 'resync', data: { lastEventId: this.lastEventId } }));
+            }
+        } else {
+            res.write(this.format({ id: this.lastEventId, type: 'ready', data: { lastEventId: this.lastEventId } }));
+        }
+
+        this.clients.add(res);
+        const heartbeat = setInterval(() => res.write(HEARTBEAT), this.heartbeatMs);
+        heartbeat.unref();
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.clients.delete(res);
+        });
+    }
+
+    close() {
+        this.clients.forEach(client => client.end());
+        this.clients.clear();
+    }
+}
+
+export default EventStream;
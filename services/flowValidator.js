@@ -0,0 +1,121 @@
+/**
+ * Conversation Flow Validator
+ *
+ * Checks a conversation flow definition (see public/sprout_flow.json) before the
+ * conversation engine uses it. Errors make the flow unusable and stop the server from
+ * starting; warnings are logged so mistakes such as forgotten nodes are noticed early.
+ *
+ * Errors:
+ * - Missing or unknown start node
+ * - Transitions (`next`) pointing at nodes that don't exist
+ * - Duplicate option codes or aliases (codes are matched case-insensitively)
+ * - Options without a code, label or way to continue
+ * - Ticket nodes or issue options without a ticket prefix
+ *
+ * Warnings:
+ * - Nodes that can't be reached from the start node
+ *
+ * @module flowValidator
+ */
+
+/**
+ * Validates a conversation flow definition
+ * @param {Object} flow - Parsed flow definition
+ * @param {Object} [options]
+ * @param {string[]} [options.reservedWords] - Commands the engine handles itself
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ */
+export function validateFlow(flow, { reservedWords = [] } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!flow || typeof flow !== 'object' || !flow.nodes || typeof flow.nodes !== 'object') {
+        return { valid: false, errors: ['Flow must define a "nodes" object'], warnings };
+    }
+
+    if (!flow.command) {
+        errors.push('Flow must define the "command" customers type (e.g. "#sprout")');
+    }
+
+    const nodeIds = Object.keys(flow.nodes);
+    if (!flow.start) {
+        errors.push('Flow must define a "start" node');
+    } else if (!flow.nodes[flow.start]) {
+        errors.push(`Start node "${flow.start}" does not exist`);
+    }
+
+    // Every code and alias must resolve to exactly one option
+    const seenCodes = new Map();
+    const reserved = new Set(reservedWords.map(word => word.toLowerCase()));
+    const registerCode = (code, location) => {
+        const key = String(code).toLowerCase();
+        if (reserved.has(key)) {
+            errors.push(`${location}: "${code}" is a reserved command`);
+        }
+        if (seenCodes.has(key)) {
+            errors.push(`${location}: duplicate code "${code}" (already used by ${seenCodes.get(key)})`);
+        } else {
+            seenCodes.set(key, location);
+        }
+    };
+
+    for (const nodeId of nodeIds) {
+        const node = flow.nodes[nodeId];
+
+        if (!node.prompt) {
+            errors.push(`Node "${nodeId}" has no prompt`);
+        }
+
+        const options = node.options || [];
+        if (!node.ticket && options.length === 0) {
+            errors.push(`Node "${nodeId}" has neither options nor a ticket`);
+        }
+        if (node.ticket && !node.ticketPrefix && !flow.defaultTicketPrefix) {
+            errors.push(`Node "${nodeId}" creates tickets but has no ticketPrefix`);
+        }
+
+        options.forEach((option, index) => {
+            const location = `Node "${nodeId}" option ${option.code || `#${index + 1}`}`;
+
+            if (!option.code) {
+                errors.push(`${location}: missing code`);
+            } else {
+                registerCode(option.code, location);
+            }
+            (option.aliases || []).forEach(alias => registerCode(alias, location));
+
+            if (!option.label) {
+                errors.push(`${location}: missing label`);
+            }
+
+            if (option.next) {
+                if (!flow.nodes[option.next]) {
+                    errors.push(`${location}: transition to unknown node "${option.next}"`);
+                }
+            } else if (!node.ticketPrefix && !flow.defaultTicketPrefix) {
+                // Options without a transition are issues and need a ticket prefix
+                errors.push(`${location}: issue option in a node without a ticketPrefix`);
+            }
+        });
+    }
+
+    // Walk the transitions from the start node to find unreachable nodes
+    if (flow.start && flow.nodes[flow.start]) {
+        const reachable = new Set([flow.start]);
+        const queue = [flow.start];
+        while (queue.length > 0) {
+            const node = flow.nodes[queue.shift()];
+            for (const option of node.options || []) {
+                if (option.next && flow.nodes[option.next] && !reachable.has(option.next)) {
+                    reachable.add(option.next);
+                    queue.push(option.next);
+                }
+            }
+        }
+        nodeIds
+            .filter(nodeId => !reachable.has(nodeId))
+            .forEach(nodeId => warnings.push(`Node "${nodeId}" is unreachable from "${flow.start}"`));
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
@@ -0,0 +1,291 @@
+/**
+ * Graph API Client Class
+ *
+ * The single place the server talks to the WhatsApp Cloud API (Meta Graph API). It
+ * builds the URLs, adds the access token, paces sends to the phone number's
+ * throughput limit, retries failures that are worth retrying and turns every failure
+ * into a GraphError the routes can answer meaningfully.
+ *
+ * Error Classification (GraphError.kind → HTTP status the routes answer with):
+ *     rate_limit       429  Throughput, pair or app rate limit hit (130429, 131056, 4, 80007...)
+ *     auth             503  Access token expired or invalid, or missing permission (190, 10, 200-299)
+ *     transient        503  Graph 5xx, temporary Meta errors (1, 2, 131000, 131016) and network errors
+ *     window_closed    409  More than 24 hours since the customer's last message (131047)
+ *     recipient        422  Number can't receive the message (131026, 131030, 131021)
+ *     invalid_request  400  Anything else Graph rejected as a bad request
+ *
+ * Rate-limit and transient errors are retried with exponential backoff and jitter,
+ * waiting at least as long as a Retry-After header asks. Sends are spaced out so one
+ * phone number never goes over `messagesPerSecond`.
+ *
+ * Methods:
+ *     sendMessage(message): POST a message to /{phoneNumberId}/messages
+ *         - `messaging_product` and `recipient_type` are added
+ *         - Returns the Graph response (with `messages[0].id`, the wamid)
+ *
+ *     uploadMedia(buffer, { mimeType, fileName }): Upload a file, returns its media ID
+ *
+ *     getMediaInfo(mediaId): Look up a media file's download URL, type and size
+ *
+ *     downloadMedia(url, { maxBytes }): Download a media file as a Buffer
+ *
+ *     request(options): Make any other Graph call with the same retries and errors
+ */
+
+import axios from 'axios';
+import FormData from 'form-data';
+
+export const GRAPH_ERROR_KINDS = ['rate_limit', 'auth', 'transient', 'window_closed', 'recipient', 'invalid_request'];
+
+const STATUS_CODES = {
+    rate_limit: 429,
+    auth: 503,
+    transient: 503,
+    window_closed: 409,
+    recipient: 422,
+    invalid_request: 400
+};
+
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80007, 130429, 131048, 131056, 133016];
+const AUTH_CODES = [0, 3, 10, 102, 190];
+const TRANSIENT_CODES = [1, 2, 131000, 131016];
+const RECIPIENT_CODES = [131021, 131026, 131030];
+const WINDOW_CLOSED_CODES = [131047];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK'];
+
+// Spam rate limiting (131048) only lifts after hours, so retrying it is pointless
+const UNRETRYABLE_RATE_LIMIT_CODES = [131048];
+
+/**
+ * A failed Graph API call, classified by what the caller can do about it.
+ * `statusCode` is the HTTP status the routes should answer with.
+ */
+export class GraphError extends Error {
+    constructor(message, { kind, code = null, subcode = null, status = null, retryAfterMs = null, details = null } = {}) {
+        super(message);
+        this.name = 'GraphError';
+        this.kind = kind;
+        this.statusCode = STATUS_CODES[kind] || 502;
+        this.code = code;
+        this.subcode = subcode;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.details = details;
+    }
+
+    get retryable() {
+        return (this.kind === 'rate_limit' && !UNRETRYABLE_RATE_LIMIT_CODES.includes(this.code))
+            || this.kind === 'transient';
+    }
+}
+
+const retryAfterMs = headers => {
+    const value = headers?.['retry-after'];
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    return Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, new Date(value) - Date.now());
+};
+
+/**
+ * Turns an axios error from a Graph call into a GraphError
+ * @param {Error} error - Error thrown by axios
+ * @returns {GraphError|Error} The classified error; errors that didn't come from the
+ *     request itself (e.g. a response over maxContentLength) are returned as they are
+ */
+export function classifyGraphError(error) {
+    if (error instanceof GraphError) {
+        return error;
+    }
+
+    const response = error.response;
+    if (!response) {
+        if (NETWORK_ERROR_CODES.includes(error.code)) {
+            return new GraphError(`WhatsApp API unreachable: ${error.message}`, { kind: 'transient' });
+        }
+        return error;
+    }
+
+    const graphError = response.data?.error || {};
+    const code = graphError.code ?? null;
+    const details = graphError.error_data?.details;
+    const message = graphError.message || error.message;
+    const options = {
+        code,
+        subcode: graphError.error_subcode ?? null,
+        status: response.status,
+        retryAfterMs: retryAfterMs(response.headers),
+        details: response.data
+    };
+
+    let kind;
+    if (RATE_LIMIT_CODES.includes(code) || response.status === 429) {
+        kind = 'rate_limit';
+    } else if (AUTH_CODES.includes(code) || (code >= 200 && code <= 299) || response.status === 401) {
+        kind = 'auth';
+    } else if (WINDOW_CLOSED_CODES.includes(code)) {
+        kind = 'window_closed';
+    } else if (RECIPIENT_CODES.includes(code)) {
+        kind = 'recipient';
+    } else if (TRANSIENT_CODES.includes(code) || graphError.is_transient || response.status >= 500) {
+        kind = 'transient';
+    } else {
+        kind = 'invalid_request';
+    }
+
+    return new GraphError(details ? `${message}: ${details}` : message, { kind, ...options });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class GraphClient {
+    constructor({
+        token,
+        version,
+        phoneNumberId,
+        graphUrl = 'https://graph.facebook.com',
+        maxRetries = 3,
+        baseDelayMs = 500,
+        maxDelayMs = 8000,
+        messagesPerSecond = 80,
+        timeoutMs = 30000
+    }) {
+        this.token = token;
+        this.version = version;
+        this.phoneNumberId = phoneNumberId;
+        this.graphUrl = graphUrl;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.messagesPerSecond = messagesPerSecond;
+        this.timeoutMs = timeoutMs;
+        this.nextSendAt = 0;
+    }
+
+    url(path) {
+        return `${this.graphUrl}/${this.version}/${path}`;
+    }
+
+    // Evenly spaced send slots keep the number under its messages-per-second limit
+    async waitForSendSlot() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSendAt);
+        this.nextSendAt = slot + 1000 / this.messagesPerSecond;
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    }
+
+    backoffDelay(attempt, error) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        const jittered = exponential / 2 + Math.random() * exponential / 2;
+        return Math.max(jittered, error.retryAfterMs || 0);
+    }
+
+    /**
+     * Makes a Graph API call, retrying rate-limited and transient failures
+     * @param {Object} options - axios request options
+     * @param {string} [options.path] - Path after the API version (or a full `url`)
+     * @param {Function} [options.buildData] - Builds the body for each attempt (for streams)
+     * @param {boolean} [options.throttle] - Wait for a send slot first
+     * @returns {Promise<Object>} axios response
+     * @throws {GraphError} When the call fails for good
+     */
+    async request({ path, url, headers = {}, buildData, throttle = false, ...options }) {
+        for (let attempt = 0; ; attempt++) {
+            if (throttle) {
+                await this.waitForSendSlot();
+            }
+            try {
+                const data = buildData ? buildData() : options.data;
+                return await axios({
+                    timeout: this.timeoutMs,
+                    ...options,
+                    url: url || this.url(path),
+                    data,
+                    headers: {
+                        ...(data instanceof FormData ? { ...data.getHeaders(), 'Content-Length': data.getLengthSync() } : {}),
+                        ...headers,
+                        'Authorization': `Bearer ${this.token}`
+                    }
+                });
+            } catch (rawError) {
+                const error = classifyGraphError(rawError);
+                if (!(error instanceof GraphError) || !error.retryable || attempt >= this.maxRetries) {
+                    if (error instanceof GraphError) {
+                        console.error(`❌ WhatsApp API ${error.kind} error${attempt > 0 ? ` after ${attempt + 1} attempts` : ''}:`, {
+                            message: error.message,
+                            code: error.code,
+                            status: error.status
+                        });
+                    }
+                    throw error;
+                }
+
+                const delay = this.backoffDelay(attempt, error);
+                console.warn(`WhatsApp API ${error.kind} error (${error.code ?? error.status ?? 'network'}), retrying in ${Math.round(delay)} ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    async sendMessage(message) {
+        const response = await this.request({
+            method: 'POST',
+            path: `${this.phoneNumberId}/messages`,
+            headers: { 'Content-Type': 'application/json' },
+            data: {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                ...message
+            },
+            throttle: true
+        });
+        return response.data;
+    }
+
+    async uploadMedia(buffer, { mimeType, fileName }) {
+        const response = await this.request({
+            method: 'POST',
+            path: `${this.phoneNumberId}/media`,
+            // A form is a stream, so every attempt needs a new one
+            buildData: () => {
+                const form = new FormData();
+                form.append('messaging_product', 'whatsapp');
+                form.append('type', mimeType);
+                form.append('file', buffer, {
+                    filename: fileName,
+                    contentType: mimeType,
+                    knownLength: buffer.length
+                });
+                return form;
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity
+        });
+
+        if (!response.data || !response.data.id) {
+            throw new GraphError('Invalid media upload response: missing media ID', { kind: 'transient', details: response.data });
+        }
+        return response.data.id;
+    }
+
+    async getMediaInfo(mediaId) {
+        const response = await this.request({ method: 'GET', path: encodeURIComponent(mediaId) });
+        return response.data;
+    }
+
+    async downloadMedia(url, { maxBytes } = {}) {
+        const response = await this.request({
+            method: 'GET',
+            url,
+            responseType: 'arraybuffer',
+            maxContentLength: maxBytes,
+            maxBodyLength: maxBytes
+        });
+        return Buffer.from(response.data);
+    }
+}
+
+export default GraphClient;
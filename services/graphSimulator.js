@@ -0,0 +1,350 @@
+/**
+ * Graph Simulator Class
+ *
+ * A local stand-in for the WhatsApp Cloud API, so the whole bot can be run and tested
+ * without credentials or a network. Point the server at it with GRAPH_API_URL (e.g.
+ * http://localhost:3100) and every call the Graph client makes lands here instead of
+ * graph.facebook.com. Start it with `npm run mock-graph`.
+ *
+ * Graph Endpoints (any version, any phone number id):
+ *     POST /{version}/{phoneNumberId}/messages   Record a message, answer with a wamid
+ *     POST /{version}/{phoneNumberId}/media      Keep an uploaded file, answer with its id
+ *     GET  /{version}/{mediaId}                  Media info with a download URL
+ *     GET  /files/{mediaId}                      Download a media file
+ *
+ * Requests without a bearer token are refused like an expired token (code 190). Sent
+ * messages are checked for `messaging_product`, `to` and a body matching their `type`.
+ *
+ * Control Endpoints:
+ *     GET    /_simulator/messages    Messages sent so far, oldest first
+ *     DELETE /_simulator/messages    Forget sent messages, uploads and queued failures
+ *     POST   /_simulator/incoming    Deliver a customer message to the webhook
+ *         - { from, text, name } for a text message, or { from, message } with a full
+ *           webhook message object (e.g. an image or a list reply)
+ *     POST   /_simulator/statuses    Deliver a receipt: { wamid, status, errors }
+ *     POST   /_simulator/failures    Fail the next call(s): { count, code, status,
+ *         message, retryAfter } with a Graph error code (e.g. 130429, 131047, 190)
+ *
+ * Webhook deliveries are posted to `webhookUrl` in Meta's format and signed with
+ * `appSecret` (X-Hub-Signature-256) when one is set. With `autoStatuses`, every sent
+ * message gets sent, delivered and read receipts, `statusDelayMs` apart. Progress lines
+ * (sent, delivered, uploaded) go to `log`, console.log unless another function is given.
+ *
+ * Methods:
+ *     start() / stop(): Listen on `port` (0 picks a free one) / close the server
+ *         - start() returns the base URL to use as GRAPH_API_URL
+ *
+ *     sentMessages: Messages sent so far ({ wamid, phoneNumberId, to, type, body, sentAt })
+ *
+ *     pushIncomingMessage(from, message, { name }): Deliver a customer message
+ *         - `message` is a string for a text message, or a webhook message object
+ *         - Returns the wamid of the delivered message
+ *
+ *     pushStatus(wamid, status, { errors }): Deliver a receipt for a sent message
+ *
+ *     addMedia(buffer, { mimeType }): Store a file customers can "send", returns its id
+ *
+ *     failNext({ count, code, status, message, retryAfter }): Queue failures
+ *
+ *     reset(): Forget sent messages, uploads and queued failures
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import multer from 'multer';
+import axios from 'axios';
+import { signPayload, SIGNATURE_HEADER } from './webhookSignature.js';
+
+const MESSAGE_TYPES = ['text', 'template', 'interactive', 'image', 'sticker', 'audio', 'video', 'document', 'location', 'contacts', 'reaction'];
+const RECEIPT_ORDER = ['sent', 'delivered', 'read'];
+
+const graphError = (res, status, code, message, { retryAfter } = {}) => {
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+    }
+    res.status(status).json({
+        error: {
+            message,
+            type: code === 190 ? 'OAuthException' : 'GraphMethodException',
+            code,
+            fbtrace_id: crypto.randomBytes(8).toString('hex')
+        }
+    });
+};
+
+class GraphSimulator {
+    constructor({
+        port = 3100,
+        webhookUrl = null,
+        appSecret = null,
+        phoneNumberId = '541998855653030',
+        displayPhoneNumber = '15550783881',
+        autoStatuses = true,
+        statusDelayMs = 500,
+        log = console.log
+    } = {}) {
+        this.port = port;
+        this.webhookUrl = webhookUrl;
+        this.appSecret = appSecret;
+        this.phoneNumberId = phoneNumberId;
+        this.displayPhoneNumber = displayPhoneNumber;
+        this.autoStatuses = autoStatuses;
+        this.statusDelayMs = statusDelayMs;
+        this.log = log;
+        this.server = null;
+        this.baseUrl = null;
+        this.timers = new Set();
+        this.reset();
+        this.app = this.createApp();
+    }
+
+    reset() {
+        this.sentMessages = [];
+        this.media = new Map();
+        this.failures = [];
+        this.counter = 0;
+    }
+
+    nextId(prefix) {
+        return prefix + `${Date.now().toString(36)}${(++this.counter).toString(36).padStart(4, '0')}`.toUpperCase();
+    }
+
+    createApp() {
+        const app = express();
+        const upload = multer({ storage: multer.memoryStorage() });
+
+        // Control endpoints
+        app.get('/_simulator/messages', (req, res) => {
+            res.json({ messages: this.sentMessages });
+        });
+
+        app.delete('/_simulator/messages', (req, res) => {
+            this.reset();
+            res.json({ success: true });
+        });
+
+        app.post('/_simulator/incoming', express.json(), async (req, res) => {
+            const { from, text, message, name } = req.body;
+            if (!from || (!text && !message)) {
+                return res.status(400).json({ success: false, error: 'from and text (or message) are required' });
+            }
+            try {
+                const wamid = await this.pushIncomingMessage(from, message || text, { name });
+                res.json({ success: true, wamid });
+            } catch (error) {
+                res.status(502).json({ success: false, error: error.message });
+            }
+        });
+
+        app.post('/_simulator/statuses', express.json(), async (req, res) => {
+            const { wamid, status, errors } = req.body;
+            try {
+                await this.pushStatus(wamid, status, { errors });
+                res.json({ success: true });
+            } catch (error) {
+                res.status(error.statusCode || 502).json({ success: false, error: error.message });
+            }
+        });
+
+        app.post('/_simulator/failures', express.json(), (req, res) => {
+            this.failNext(req.body);
+            res.json({ success: true, queued: this.failures.length });
+        });
+
+        app.get('/files/:mediaId', (req, res) => {
+            const media = this.media.get(req.params.mediaId);
+            if (!media) {
+                return graphError(res, 404, 100, 'Unknown media');
+            }
+            res.type(media.mimeType).send(media.buffer);
+        });
+
+        // Graph endpoints
+        app.use('/:version', (req, res, next) => {
+            if (!/^Bearer \S+/.test(req.get('authorization') || '')) {
+                return graphError(res, 401, 190, 'Invalid OAuth access token - Cannot parse access token');
+            }
+            const failure = this.failures.shift();
+            if (failure) {
+                return graphError(res, failure.status, failure.code, failure.message, failure);
+            }
+            next();
+        });
+
+        app.post('/:version/:phoneNumberId/messages', express.json(), (req, res) => {
+            const { messaging_product: product, to, type = 'text', ...rest } = req.body || {};
+            if (product !== 'whatsapp') {
+                return graphError(res, 400, 100, '(#100) The parameter messaging_product is required.');
+            }
+            if (!to) {
+                return graphError(res, 400, 100, '(#100) The parameter to is required.');
+            }
+            if (!MESSAGE_TYPES.includes(type) || !rest[type]) {
+                return graphError(res, 400, 100, `(#100) Param ${type} must be set for messages of type ${type}.`);
+            }
+
+            const wamid = this.nextId('wamid.SIM');
+            const waId = String(to).replace(/\D/g, '');
+            this.sentMessages.push({
+                wamid,
+                phoneNumberId: req.params.phoneNumberId,
+                to: waId,
+                type,
+                body: req.body,
+                sentAt: new Date().toISOString()
+            });
+            this.log(`📤 ${type} message to ${waId} (${wamid})`);
+
+            if (this.autoStatuses && this.webhookUrl) {
+                RECEIPT_ORDER.forEach((status, index) => {
+                    this.later((index + 1) * this.statusDelayMs, () => this.pushStatus(wamid, status));
+                });
+            }
+            res.json({
+                messaging_product: 'whatsapp',
+                contacts: [{ input: String(to), wa_id: waId }],
+                messages: [{ id: wamid }]
+            });
+        });
+
+        app.post('/:version/:phoneNumberId/media', upload.single('file'), (req, res) => {
+            if (req.body.messaging_product !== 'whatsapp' || !req.file) {
+                return graphError(res, 400, 100, '(#100) messaging_product and file are required.');
+            }
+            const id = this.addMedia(req.file.buffer, { mimeType: req.body.type || req.file.mimetype });
+            this.log(`📎 Uploaded ${req.file.originalname} (${req.file.size} bytes) as ${id}`);
+            res.json({ id });
+        });
+
+        app.get('/:version/:mediaId', (req, res) => {
+            const media = this.media.get(req.params.mediaId);
+            if (!media) {
+                return graphError(res, 400, 100, `(#100) Unsupported get request. Object with ID '${req.params.mediaId}' does not exist.`);
+            }
+            res.json({
+                messaging_product: 'whatsapp',
+                id: req.params.mediaId,
+                url: `${this.baseUrl}/files/${req.params.mediaId}`,
+                mime_type: media.mimeType,
+                sha256: media.sha256,
+                file_size: media.buffer.length
+            });
+        });
+
+        return app;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, () => {
+                this.baseUrl = `http://localhost:${this.server.address().port}`;
+                resolve(this.baseUrl);
+            });
+            this.server.once('error', reject);
+        });
+    }
+
+    async stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    later(delayMs, task) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            task().catch(error => console.error('❌ Simulated webhook delivery failed:', error.message));
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    addMedia(buffer, { mimeType = 'application/octet-stream' } = {}) {
+        const id = String(Date.now()) + String(++this.counter).padStart(4, '0');
+        this.media.set(id, {
+            buffer,
+            mimeType,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+        });
+        return id;
+    }
+
+    failNext({ count = 1, code = 131000, status = 500, message = 'Something went wrong', retryAfter = null } = {}) {
+        for (let i = 0; i < count; i++) {
+            this.failures.push({ code, status, message, retryAfter });
+        }
+    }
+
+    buildDelivery(value) {
+        return {
+            object: 'whatsapp_business_account',
+            entry: [{
+                id: 'SIMULATED_WABA',
+                changes: [{
+                    field: 'messages',
+                    value: {
+                        messaging_product: 'whatsapp',
+                        metadata: {
+                            display_phone_number: this.displayPhoneNumber,
+                            phone_number_id: this.phoneNumberId
+                        },
+                        ...value
+                    }
+                }]
+            }]
+        };
+    }
+
+    async deliver(payload) {
+        if (!this.webhookUrl) {
+            throw new Error('No webhook URL configured');
+        }
+        // Sign the exact bytes that are sent
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.appSecret) {
+            headers[SIGNATURE_HEADER] = signPayload(body, this.appSecret);
+        }
+        const response = await axios.post(this.webhookUrl, body, { headers, validateStatus: () => true });
+        if (response.status !== 200) {
+            throw new Error(`Webhook answered ${response.status}`);
+        }
+    }
+
+    async pushIncomingMessage(from, message, { name = 'Test Customer' } = {}) {
+        const waId = String(from).replace(/\D/g, '');
+        const wamid = message.id || this.nextId('wamid.IN');
+        const body = typeof message === 'string' ? { type: 'text', text: { body: message } } : message;
+        await this.deliver(this.buildDelivery({
+            contacts: [{ profile: { name }, wa_id: waId }],
+            messages: [{
+                from: waId,
+                id: wamid,
+                timestamp: String(Math.floor(Date.now() / 1000)),
+                ...body
+            }]
+        }));
+        this.log(`📥 Delivered message ${wamid} from ${waId}`);
+        return wamid;
+    }
+
+    async pushStatus(wamid, status, { errors } = {}) {
+        const sent = this.sentMessages.find(message => message.wamid === wamid);
+        if (!sent) {
+            throw Object.assign(new Error(`No message ${wamid} was sent`), { statusCode: 404 });
+        }
+        await this.deliver(this.buildDelivery({
+            statuses: [{
+                id: wamid,
+                status,
+                timestamp: String(Math.floor(Date.now() / 1000)),
+                recipient_id: sent.to,
+                ...(errors ? { errors } : {})
+            }]
+        }));
+    }
+}
+
+export default GraphSimulator;
@@ -0,0 +1,95 @@
+/**
+ * Log Redaction
+ *
+ * Keeps secrets out of the server logs. Once installed, every console.log, info, warn,
+ * error and debug line is formatted as usual and then scrubbed of the configured secret
+ * values (the WhatsApp token, the app secret, the webhook verify token, the bootstrap
+ * admin password), wherever they appear: in messages, in logged objects, or inside the
+ * request config of an axios error.
+ *
+ * Secrets the server doesn't know in advance (agent passwords, session tokens,
+ * Authorization headers) are removed by field name with redactFields before an object
+ * is logged, e.g. by the request logger.
+ *
+ * Values shorter than MIN_SECRET_LENGTH aren't scrubbed, so a placeholder token such
+ * as "local" doesn't blank out every "localhost" in the logs.
+ *
+ * Functions:
+ *     redactSecrets(text, secrets): Replace every occurrence of the secrets in a string
+ *
+ *     redactFields(value): Copy of a value with sensitive fields replaced, at any depth
+ *         - Fields named in SENSITIVE_FIELDS, ignoring case, dashes and underscores
+ *           (so access_token and Set-Cookie match, but tokens and bypass don't)
+ *
+ *     installLogRedaction(secrets): Make the console methods redact these secrets
+ *         - Can be called again to add secrets; returns the redacting format function
+ */
+
+import util from 'util';
+
+export const REDACTED = '[redacted]';
+export const MIN_SECRET_LENGTH = 8;
+
+export const SENSITIVE_FIELDS = new Set([
+    'pass', 'passwd', 'password', 'currentpassword', 'newpassword', 'oldpassword',
+    'token', 'accesstoken', 'refreshtoken', 'sessiontoken', 'idtoken', 'verifytoken',
+    'secret', 'appsecret', 'clientsecret', 'apikey',
+    'authorization', 'proxyauthorization', 'cookie', 'setcookie'
+]);
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+const knownSecrets = new Set();
+let installed = false;
+
+const isSensitiveField = field => SENSITIVE_FIELDS.has(field.toLowerCase().replace(/[-_]/g, ''));
+
+/**
+ * Replaces every occurrence of the secrets in a string
+ * @param {string} text
+ * @param {Iterable<string>} secrets
+ * @returns {string}
+ */
+export function redactSecrets(text, secrets = knownSecrets) {
+    let redacted = String(text);
+    for (const secret of secrets) {
+        if (secret && secret.length >= MIN_SECRET_LENGTH) {
+            redacted = redacted.split(secret).join(REDACTED);
+        }
+    }
+    return redacted;
+}
+
+/**
+ * Copies a value, replacing the values of sensitive fields
+ * @param {*} value - Object, array or anything else (returned as is)
+ * @returns {*}
+ */
+export function redactFields(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactFields);
+    }
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+        return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) =>
+        [field, isSensitiveField(field) ? REDACTED : redactFields(fieldValue)]));
+}
+
+/**
+ * Makes console.log, info, warn, error and debug scrub the secrets from every line
+ * @param {Array<string>} secrets - Secret values; empty ones are ignored
+ * @returns {Function} Formats console arguments into a redacted line
+ */
+export function installLogRedaction(secrets = []) {
+    secrets.filter(Boolean).forEach(secret => knownSecrets.add(String(secret)));
+    const format = (...args) => redactSecrets(util.format(...args));
+
+    if (!installed) {
+        installed = true;
+        for (const method of CONSOLE_METHODS) {
+            const write = console[method].bind(console);
+            console[method] = (...args) => write(format(...args));
+        }
+    }
+    return format;
+}
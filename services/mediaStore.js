@@ -0,0 +1,127 @@
+/**
+ * Media Store Class
+ *
+ * Downloads media that customers send (images, videos, voice notes, documents and
+ * stickers) and keeps a local copy. Webhook messages only carry a media id; the file
+ * itself is fetched in two steps through the Graph API client:
+ *
+ *     1. GET /{version}/{mediaId} returns a short-lived download URL with the MIME type
+ *        and size
+ *     2. GET on that URL (with the same bearer token) returns the file
+ *
+ * Files are checked against the configured size limit and the allowed MIME types
+ * before and while downloading, and are stored as `<mediaId>.<ext>` in the media
+ * directory, which the server exposes under /media.
+ *
+ * Methods:
+ *     download(mediaId, { mimeType }): Fetch a media file and store it locally
+ *         - Returns { fileName, url, mimeType, size, sha256 }
+ *         - Throws MediaError if the file is too large or of a type that isn't allowed
+ *
+ *     isAllowedType(mimeType): Whether a MIME type may be stored
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Types customers can send on WhatsApp; anything else is recorded but not downloaded
+const ALLOWED_TYPE_PREFIXES = [
+    'image/',
+    'video/',
+    'audio/',
+    'text/plain',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.ms-',
+    'application/vnd.openxmlformats-officedocument.'
+];
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr',
+    'text/plain': 'txt',
+    'application/pdf': 'pdf',
+    'application/msword': 'doc',
+    'application/vnd.ms-excel': 'xls',
+    'application/vnd.ms-powerpoint': 'ppt',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+};
+
+/**
+ * Error raised when a media file can't be stored or sent.
+ * `statusCode` is the HTTP status the routes should answer with.
+ */
+export class MediaError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'MediaError';
+        this.statusCode = statusCode;
+    }
+}
+
+class MediaStore {
+    constructor({ graphClient, mediaDir, maxBytes = 16 * 1024 * 1024, urlPath = '/media' }) {
+        this.graphClient = graphClient;
+        this.mediaDir = mediaDir;
+        this.maxBytes = maxBytes;
+        this.urlPath = urlPath;
+    }
+
+    isAllowedType(mimeType) {
+        const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+        return ALLOWED_TYPE_PREFIXES.some(prefix => type.startsWith(prefix));
+    }
+
+    extensionFor(mimeType) {
+        const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+        return EXTENSIONS[type] || 'bin';
+    }
+
+    async download(mediaId, { mimeType } = {}) {
+        // Step 1: look up the download URL
+        const info = await this.graphClient.getMediaInfo(mediaId);
+        const type = info.mime_type || mimeType;
+        if (!this.isAllowedType(type)) {
+            throw new MediaError(`Media type ${type || 'unknown'} is not allowed`, 415);
+        }
+        if (info.file_size && Number(info.file_size) > this.maxBytes) {
+            throw new MediaError(`Media is ${info.file_size} bytes, the limit is ${this.maxBytes}`, 413);
+        }
+
+        // Step 2: download the file, never reading more than the limit
+        let buffer;
+        try {
+            buffer = await this.graphClient.downloadMedia(info.url, { maxBytes: this.maxBytes });
+        } catch (error) {
+            if (/maxContentLength/.test(error.message)) {
+                throw new MediaError(`Media is larger than the limit of ${this.maxBytes} bytes`, 413);
+            }
+            throw error;
+        }
+
+        const fileName = `${mediaId.replace(/[^\w.-]/g, '_')}.${this.extensionFor(type)}`;
+        await fs.mkdir(this.mediaDir, { recursive: true });
+        await fs.writeFile(path.join(this.mediaDir, fileName), buffer);
+
+        return {
+            fileName,
+            url: `${this.urlPath}/${fileName}`,
+            mimeType: type,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+        };
+    }
+}
+
+export default MediaStore;
@@ -0,0 +1,140 @@
+/**
+ * Media Uploader Class
+ *
+ * Uploads media that agents send (images, documents, audio, video and stickers) to
+ * WhatsApp and builds the message that sends it. Every file is checked against the
+ * MIME types and sizes WhatsApp accepts for its kind before it is uploaded:
+ *
+ *     image     image/jpeg, image/png                                5 MB
+ *     sticker   image/webp                                           500 KB
+ *     audio     audio/aac, audio/amr, audio/mpeg, audio/mp4, audio/ogg  16 MB
+ *     video     video/mp4, video/3gpp                                16 MB
+ *     document  text/plain, PDF, Word, Excel and PowerPoint          100 MB
+ *
+ * Uploaded media ids are cached by the SHA-256 of the file content, so the same file
+ * (e.g. the logo sent with every greeting) is uploaded once and its id reused until it
+ * nears WhatsApp's 30-day expiry.
+ *
+ * Methods:
+ *     validate({ mimeType, size }): Work out the WhatsApp media kind of a file
+ *         - Throws MediaError (415) for types WhatsApp doesn't accept
+ *         - Throws MediaError (413) for files over the limit of their kind
+ *
+ *     upload(buffer, { mimeType, fileName }): Upload a file, or reuse the cached id
+ *         - Returns { id, kind, mimeType, size, sha256, cached }
+ *
+ *     uploadFile(filePath): Upload a file from disk, its type taken from the extension
+ *
+ *     buildMessage(kind, mediaId, { caption, fileName }): The message body for a media
+ *         message; captions are left out for audio and stickers, file names are only
+ *         sent with documents
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { MediaError } from './mediaStore.js';
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+export const MEDIA_LIMITS = {
+    image: { maxBytes: 5 * MB, types: ['image/jpeg', 'image/png'] },
+    sticker: { maxBytes: 500 * KB, types: ['image/webp'] },
+    audio: { maxBytes: 16 * MB, types: ['audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg'] },
+    video: { maxBytes: 16 * MB, types: ['video/mp4', 'video/3gpp'] },
+    document: {
+        maxBytes: 100 * MB,
+        types: [
+            'text/plain',
+            'application/pdf',
+            'application/msword',
+            'application/vnd.ms-excel',
+            'application/vnd.ms-powerpoint',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+        ]
+    }
+};
+
+// Largest file of any kind, used as the upload limit for incoming requests
+export const MAX_MEDIA_BYTES = Math.max(...Object.values(MEDIA_LIMITS).map(limit => limit.maxBytes));
+
+const FILE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain'
+};
+
+// Media ids expire after 30 days; stop reusing them a day early
+const DEFAULT_CACHE_TTL_MS = 29 * 24 * 60 * 60 * 1000;
+
+class MediaUploader {
+    constructor({ graphClient, cacheTtlMs = DEFAULT_CACHE_TTL_MS }) {
+        this.graphClient = graphClient;
+        this.cacheTtlMs = cacheTtlMs;
+        this.cache = new Map();
+    }
+
+    validate({ mimeType, size }) {
+        const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+        const kind = Object.keys(MEDIA_LIMITS).find(name => MEDIA_LIMITS[name].types.includes(type));
+        if (!kind) {
+            throw new MediaError(`WhatsApp doesn't accept ${type || 'files without a type'}`, 415);
+        }
+        const { maxBytes } = MEDIA_LIMITS[kind];
+        if (size > maxBytes) {
+            throw new MediaError(`${kind} files can be at most ${Math.round(maxBytes / KB)} KB, this one is ${Math.round(size / KB)} KB`, 413);
+        }
+        return kind;
+    }
+
+    async upload(buffer, { mimeType, fileName } = {}) {
+        const kind = this.validate({ mimeType, size: buffer.length });
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const details = { kind, mimeType, size: buffer.length, sha256 };
+
+        const cached = this.cache.get(sha256);
+        if (cached && cached.expiresAt > Date.now()) {
+            // Pending uploads are cached too, so the same file is never uploaded twice at once
+            return { ...details, id: await cached.id, cached: true };
+        }
+
+        console.log('Uploading media to WhatsApp...', { fileName, mimeType, fileSize: buffer.length });
+        const id = this.graphClient.uploadMedia(buffer, { mimeType, fileName: fileName || sha256 });
+        this.cache.set(sha256, { id, expiresAt: Date.now() + this.cacheTtlMs });
+        try {
+            return { ...details, id: await id, cached: false };
+        } catch (error) {
+            this.cache.delete(sha256);
+            throw error;
+        }
+    }
+
+    async uploadFile(filePath) {
+        const mimeType = FILE_TYPES[path.extname(filePath).toLowerCase()];
+        const buffer = await fs.readFile(filePath);
+        return await this.upload(buffer, { mimeType, fileName: path.basename(filePath) });
+    }
+
+    buildMessage(kind, mediaId, { caption, fileName } = {}) {
+        const media = { id: mediaId };
+        if (caption && kind !== 'audio' && kind !== 'sticker') {
+            media.caption = caption;
+        }
+        if (fileName && kind === 'document') {
+            media.filename = fileName;
+        }
+        return { type: kind, [kind]: media };
+    }
+}
+
+export default MediaUploader;
@@ -0,0 +1,304 @@
+/**
+ * Message Templates Class
+ *
+ * Keeps the WhatsApp message templates the business has had approved, with the
+ * parameters each one takes, in public/message_templates.json. Outside the 24-hour
+ * customer service window WhatsApp only delivers template messages, so this is the only
+ * way to reach a customer who hasn't written in the last day.
+ *
+ * Templates themselves are created and approved in WhatsApp Manager; this file only
+ * records their name, language and parameter schema so sends can be checked before
+ * they reach the API.
+ *
+ * Templates Format:
+ * {
+ *     "windowClosedTemplate": { "name": "support_follow_up", "language": "en" },
+ *     "templates": [
+ *         {
+ *             "name": "ticket_update",              // Approved template name
+ *             "language": "en",                     // Approved language code
+ *             "category": "UTILITY",
+ *             "header": {                           // Optional
+ *                 "format": "text",                 // text, image, document or video
+ *                 "text": "Ticket {{1}}",
+ *                 "parameters": [{ "name": "ticketNumber", "example": "CLD-2026-00042" }]
+ *             },
+ *             "body": {
+ *                 "text": "Your ticket {{1}} is now {{2}}.",
+ *                 "parameters": [{ "name": "ticketNumber" }, { "name": "status" }]
+ *             },
+ *             "buttons": [                          // Optional
+ *                 { "type": "quick_reply", "text": "Talk to an agent", "parameter": { "name": "payload" } },
+ *                 { "type": "url", "text": "View ticket", "parameter": { "name": "ticketPath" } }
+ *             ]
+ *         }
+ *     ]
+ * }
+ *
+ * Parameters are passed by name; `example` is only shown to agents in the console.
+ * Text parameters fill the {{n}} placeholders in order; a media header takes one
+ * parameter holding a media ID or an https link. A quick_reply button parameter is the
+ * payload sent back when the customer taps it, a url button parameter is appended to
+ * the button's URL.
+ *
+ * `windowClosedTemplate` is sent instead of a free-form message when the customer's
+ * service window has closed. It should take no parameters.
+ *
+ * Methods:
+ *     load(): Read and check the templates file
+ *
+ *     list(): All templates
+ *
+ *     get(name, language): Find a template, in any language when none is given
+ *
+ *     save(template): Add a template or replace the one with the same name and language
+ *         - Throws TemplateError listing the problems when the definition is invalid
+ *
+ *     build(name, { language, parameters }): Build the `template` object of a message
+ *         - Throws TemplateError when a parameter is missing, unknown or invalid
+ *         - Returns { template, text }, text being the body with its placeholders filled
+ *
+ *     getWindowClosedTemplate(): The template sent when the service window is closed, or null
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const NAME_PATTERN = /^[a-z0-9_]+$/;
+const HEADER_FORMATS = ['text', 'image', 'document', 'video'];
+const BUTTON_TYPES = ['quick_reply', 'url'];
+const PLACEHOLDER_PATTERN = /\{\{(\d+)\}\}/g;
+
+// WhatsApp template parameter limits
+const HEADER_TEXT_PARAMETER_MAX = 60;
+const BODY_PARAMETER_MAX = 1024;
+const BUTTON_PARAMETER_MAX = 128;
+
+/**
+ * Error raised for template definitions or sends that can't be carried out.
+ * `statusCode` is the HTTP status the routes should answer with; `errors` lists
+ * every problem found.
+ */
+export class TemplateError extends Error {
+    constructor(message, statusCode = 400, errors = []) {
+        super(message);
+        this.name = 'TemplateError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+const countPlaceholders = text => new Set([...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1])).size;
+
+/**
+ * Lists the problems with a template definition
+ * @param {Object} template - Template definition
+ * @returns {string[]} Errors, empty when the definition is valid
+ */
+export function validateTemplate(template) {
+    const errors = [];
+    if (!template || typeof template !== 'object') {
+        return ['Template must be an object'];
+    }
+    const label = template.name || '(unnamed)';
+
+    if (!NAME_PATTERN.test(template.name || '')) {
+        errors.push(`${label}: name must be lowercase letters, digits and underscores`);
+    }
+    if (!template.language) {
+        errors.push(`${label}: language is required`);
+    }
+
+    const names = [];
+    const checkParameters = (where, parameters, expected) => {
+        if (!Array.isArray(parameters)) {
+            errors.push(`${label}: ${where} parameters must be a list`);
+            return;
+        }
+        if (expected !== undefined && parameters.length !== expected) {
+            errors.push(`${label}: ${where} has ${expected} placeholder(s) but ${parameters.length} parameter(s)`);
+        }
+        parameters.forEach(parameter => {
+            if (!parameter?.name) {
+                errors.push(`${label}: every ${where} parameter needs a name`);
+            } else {
+                names.push(parameter.name);
+            }
+        });
+    };
+
+    if (template.header) {
+        const { format = 'text', text, parameters = [] } = template.header;
+        if (!HEADER_FORMATS.includes(format)) {
+            errors.push(`${label}: header format must be one of ${HEADER_FORMATS.join(', ')}`);
+        } else if (format === 'text') {
+            checkParameters('header', parameters, countPlaceholders(text));
+            if (parameters.length > 1) {
+                errors.push(`${label}: a text header takes at most one parameter`);
+            }
+        } else {
+            checkParameters('header', parameters, 1);
+        }
+    }
+
+    if (!template.body?.text) {
+        errors.push(`${label}: body text is required`);
+    } else {
+        checkParameters('body', template.body.parameters || [], countPlaceholders(template.body.text));
+    }
+
+    (template.buttons || []).forEach((button, index) => {
+        if (!BUTTON_TYPES.includes(button.type)) {
+            errors.push(`${label}: button ${index + 1} type must be one of ${BUTTON_TYPES.join(', ')}`);
+        }
+        if (button.parameter) {
+            checkParameters(`button ${index + 1}`, [button.parameter]);
+        }
+    });
+
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+        errors.push(`${label}: parameter names must be unique (${[...new Set(duplicates)].join(', ')})`);
+    }
+    return errors;
+}
+
+class MessageTemplates {
+    constructor({ templatesPath } = {}) {
+        this.templatesPath = templatesPath || path.join(__dirname, '..', 'public', 'message_templates.json');
+        this.data = { windowClosedTemplate: null, templates: [] };
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.templatesPath, 'utf8'));
+            this.data = { windowClosedTemplate: data.windowClosedTemplate || null, templates: data.templates || [] };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Invalid message templates ${this.templatesPath}: ${error.message}`);
+            }
+            console.warn('No message templates file at:', this.templatesPath);
+        }
+
+        const errors = this.data.templates.flatMap(validateTemplate);
+        if (errors.length > 0) {
+            errors.forEach(error => console.error('Template error:', error));
+            throw new Error(`Invalid message templates ${this.templatesPath}: ${errors.length} error(s)`);
+        }
+        console.log(`Loaded ${this.data.templates.length} message template(s) from:`, this.templatesPath);
+        return this.data.templates;
+    }
+
+    list() {
+        return this.data.templates;
+    }
+
+    get(name, language) {
+        return this.data.templates.find(template => template.name === name && (!language || template.language === language)) || null;
+    }
+
+    getWindowClosedTemplate() {
+        const fallback = this.data.windowClosedTemplate;
+        return fallback ? this.get(fallback.name, fallback.language) : null;
+    }
+
+    async save(template) {
+        const errors = validateTemplate(template);
+        if (errors.length > 0) {
+            throw new TemplateError(`Invalid template: ${errors.join('; ')}`, 400, errors);
+        }
+
+        const templates = this.data.templates.filter(existing => existing.name !== template.name || existing.language !== template.language);
+        templates.push(template);
+        const data = { ...this.data, templates };
+
+        // Write a complete copy first so a crash never leaves a half-written file
+        const tempPath = `${this.templatesPath}.tmp-${process.pid}`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 4));
+        await fs.rename(tempPath, this.templatesPath);
+        this.data = data;
+        return template;
+    }
+
+    build(name, { language, parameters = {} } = {}) {
+        const template = this.get(name, language);
+        if (!template) {
+            throw new TemplateError(`Template ${name}${language ? ` (${language})` : ''} not found`, 404);
+        }
+
+        const errors = [];
+        const used = new Set();
+        const textValue = (parameter, max, { singleLine = false } = {}) => {
+            used.add(parameter.name);
+            const value = parameters[parameter.name];
+            if (value === undefined || value === null || String(value).trim() === '') {
+                errors.push(`${parameter.name} is required`);
+                return '';
+            }
+            const text = String(value);
+            if (text.length > max) {
+                errors.push(`${parameter.name} can be at most ${max} characters`);
+            }
+            // WhatsApp rejects body parameters with new lines, tabs or long runs of spaces
+            if (singleLine && (/[\n\t]/.test(text) || / {5,}/.test(text))) {
+                errors.push(`${parameter.name} can't contain new lines, tabs or more than 4 spaces in a row`);
+            }
+            return text;
+        };
+
+        const components = [];
+        if (template.header?.parameters?.length) {
+            const [parameter] = template.header.parameters;
+            const format = template.header.format || 'text';
+            if (format === 'text') {
+                components.push({ type: 'header', parameters: [{ type: 'text', text: textValue(parameter, HEADER_TEXT_PARAMETER_MAX) }] });
+            } else {
+                const value = textValue(parameter, Infinity);
+                const media = /^https:\/\//.test(value) ? { link: value } : { id: value };
+                components.push({ type: 'header', parameters: [{ type: format, [format]: media }] });
+            }
+        }
+
+        const bodyValues = (template.body.parameters || []).map(parameter => textValue(parameter, BODY_PARAMETER_MAX, { singleLine: true }));
+        if (bodyValues.length > 0) {
+            components.push({ type: 'body', parameters: bodyValues.map(text => ({ type: 'text', text })) });
+        }
+
+        (template.buttons || []).forEach((button, index) => {
+            if (!button.parameter) {
+                return;
+            }
+            const value = textValue(button.parameter, BUTTON_PARAMETER_MAX);
+            components.push({
+                type: 'button',
+                sub_type: button.type,
+                index: String(index),
+                parameters: [button.type === 'url' ? { type: 'text', text: value } : { type: 'payload', payload: value }]
+            });
+        });
+
+        const unknown = Object.keys(parameters).filter(key => !used.has(key));
+        if (unknown.length > 0) {
+            errors.push(`Unknown parameter(s): ${unknown.join(', ')}`);
+        }
+        if (errors.length > 0) {
+            throw new TemplateError(`Invalid parameters for template ${template.name}: ${errors.join('; ')}`, 400, errors);
+        }
+
+        const text = template.body.text.replace(PLACEHOLDER_PATTERN, (match, position) => bodyValues[Number(position) - 1] ?? match);
+        return {
+            template: {
+                name: template.name,
+                language: { code: template.language },
+                ...(components.length > 0 ? { components } : {})
+            },
+            text
+        };
+    }
+}
+
+export default MessageTemplates;
@@ -0,0 +1,306 @@
+/**
+ * Outbound Queue Class
+ *
+ * Delivers outgoing WhatsApp messages from a persisted outbox. Sending a message
+ * stores it in the chat history as `queued` and writes an outbox item through the
+ * store before anything is sent, so a message that was accepted is never lost: a
+ * worker delivers the items in the background, and items still in the outbox when the
+ * server stops are delivered after it starts again.
+ *
+ * Delivery:
+ * - Items are delivered oldest first. A later message to the same customer waits
+ *   while an earlier one is being retried, so customers see messages in order.
+ * - Failures that are worth retrying (rate limits, Meta outages, network errors and an
+ *   expired token, which an operator can fix) are retried with exponential backoff and
+ *   jitter, waiting at least as long as a Retry-After header asks. These retries come
+ *   on top of the short retries the Graph client makes for every call.
+ * - An item with a fallback payload (e.g. the text version of an interactive menu) is
+ *   sent as the fallback when WhatsApp rejects the original as an invalid request.
+ * - Items that fail for good, or run out of attempts, become dead letters: they stay in
+ *   the outbox with their last error and the stored message is marked failed until an
+ *   agent replays or discards them.
+ *
+ * Delivery is at least once: if the server stops between WhatsApp accepting a message
+ * and the outbox recording it, the message is sent again after the restart.
+ *
+ * Methods:
+ *     initialize(): Load the outbox
+ *
+ *     start() / stop(): Start or stop the delivery worker
+ *
+ *     enqueue(to, payload, { messageId, fallback }): Add a message to the outbox
+ *         - `payload` is the message body without `to` (e.g. { type: 'text', text })
+ *         - `messageId` is the id of the stored outgoing message, which is never reused,
+ *           even after the chat history was cleared; the item gets a random id of its own
+ *         - Returns the outbox item
+ *
+ *     getPending(): Items waiting to be delivered
+ *
+ *     getDeadLetters(): Items that failed for good
+ *
+ *     replay(id): Queue a dead letter again with a fresh set of attempts
+ *         - Throws QueueError (404) for unknown items, (409) for items still pending
+ *
+ *     discard(id): Remove a dead letter; its message stays marked failed
+ *         - Throws QueueError (404) for unknown items, (409) for items still pending
+ *
+ * Outbox Item Format:
+ * {
+ *     "id": "5f0c6c1e-…",                       // Outbox item id (random UUID)
+ *     "messageId": "msg_out_12",                // Id of the stored outgoing message
+ *     "to": "264811234567",
+ *     "payload": { "type": "text", "text": { "body": "..." } },
+ *     "fallback": { "type": "text", ... },      // Optional
+ *     "state": "pending",                       // pending or dead
+ *     "attempts": 2,
+ *     "createdAt": "ISO_date_string",
+ *     "nextAttemptAt": "ISO_date_string",
+ *     "lastError": { "kind": "rate_limit", "code": 130429, "message": "..." },
+ *     "failedAt": "ISO_date_string"             // Only on dead letters
+ * }
+ *
+ * Events:
+ *     sent (item, message): Emitted when an item was delivered, with the updated message
+ *     retry (item, error): Emitted when a failed item is scheduled for another attempt
+ *     dead (item, message): Emitted when an item becomes a dead letter
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { GraphError } from './graphClient.js';
+
+/**
+ * Error raised for outbox operations that can't be carried out.
+ * `statusCode` is the HTTP status the routes should answer with.
+ */
+export class QueueError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'QueueError';
+        this.statusCode = statusCode;
+    }
+}
+
+const isRetryable = error => !(error instanceof GraphError) || error.retryable || error.kind === 'auth';
+
+class OutboundQueue extends EventEmitter {
+    constructor({
+        store,
+        graphClient,
+        messageStorage,
+        maxAttempts = 8,
+        baseDelayMs = 5000,
+        maxDelayMs = 10 * 60 * 1000
+    }) {
+        super();
+        this.store = store;
+        this.graphClient = graphClient;
+        this.messageStorage = messageStorage;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.items = new Map();
+        this.running = false;
+        this.timer = null;
+        this.draining = null;
+    }
+
+    async initialize() {
+        const items = await this.store.getOutboxItems();
+        // Items queued before they had an id of their own used the message id
+        this.items = new Map(items.map(item => [item.id, { messageId: item.id, ...item }]));
+        console.log(`Outbox loaded: ${this.getPending().length} message(s) to deliver, ${this.getDeadLetters().length} dead letter(s)`);
+    }
+
+    start() {
+        this.running = true;
+        this.wake();
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.draining;
+    }
+
+    getPending() {
+        return [...this.items.values()].filter(item => item.state === 'pending');
+    }
+
+    getDeadLetters() {
+        return [...this.items.values()].filter(item => item.state === 'dead');
+    }
+
+    async enqueue(to, payload, { messageId, fallback } = {}) {
+        const now = new Date().toISOString();
+        const item = {
+            id: crypto.randomUUID(),
+            messageId,
+            to,
+            payload,
+            ...(fallback ? { fallback } : {}),
+            state: 'pending',
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            lastError: null
+        };
+        await this.store.saveOutboxItem(item);
+        this.items.set(item.id, item);
+        this.wake();
+        return item;
+    }
+
+    findDeadLetter(id) {
+        const item = this.items.get(id);
+        if (!item) {
+            throw new QueueError(`Outbox item ${id} not found`, 404);
+        }
+        if (item.state !== 'dead') {
+            throw new QueueError(`Outbox item ${id} is still being delivered`, 409);
+        }
+        return item;
+    }
+
+    async replay(id) {
+        const item = this.findDeadLetter(id);
+        const { failedAt, ...rest } = item;
+        const replayed = {
+            ...rest,
+            state: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString()
+        };
+        await this.store.saveOutboxItem(replayed);
+        // Re-inserting moves it behind messages queued since it failed
+        this.items.delete(id);
+        this.items.set(id, replayed);
+        await this.messageStorage.markQueued(item.messageId);
+        console.log(`Outbox: replaying ${item.messageId} to ${item.to}`);
+        this.wake();
+        return replayed;
+    }
+
+    async discard(id) {
+        const item = this.findDeadLetter(id);
+        await this.store.deleteOutboxItem(id);
+        this.items.delete(id);
+        console.log(`Outbox: discarded ${item.messageId} to ${item.to}`);
+        return item;
+    }
+
+    // Starts a delivery run unless one is in progress; it picks up new items itself
+    wake() {
+        if (!this.running) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.draining) {
+            this.draining = this.drain().finally(() => {
+                this.draining = null;
+                this.scheduleNext();
+            });
+        }
+    }
+
+    scheduleNext() {
+        const pending = this.getPending();
+        if (!this.running || pending.length === 0) {
+            return;
+        }
+        const next = Math.min(...pending.map(item => Date.parse(item.nextAttemptAt)));
+        this.timer = setTimeout(() => this.wake(), Math.max(0, next - Date.now()));
+        // Never keep the process alive just to retry
+        this.timer.unref();
+    }
+
+    // Oldest due item whose customer has no earlier message still waiting
+    nextDueItem() {
+        const now = Date.now();
+        const waiting = new Set();
+        for (const item of this.items.values()) {
+            if (item.state !== 'pending' || waiting.has(item.to)) {
+                continue;
+            }
+            if (Date.parse(item.nextAttemptAt) <= now) {
+                return item;
+            }
+            waiting.add(item.to);
+        }
+        return null;
+    }
+
+    async drain() {
+        let item;
+        while (this.running && (item = this.nextDueItem())) {
+            try {
+                await this.deliver(item);
+            } catch (error) {
+                // The store failed; leave the item for a later run
+                console.error(`❌ Outbox: failed to update ${item.messageId}:`, error);
+                item.nextAttemptAt = new Date(Date.now() + this.baseDelayMs).toISOString();
+            }
+        }
+    }
+
+    backoffDelay(attempt, error) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        const jittered = exponential / 2 + Math.random() * exponential / 2;
+        return Math.max(jittered, error.retryAfterMs || 0);
+    }
+
+    async deliver(item) {
+        item.attempts++;
+        let data;
+        try {
+            data = await this.graphClient.sendMessage({ to: item.to, ...item.payload });
+        } catch (error) {
+            return await this.handleFailure(item, error);
+        }
+
+        // Record the wamid before dropping the item, so a crash in between resends
+        // the message rather than losing track of it
+        const message = await this.messageStorage.markSent(item.messageId, data.messages?.[0]?.id);
+        await this.store.deleteOutboxItem(item.id);
+        this.items.delete(item.id);
+        this.emit('sent', item, message);
+    }
+
+    async handleFailure(item, error) {
+        const now = new Date();
+        item.lastError = { kind: error.kind || 'error', code: error.code ?? null, message: error.message };
+
+        if (error instanceof GraphError && error.kind === 'invalid_request' && item.fallback) {
+            console.warn(`Outbox: WhatsApp rejected ${item.messageId} (${error.message}), sending the fallback instead`);
+            item.payload = item.fallback;
+            delete item.fallback;
+            item.nextAttemptAt = now.toISOString();
+            await this.store.saveOutboxItem(item);
+            return;
+        }
+
+        if (isRetryable(error) && item.attempts < this.maxAttempts) {
+            const delay = this.backoffDelay(item.attempts, error);
+            item.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+            await this.store.saveOutboxItem(item);
+            console.warn(`Outbox: ${item.messageId} to ${item.to} failed (attempt ${item.attempts} of ${this.maxAttempts}), retrying in ${Math.round(delay / 1000)} s`);
+            this.emit('retry', item, error);
+            return;
+        }
+
+        item.state = 'dead';
+        item.failedAt = now.toISOString();
+        await this.store.saveOutboxItem(item);
+        const message = await this.messageStorage.markFailed(item.messageId, {
+            code: error.code ?? null,
+            title: error.kind || 'error',
+            message: error.message
+        });
+        console.error(`❌ Outbox: gave up on ${item.messageId} to ${item.to} after ${item.attempts} attempt(s):`, error.message);
+        this.emit('dead', item, message);
+    }
+}
+
+export default OutboundQueue;
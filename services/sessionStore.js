@@ -0,0 +1,162 @@
+/**
+ * Session Store Class
+ *
+ * In-memory store of per-customer conversation sessions, keyed by the sender's `from`
+ * number in the webhook payload. Each customer moves through the `#sprout` menus
+ * independently, so two customers selecting issues at the same time never overwrite
+ * each other's selection.
+ *
+ * Sessions that have been idle for longer than the configured timeout are treated as
+ * expired: reading one returns a fresh session, and a periodic sweep removes them.
+ *
+ * When a store is given, sessions are written through to it and reloaded by
+ * initialize(), so a restart doesn't drop customers out of the menus. Reads are always
+ * served from memory.
+ *
+ * Attributes:
+ *     idleTimeoutMs (number): Idle time after which a session expires
+ *     defaultLanguage (string): Language given to new sessions
+ *     sessions (Map): Sessions keyed by customer phone number
+ *     store (Object|null): Storage backend sessions are persisted to
+ *
+ * Methods:
+ *     initialize(): Load the unexpired sessions from the store
+ *
+ *     getSession(phone): Get the customer's session, creating a new one if needed
+ *
+ *     updateSession(phone, changes): Merge changes into a session and mark it active
+ *
+ *     deleteSession(phone): Remove a customer's session
+ *
+ *     purgeExpired(): Remove every expired session
+ *
+ *     startExpiryTimer(intervalMs): Periodically purge expired sessions
+ *
+ *     stopExpiryTimer(): Stop the periodic purge
+ *
+ * Session Format:
+ * {
+ *     "phone": "phone_number",
+ *     "menu": "main",              // Current flow node, null when outside the menus
+ *     "pendingIssue": {            // Issue awaiting "yes" confirmation
+ *         "nodeId": "cloud",
+ *         "issue": "C3. Slow upload/download speeds."
+ *     },
+ *     "pendingAttachments": [],    // Media sent before the issue was confirmed
+ *     "language": "en",
+ *     "createdAt": "ISO_date_string",
+ *     "lastActivity": "ISO_date_string"
+ * }
+ */
+
+class SessionStore {
+    constructor({ idleTimeoutMs = 30 * 60 * 1000, defaultLanguage = 'en', store = null } = {}) {
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.defaultLanguage = defaultLanguage;
+        this.store = store;
+        this.sessions = new Map();
+        this.expiryTimer = null;
+    }
+
+    async initialize() {
+        if (!this.store) {
+            return;
+        }
+        const stored = await this.store.getSessions();
+        for (const session of stored) {
+            if (this.isExpired(session)) {
+                await this.store.deleteSession(session.phone);
+            } else {
+                this.sessions.set(session.phone, session);
+            }
+        }
+        console.log(`Restored ${this.sessions.size} customer session(s)`);
+    }
+
+    // Sessions are read from memory, so persisting never holds up a reply
+    persist(action, ...args) {
+        if (!this.store) {
+            return;
+        }
+        this.store[action](...args).catch(error => {
+            console.error(`Failed to ${action}:`, error.message);
+        });
+    }
+
+    createSession(phone) {
+        const now = new Date().toISOString();
+        return {
+            phone,
+            menu: null,
+            pendingIssue: null,
+            language: this.defaultLanguage,
+            createdAt: now,
+            lastActivity: now
+        };
+    }
+
+    isExpired(session) {
+        return Date.now() - new Date(session.lastActivity).getTime() > this.idleTimeoutMs;
+    }
+
+    getSession(phone) {
+        const existing = this.sessions.get(phone);
+        if (existing && !this.isExpired(existing)) {
+            return existing;
+        }
+
+        if (existing) {
+            console.log('Session expired, starting a new one for:', phone);
+        }
+        const session = this.createSession(phone);
+        this.sessions.set(phone, session);
+        return session;
+    }
+
+    updateSession(phone, changes) {
+        const session = {
+            ...this.getSession(phone),
+            ...changes,
+            lastActivity: new Date().toISOString()
+        };
+        this.sessions.set(phone, session);
+        this.persist('saveSession', session);
+        return session;
+    }
+
+    deleteSession(phone) {
+        this.persist('deleteSession', phone);
+        return this.sessions.delete(phone);
+    }
+
+    purgeExpired() {
+        let purged = 0;
+        for (const [phone, session] of this.sessions.entries()) {
+            if (this.isExpired(session)) {
+                this.sessions.delete(phone);
+                this.persist('deleteSession', phone);
+                purged++;
+            }
+        }
+        if (purged > 0) {
+            console.log(`Purged ${purged} expired session(s)`);
+        }
+        return purged;
+    }
+
+    startExpiryTimer(intervalMs = 60 * 1000) {
+        this.stopExpiryTimer();
+        this.expiryTimer = setInterval(() => this.purgeExpired(), intervalMs);
+        // Never keep the process alive just to purge sessions
+        this.expiryTimer.unref();
+    }
+
+    stopExpiryTimer() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+}
+
+export default SessionStore;
@@ -0,0 +1,95 @@
+/**
+ * Storage Backends
+ *
+ * Creates the store that MessageStorage, TicketStorage and SessionStore persist to.
+ * The backend is chosen by configuration (STORAGE_BACKEND):
+ *
+ *     json    JSON files in DATA_DIR (default public/), the original layout
+ *     sqlite  SQLite database at SQLITE_PATH (default data/sprout.db)
+ *
+ * Store Interface (all methods are async):
+ *     initialize() / close()
+ *
+ *     getMessages({ since }): { incoming: [], outgoing: [] }, oldest first. With `since`,
+ *         only messages sent or whose status changed after that time
+ *     addMessage(direction, message): Store a message ('incoming' or 'outgoing'). Returns
+ *         it with `seq`, a number from one sequence for both directions that orders
+ *         messages the way they were stored; messages read back carry it too
+ *     hasMessage(wamid): Whether a message with this WhatsApp message id is stored
+ *     getLastMessage(direction, phone): Newest message from (incoming) or to (outgoing)
+ *         a customer, or null
+ *     getCustomerMessages(phone): { incoming: [], outgoing: [] } from and to one customer,
+ *         oldest first
+ *     updateOutgoingMessage({ id, wamid }, applyChange): Change a stored outgoing message
+ *         in place, found by its id or else its WhatsApp message id; applyChange may
+ *         return false to leave it as is. Returns the message, or null
+ *     clearMessages(messageCounters): Remove every message, keeping `messageCounters`
+ *         (the next message id numbers, { incoming, outgoing }) for getMessageCounters
+ *     getMessageCounters(): The counters kept by the last clearMessages, or {}
+ *
+ *     getTickets(): All tickets, newest first
+ *     getTicket(ticketNumber) / getCustomerTickets(phone)
+ *     insertTickets(tickets): Store new tickets, returns the ones that didn't exist yet
+ *     updateTicket(ticket): Replace a stored ticket, returns false if it doesn't exist
+ *     clearTickets()
+ *     getTicketSequences() / getTicketSequence(prefix, year) / setTicketSequence(prefix, year, value)
+ *
+ *     getSessions() / saveSession(session) / deleteSession(phone)
+ *
+ *     getOutboxItems(): Outgoing messages waiting to be delivered or dead-lettered, oldest first
+ *     saveOutboxItem(item): Add an outbox item or replace the one with the same id
+ *     deleteOutboxItem(id)
+ *
+ *     getAgents(): Console accounts
+ *     saveAgent(agent): Add an account or replace the one with the same username
+ *     deleteAgent(username)
+ *
+ *     getConversations(): Inbox summaries, one per customer
+ *     saveConversation(conversation): Add a summary or replace the one with the same phone
+ *     clearConversations()
+ *
+ * Stores only persist records. Ids, ticket numbers, validation and events stay in the
+ * storage classes, so both backends behave the same.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JsonFileStore from './jsonFileStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+export const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'public');
+export const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'sprout.db');
+
+/**
+ * Creates and initializes a store
+ * @param {Object} options
+ * @param {string} [options.backend] - 'json' (default) or 'sqlite'
+ * @param {string} [options.dataDir] - Directory of the JSON files
+ * @param {string} [options.sqlitePath] - SQLite database file
+ * @returns {Promise<Object>} Initialized store
+ */
+export async function createStore({ backend = 'json', dataDir = DEFAULT_DATA_DIR, sqlitePath = DEFAULT_SQLITE_PATH } = {}) {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown storage backend "${backend}". Valid backends: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+
+    let store;
+    if (backend === 'sqlite') {
+        // Loaded on demand so JSON installs don't need the native SQLite module
+        let SqliteStore;
+        try {
+            ({ default: SqliteStore } = await import('./sqliteStore.js'));
+        } catch (error) {
+            throw new Error(`The sqlite backend needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+        }
+        store = new SqliteStore({ sqlitePath });
+    } else {
+        store = new JsonFileStore({ dataDir });
+    }
+
+    await store.initialize();
+    return store;
+}
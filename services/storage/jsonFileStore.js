@@ -0,0 +1,463 @@
+/**
+ * JSON File Store Class
+ *
+ * Storage backend that keeps messages, tickets, ticket sequences, sessions, the
+ * outbox, agent accounts and inbox summaries in JSON files inside a data directory.
+ * This is the original storage layout of the project: every write reads the whole
+ * file, changes it and writes it back, so it suits small installations and local
+ * development. Use the SQLite store for anything busier.
+ *
+ * Files (relative to dataDir):
+ *     chatHistory.json       { "messages": { "incoming": [], "outgoing": [] }, "lastSeq": 42,
+ *                              "messageCounters": { "incoming": 8, "outgoing": 12 } }
+ *     tickets.json           { "tickets": [] } (newest first)
+ *     ticketSequences.json   { "CLD": { "2026": 42 } }
+ *     sessions.json          { "sessions": [] }
+ *     outbox.json            { "items": [] } (outgoing messages waiting to be delivered)
+ *     agents.json            { "agents": [] } (console accounts with password hashes)
+ *     conversations.json     { "conversations": [] } (inbox summary per customer)
+ *
+ * Every store implements the same interface (see services/storage/index.js), so the
+ * storage classes never touch files or tables directly.
+ *
+ * Every message gets a `seq` from one sequence shared by incoming and outgoing
+ * messages (`lastSeq`), so threads can be shown in the order messages were stored.
+ * Messages from before the sequence existed are numbered once, by time, on startup.
+ * Clearing the history keeps `lastSeq` and the message id counters it is given.
+ *
+ * Write Safety:
+ *     - Changes to a file run one at a time through a per-file queue, so overlapping
+ *       webhook deliveries can't read the same version and overwrite each other
+ *     - Files are written to a temporary file, flushed and renamed over the original,
+ *       so a crash mid-write leaves either the old or the new version, never half
+ *     - The previous version of each file is kept as `<file>.bak`
+ *     - initialize() checks every file. A file that doesn't parse is moved aside to
+ *       `<file>.corrupt-<timestamp>` and the `.bak` snapshot is restored; it is only
+ *       replaced by an empty structure when no readable snapshot exists
+ *     - At runtime a file that doesn't parse raises an error instead of being treated
+ *       as empty, so a bad read never turns into a write that wipes the data
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const EMPTY_MESSAGES = () => ({ messages: { incoming: [], outgoing: [] } });
+const EMPTY_TICKETS = () => ({ tickets: [] });
+const EMPTY_SEQUENCES = () => ({});
+const EMPTY_SESSIONS = () => ({ sessions: [] });
+const EMPTY_OUTBOX = () => ({ items: [] });
+const EMPTY_AGENTS = () => ({ agents: [] });
+const EMPTY_CONVERSATIONS = () => ({ conversations: [] });
+
+const TEMP_MARKER = '.tmp-';
+
+class JsonFileStore {
+    constructor({ dataDir }) {
+        this.dataDir = dataDir;
+        this.paths = {
+            messages: path.join(dataDir, 'chatHistory.json'),
+            tickets: path.join(dataDir, 'tickets.json'),
+            sequences: path.join(dataDir, 'ticketSequences.json'),
+            sessions: path.join(dataDir, 'sessions.json'),
+            outbox: path.join(dataDir, 'outbox.json'),
+            agents: path.join(dataDir, 'agents.json'),
+            conversations: path.join(dataDir, 'conversations.json')
+        };
+        this.queues = new Map();
+        this.tempCounter = 0;
+    }
+
+    async initialize() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        await this.removeTempFiles();
+
+        await this.recoverFile(this.paths.messages, EMPTY_MESSAGES, { create: true });
+        await this.recoverFile(this.paths.tickets, EMPTY_TICKETS);
+        await this.recoverFile(this.paths.sequences, EMPTY_SEQUENCES);
+        await this.recoverFile(this.paths.sessions, EMPTY_SESSIONS);
+        await this.recoverFile(this.paths.outbox, EMPTY_OUTBOX);
+        await this.recoverFile(this.paths.agents, EMPTY_AGENTS);
+        await this.recoverFile(this.paths.conversations, EMPTY_CONVERSATIONS);
+        await this.numberMessages();
+    }
+
+    // Gives messages stored before the message sequence existed a seq, oldest first
+    async numberMessages() {
+        await this.withFileLock(this.paths.messages, async () => {
+            const data = await this.readMessageFile();
+            const unnumbered = [
+                ...data.messages.incoming.map(message => ({ message, incoming: true })),
+                ...data.messages.outgoing.map(message => ({ message, incoming: false }))
+            ].filter(({ message }) => message.seq === undefined);
+            if (unnumbered.length === 0) {
+                return;
+            }
+            unnumbered
+                .sort((a, b) => new Date(a.message.timestamp) - new Date(b.message.timestamp) || b.incoming - a.incoming)
+                .forEach(({ message }) => {
+                    message.seq = ++data.lastSeq;
+                });
+            await this.writeJson(this.paths.messages, data);
+            console.log(`Numbered ${unnumbered.length} stored message(s)`);
+        });
+    }
+
+    async close() {
+        await Promise.all(this.queues.values());
+    }
+
+    // Leftovers of writes that were interrupted before the rename
+    async removeTempFiles() {
+        const names = Object.values(this.paths).map(filePath => path.basename(filePath) + TEMP_MARKER);
+        for (const entry of await fs.readdir(this.dataDir)) {
+            if (names.some(name => entry.startsWith(name))) {
+                await fs.rm(path.join(this.dataDir, entry), { force: true });
+                console.log('Removed unfinished write:', entry);
+            }
+        }
+    }
+
+    async parseFile(filePath) {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    }
+
+    async recoverFile(filePath, empty, { create = false } = {}) {
+        try {
+            await this.parseFile(filePath);
+            return;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                if (create) {
+                    await this.writeJson(filePath, empty(), { backup: false });
+                }
+                return;
+            }
+            console.error(`${filePath} is corrupt:`, error.message);
+        }
+
+        // Keep the damaged file for inspection instead of overwriting it
+        const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        await fs.rename(filePath, corruptPath);
+        console.error('Corrupt file moved to:', corruptPath);
+
+        try {
+            const snapshot = await this.parseFile(`${filePath}.bak`);
+            await this.writeJson(filePath, snapshot, { backup: false });
+            console.warn(`Restored ${filePath} from its last good snapshot`);
+        } catch (error) {
+            console.error(`No usable snapshot for ${filePath}, starting it empty:`, error.message);
+            await this.writeJson(filePath, empty(), { backup: false });
+        }
+    }
+
+    async readJson(filePath, fallback) {
+        try {
+            return await this.parseFile(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return fallback();
+            }
+            throw new Error(`Unable to read ${filePath}: ${error.message}`);
+        }
+    }
+
+    async writeJson(filePath, data, { backup = true } = {}) {
+        const tempPath = `${filePath}${TEMP_MARKER}${process.pid}-${this.tempCounter++}`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (backup) {
+            await fs.copyFile(filePath, `${filePath}.bak`).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        await fs.rename(tempPath, filePath);
+    }
+
+    // Runs read-modify-write changes to one file one at a time
+    withFileLock(filePath, task) {
+        const previous = this.queues.get(filePath) || Promise.resolve();
+        const run = previous.then(task, task);
+        const settled = run.catch(() => {});
+        this.queues.set(filePath, settled);
+        settled.then(() => {
+            if (this.queues.get(filePath) === settled) {
+                this.queues.delete(filePath);
+            }
+        });
+        return run;
+    }
+
+    // Messages
+
+    async readMessageFile() {
+        const data = await this.readJson(this.paths.messages, EMPTY_MESSAGES);
+        data.messages = data.messages || {};
+        data.messages.incoming = Array.isArray(data.messages.incoming) ? data.messages.incoming : [];
+        data.messages.outgoing = Array.isArray(data.messages.outgoing) ? data.messages.outgoing : [];
+        data.lastSeq = Number.isInteger(data.lastSeq) ? data.lastSeq : 0;
+        data.messageCounters = data.messageCounters && typeof data.messageCounters === 'object' ? data.messageCounters : {};
+        return data;
+    }
+
+    async getMessages({ since } = {}) {
+        const { messages } = await this.readMessageFile();
+        if (!since) {
+            return messages;
+        }
+
+        // Messages whose delivery status changed since then are included too
+        const sinceDate = new Date(since);
+        const changedSince = msg => new Date(msg.timestamp) > sinceDate
+            || (msg.statusUpdatedAt && new Date(msg.statusUpdatedAt) > sinceDate);
+        return {
+            incoming: messages.incoming.filter(changedSince),
+            outgoing: messages.outgoing.filter(changedSince)
+        };
+    }
+
+    async addMessage(direction, message) {
+        return await this.withFileLock(this.paths.messages, async () => {
+            const data = await this.readMessageFile();
+            const stored = { ...message, seq: ++data.lastSeq };
+            data.messages[direction].push(stored);
+            await this.writeJson(this.paths.messages, data);
+            return stored;
+        });
+    }
+
+    async updateOutgoingMessage({ id, wamid }, applyChange) {
+        return await this.withFileLock(this.paths.messages, async () => {
+            const data = await this.readMessageFile();
+            const message = data.messages.outgoing.find(msg => (id ? msg.id === id : msg.wamid === wamid));
+            if (!message || applyChange(message) === false) {
+                return null;
+            }
+            await this.writeJson(this.paths.messages, data);
+            return message;
+        });
+    }
+
+    async hasMessage(wamid) {
+        const { messages } = await this.readMessageFile();
+        return messages.incoming.some(msg => msg.wamid === wamid)
+            || messages.outgoing.some(msg => msg.wamid === wamid);
+    }
+
+    async getLastMessage(direction, phone) {
+        const { messages } = await this.readMessageFile();
+        const field = direction === 'incoming' ? 'from' : 'to';
+        return messages[direction].findLast(msg => msg[field] === phone) || null;
+    }
+
+    async getCustomerMessages(phone) {
+        const { messages } = await this.readMessageFile();
+        return {
+            incoming: messages.incoming.filter(msg => msg.from === phone),
+            outgoing: messages.outgoing.filter(msg => msg.to === phone)
+        };
+    }
+
+    // The sequence keeps counting, so messages stored afterwards still sort last
+    async clearMessages(messageCounters = {}) {
+        await this.withFileLock(this.paths.messages, async () => {
+            const { lastSeq } = await this.readMessageFile();
+            await this.writeJson(this.paths.messages, { ...EMPTY_MESSAGES(), lastSeq, messageCounters });
+        });
+    }
+
+    async getMessageCounters() {
+        const { messageCounters } = await this.readMessageFile();
+        return messageCounters;
+    }
+
+    // Tickets
+
+    async getTickets() {
+        const data = await this.readJson(this.paths.tickets, EMPTY_TICKETS);
+        return Array.isArray(data.tickets) ? data.tickets : [];
+    }
+
+    async getTicket(ticketNumber) {
+        const tickets = await this.getTickets();
+        return tickets.find(ticket => ticket.ticketNumber === ticketNumber) || null;
+    }
+
+    async getCustomerTickets(phone) {
+        const tickets = await this.getTickets();
+        return tickets.filter(ticket => ticket.customerPhone === phone);
+    }
+
+    async writeTickets(tickets) {
+        const sorted = [...tickets].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        await this.writeJson(this.paths.tickets, { tickets: sorted });
+    }
+
+    async insertTickets(newTickets) {
+        return await this.withFileLock(this.paths.tickets, async () => {
+            const tickets = await this.getTickets();
+            const known = new Set(tickets.map(ticket => ticket.ticketNumber));
+
+            const added = newTickets.filter(ticket => {
+                if (known.has(ticket.ticketNumber)) {
+                    return false;
+                }
+                known.add(ticket.ticketNumber);
+                return true;
+            });
+
+            await this.writeTickets([...tickets, ...added]);
+            return added;
+        });
+    }
+
+    async updateTicket(ticket) {
+        return await this.withFileLock(this.paths.tickets, async () => {
+            const tickets = await this.getTickets();
+            const index = tickets.findIndex(t => t.ticketNumber === ticket.ticketNumber);
+            if (index === -1) {
+                return false;
+            }
+            tickets[index] = ticket;
+            await this.writeTickets(tickets);
+            return true;
+        });
+    }
+
+    async clearTickets() {
+        await this.withFileLock(this.paths.tickets, () => this.writeTickets([]));
+    }
+
+    async getTicketSequences() {
+        return await this.readJson(this.paths.sequences, EMPTY_SEQUENCES);
+    }
+
+    async getTicketSequence(prefix, year) {
+        const sequences = await this.getTicketSequences();
+        return sequences[prefix]?.[year];
+    }
+
+    async setTicketSequence(prefix, year, value) {
+        await this.withFileLock(this.paths.sequences, async () => {
+            const sequences = await this.getTicketSequences();
+            sequences[prefix] = { ...sequences[prefix], [year]: value };
+            await this.writeJson(this.paths.sequences, sequences);
+        });
+    }
+
+    // Sessions
+
+    async getSessions() {
+        const data = await this.readJson(this.paths.sessions, EMPTY_SESSIONS);
+        return Array.isArray(data.sessions) ? data.sessions : [];
+    }
+
+    async saveSession(session) {
+        await this.withFileLock(this.paths.sessions, async () => {
+            const sessions = (await this.getSessions()).filter(s => s.phone !== session.phone);
+            sessions.push(session);
+            await this.writeJson(this.paths.sessions, { sessions });
+        });
+    }
+
+    async deleteSession(phone) {
+        await this.withFileLock(this.paths.sessions, async () => {
+            const sessions = await this.getSessions();
+            const remaining = sessions.filter(s => s.phone !== phone);
+            if (remaining.length !== sessions.length) {
+                await this.writeJson(this.paths.sessions, { sessions: remaining });
+            }
+        });
+    }
+
+    // Outbox
+
+    async getOutboxItems() {
+        const data = await this.readJson(this.paths.outbox, EMPTY_OUTBOX);
+        return Array.isArray(data.items) ? data.items : [];
+    }
+
+    async saveOutboxItem(item) {
+        await this.withFileLock(this.paths.outbox, async () => {
+            const items = await this.getOutboxItems();
+            const index = items.findIndex(existing => existing.id === item.id);
+            if (index === -1) {
+                items.push(item);
+            } else {
+                items[index] = item;
+            }
+            await this.writeJson(this.paths.outbox, { items });
+        });
+    }
+
+    async deleteOutboxItem(id) {
+        await this.withFileLock(this.paths.outbox, async () => {
+            const items = await this.getOutboxItems();
+            const remaining = items.filter(item => item.id !== id);
+            if (remaining.length !== items.length) {
+                await this.writeJson(this.paths.outbox, { items: remaining });
+            }
+        });
+    }
+
+    // Agents
+
+    async getAgents() {
+        const data = await this.readJson(this.paths.agents, EMPTY_AGENTS);
+        return Array.isArray(data.agents) ? data.agents : [];
+    }
+
+    async saveAgent(agent) {
+        await this.withFileLock(this.paths.agents, async () => {
+            const agents = await this.getAgents();
+            const index = agents.findIndex(existing => existing.username === agent.username);
+            if (index === -1) {
+                agents.push(agent);
+            } else {
+                agents[index] = agent;
+            }
+            await this.writeJson(this.paths.agents, { agents });
+        });
+    }
+
+    async deleteAgent(username) {
+        await this.withFileLock(this.paths.agents, async () => {
+            const agents = await this.getAgents();
+            const remaining = agents.filter(agent => agent.username !== username);
+            if (remaining.length !== agents.length) {
+                await this.writeJson(this.paths.agents, { agents: remaining });
+            }
+        });
+    }
+
+    // Conversations
+
+    async getConversations() {
+        const data = await this.readJson(this.paths.conversations, EMPTY_CONVERSATIONS);
+        return Array.isArray(data.conversations) ? data.conversations : [];
+    }
+
+    async saveConversation(conversation) {
+        await this.withFileLock(this.paths.conversations, async () => {
+            const conversations = await this.getConversations();
+            const index = conversations.findIndex(existing => existing.phone === conversation.phone);
+            if (index === -1) {
+                conversations.push(conversation);
+            } else {
+                conversations[index] = conversation;
+            }
+            await this.writeJson(this.paths.conversations, { conversations });
+        });
+    }
+
+    async clearConversations() {
+        await this.withFileLock(this.paths.conversations, () => this.writeJson(this.paths.conversations, EMPTY_CONVERSATIONS()));
+    }
+}
+
+export default JsonFileStore;
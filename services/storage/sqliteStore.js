@@ -0,0 +1,476 @@
+/**
+ * SQLite Store Class
+ *
+ * Storage backend that keeps messages, tickets, ticket sequences, sessions, the
+ * outbox, agent accounts and inbox summaries in a single SQLite database. Each message
+ * or ticket is one row, so adding a message no longer rewrites the whole history, and
+ * SQLite serialises concurrent writes.
+ *
+ * Records are stored as JSON in a `data` column next to the columns used for lookups,
+ * so new message or ticket fields don't need a schema change. Messages are returned with
+ * the autoincrement `seq` of their row, which orders them the way they were stored.
+ *
+ * Requires the optional `better-sqlite3` dependency. Existing JSON data can be
+ * imported with `npm run migrate-sqlite`.
+ *
+ * Tables:
+ *     messages          (seq, id, wamid, direction, phone, timestamp, data)
+ *     message_counters  (direction, value) (next message ids, kept when messages are cleared)
+ *     tickets           (ticket_number, customer_phone, created_at, data)
+ *     ticket_sequences  (prefix, year, value)
+ *     sessions          (phone, last_activity, data)
+ *     outbox            (id, created_at, data)
+ *     agents            (username, data)
+ *     conversations     (phone, last_message_at, data)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS messages (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        wamid TEXT,
+        direction TEXT NOT NULL CHECK (direction IN ('incoming', 'outgoing')),
+        phone TEXT,
+        timestamp TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS messages_timestamp ON messages (timestamp);
+    CREATE INDEX IF NOT EXISTS messages_phone ON messages (phone, direction);
+
+    CREATE TABLE IF NOT EXISTS message_counters (
+        direction TEXT PRIMARY KEY,
+        value INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS tickets (
+        ticket_number TEXT PRIMARY KEY,
+        customer_phone TEXT,
+        created_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS tickets_customer_phone ON tickets (customer_phone);
+
+    CREATE TABLE IF NOT EXISTS ticket_sequences (
+        prefix TEXT NOT NULL,
+        year TEXT NOT NULL,
+        value INTEGER NOT NULL,
+        PRIMARY KEY (prefix, year)
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        phone TEXT PRIMARY KEY,
+        last_activity TEXT,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS outbox (
+        id TEXT PRIMARY KEY,
+        created_at TEXT,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS agents (
+        username TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS conversations (
+        phone TEXT PRIMARY KEY,
+        last_message_at TEXT,
+        data TEXT NOT NULL
+    );
+`;
+
+const parseRows = rows => rows.map(row => JSON.parse(row.data));
+const parseMessageRow = row => ({ ...JSON.parse(row.data), seq: row.seq });
+const parseMessageRows = rows => rows.map(parseMessageRow);
+
+// The seq of a message is its row's, so it isn't stored in `data`
+const messageData = ({ seq, ...message }) => JSON.stringify(message);
+
+// Snapshots are imported in the order they were stored, so the new rows keep that order
+const STORED_ORDER = (a, b) => (a.message.seq ?? Infinity) - (b.message.seq ?? Infinity)
+    || new Date(a.message.timestamp) - new Date(b.message.timestamp);
+
+class SqliteStore {
+    constructor({ sqlitePath }) {
+        this.sqlitePath = sqlitePath;
+        this.db = null;
+        this.statements = {};
+    }
+
+    async initialize() {
+        fs.mkdirSync(path.dirname(this.sqlitePath), { recursive: true });
+        this.db = new Database(this.sqlitePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        this.upgradeSchema();
+
+        const prepare = sql => this.db.prepare(sql);
+        this.statements = {
+            allMessages: prepare('SELECT seq, data FROM messages WHERE direction = ? ORDER BY seq'),
+            messagesSince: prepare(`SELECT seq, data FROM messages WHERE direction = @direction
+                AND (timestamp > @since OR json_extract(data, '$.statusUpdatedAt') > @since) ORDER BY seq`),
+            insertMessage: prepare(`INSERT OR IGNORE INTO messages (id, wamid, direction, phone, timestamp, data)
+                VALUES (@id, @wamid, @direction, @phone, @timestamp, @data)`),
+            messageByWamid: prepare('SELECT 1 FROM messages WHERE wamid = ?'),
+            messageSeq: prepare('SELECT seq FROM messages WHERE id = ?'),
+            lastMessage: prepare('SELECT seq, data FROM messages WHERE direction = ? AND phone = ? ORDER BY seq DESC LIMIT 1'),
+            customerMessages: prepare('SELECT seq, data FROM messages WHERE direction = ? AND phone = ? ORDER BY seq'),
+            outgoingById: prepare(`SELECT seq, data FROM messages WHERE id = ? AND direction = 'outgoing'`),
+            outgoingByWamid: prepare(`SELECT seq, data FROM messages WHERE wamid = ? AND direction = 'outgoing'`),
+            updateMessage: prepare('UPDATE messages SET data = ?, wamid = ? WHERE seq = ?'),
+            clearMessages: prepare('DELETE FROM messages'),
+            allMessageCounters: prepare('SELECT direction, value FROM message_counters'),
+            setMessageCounter: prepare(`INSERT INTO message_counters (direction, value) VALUES (?, ?)
+                ON CONFLICT (direction) DO UPDATE SET value = MAX(value, excluded.value)`),
+
+            allTickets: prepare('SELECT data FROM tickets ORDER BY created_at DESC'),
+            ticket: prepare('SELECT data FROM tickets WHERE ticket_number = ?'),
+            customerTickets: prepare('SELECT data FROM tickets WHERE customer_phone = ? ORDER BY created_at DESC'),
+            insertTicket: prepare(`INSERT OR IGNORE INTO tickets (ticket_number, customer_phone, created_at, data)
+                VALUES (@ticketNumber, @customerPhone, @createdAt, @data)`),
+            updateTicket: prepare(`UPDATE tickets SET customer_phone = @customerPhone, created_at = @createdAt, data = @data
+                WHERE ticket_number = @ticketNumber`),
+            clearTickets: prepare('DELETE FROM tickets'),
+
+            allSequences: prepare('SELECT prefix, year, value FROM ticket_sequences'),
+            sequence: prepare('SELECT value FROM ticket_sequences WHERE prefix = ? AND year = ?'),
+            setSequence: prepare(`INSERT INTO ticket_sequences (prefix, year, value) VALUES (?, ?, ?)
+                ON CONFLICT (prefix, year) DO UPDATE SET value = excluded.value`),
+
+            allSessions: prepare('SELECT data FROM sessions'),
+            saveSession: prepare(`INSERT INTO sessions (phone, last_activity, data) VALUES (@phone, @lastActivity, @data)
+                ON CONFLICT (phone) DO UPDATE SET last_activity = excluded.last_activity, data = excluded.data`),
+            importSession: prepare(`INSERT OR IGNORE INTO sessions (phone, last_activity, data)
+                VALUES (@phone, @lastActivity, @data)`),
+            deleteSession: prepare('DELETE FROM sessions WHERE phone = ?'),
+
+            allOutboxItems: prepare('SELECT data FROM outbox ORDER BY created_at, rowid'),
+            saveOutboxItem: prepare(`INSERT INTO outbox (id, created_at, data) VALUES (@id, @createdAt, @data)
+                ON CONFLICT (id) DO UPDATE SET data = excluded.data`),
+            importOutboxItem: prepare('INSERT OR IGNORE INTO outbox (id, created_at, data) VALUES (@id, @createdAt, @data)'),
+            deleteOutboxItem: prepare('DELETE FROM outbox WHERE id = ?'),
+
+            allAgents: prepare('SELECT data FROM agents ORDER BY username'),
+            saveAgent: prepare(`INSERT INTO agents (username, data) VALUES (@username, @data)
+                ON CONFLICT (username) DO UPDATE SET data = excluded.data`),
+            importAgent: prepare('INSERT OR IGNORE INTO agents (username, data) VALUES (@username, @data)'),
+            deleteAgent: prepare('DELETE FROM agents WHERE username = ?'),
+
+            allConversations: prepare('SELECT data FROM conversations ORDER BY last_message_at DESC'),
+            saveConversation: prepare(`INSERT INTO conversations (phone, last_message_at, data) VALUES (@phone, @lastMessageAt, @data)
+                ON CONFLICT (phone) DO UPDATE SET last_message_at = excluded.last_message_at, data = excluded.data`),
+            importConversation: prepare(`INSERT OR IGNORE INTO conversations (phone, last_message_at, data)
+                VALUES (@phone, @lastMessageAt, @data)`),
+            clearConversations: prepare('DELETE FROM conversations')
+        };
+        console.log('SQLite storage opened at:', this.sqlitePath);
+    }
+
+    // Databases created before messages kept their WhatsApp id have no wamid column
+    upgradeSchema() {
+        const columns = this.db.prepare('PRAGMA table_info(messages)').all().map(column => column.name);
+        if (!columns.includes('wamid')) {
+            this.db.exec(`ALTER TABLE messages ADD COLUMN wamid TEXT;
+                UPDATE messages SET wamid = json_extract(data, '$.wamid');`);
+        }
+        this.db.exec('CREATE INDEX IF NOT EXISTS messages_wamid ON messages (wamid)');
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Messages
+
+    async getMessages({ since } = {}) {
+        const select = direction => {
+            if (!since) {
+                return parseMessageRows(this.statements.allMessages.all(direction));
+            }
+            const sinceDate = new Date(since);
+            if (isNaN(sinceDate)) {
+                return [];
+            }
+            // Messages whose delivery status changed since then are included too
+            return parseMessageRows(this.statements.messagesSince.all({ direction, since: sinceDate.toISOString() }));
+        };
+        return { incoming: select('incoming'), outgoing: select('outgoing') };
+    }
+
+    insertMessage(direction, message) {
+        return this.statements.insertMessage.run({
+            id: message.id,
+            wamid: message.wamid || null,
+            direction,
+            phone: direction === 'incoming' ? message.from : message.to,
+            timestamp: message.timestamp,
+            data: messageData(message)
+        });
+    }
+
+    async addMessage(direction, message) {
+        const { changes, lastInsertRowid } = this.insertMessage(direction, message);
+        // An id that is already stored was ignored, and lastInsertRowid then belongs to
+        // whatever was inserted before it
+        const seq = changes > 0 ? Number(lastInsertRowid) : this.statements.messageSeq.get(message.id).seq;
+        return { ...message, seq };
+    }
+
+    async updateOutgoingMessage({ id, wamid }, applyChange) {
+        const update = this.db.transaction(() => {
+            const row = id ? this.statements.outgoingById.get(id) : this.statements.outgoingByWamid.get(wamid);
+            if (!row) {
+                return null;
+            }
+            const message = parseMessageRow(row);
+            if (applyChange(message) === false) {
+                return null;
+            }
+            this.statements.updateMessage.run(messageData(message), message.wamid || null, row.seq);
+            return message;
+        });
+        return update();
+    }
+
+    async hasMessage(wamid) {
+        return !!this.statements.messageByWamid.get(wamid);
+    }
+
+    async getLastMessage(direction, phone) {
+        const row = this.statements.lastMessage.get(direction, phone);
+        return row ? parseMessageRow(row) : null;
+    }
+
+    async getCustomerMessages(phone) {
+        return {
+            incoming: parseMessageRows(this.statements.customerMessages.all('incoming', phone)),
+            outgoing: parseMessageRows(this.statements.customerMessages.all('outgoing', phone))
+        };
+    }
+
+    setMessageCounters(messageCounters) {
+        for (const [direction, value] of Object.entries(messageCounters)) {
+            this.statements.setMessageCounter.run(direction, value);
+        }
+    }
+
+    async clearMessages(messageCounters = {}) {
+        this.db.transaction(() => {
+            this.statements.clearMessages.run();
+            this.setMessageCounters(messageCounters);
+        })();
+    }
+
+    async getMessageCounters() {
+        const rows = this.statements.allMessageCounters.all();
+        return Object.fromEntries(rows.map(row => [row.direction, row.value]));
+    }
+
+    // Tickets
+
+    ticketRow(ticket) {
+        return {
+            ticketNumber: ticket.ticketNumber,
+            customerPhone: ticket.customerPhone || null,
+            createdAt: ticket.createdAt || null,
+            data: JSON.stringify(ticket)
+        };
+    }
+
+    async getTickets() {
+        return parseRows(this.statements.allTickets.all());
+    }
+
+    async getTicket(ticketNumber) {
+        const row = this.statements.ticket.get(ticketNumber);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async getCustomerTickets(phone) {
+        return parseRows(this.statements.customerTickets.all(phone));
+    }
+
+    async insertTickets(newTickets) {
+        const insert = this.db.transaction(tickets =>
+            tickets.filter(ticket => this.statements.insertTicket.run(this.ticketRow(ticket)).changes > 0)
+        );
+        return insert(newTickets);
+    }
+
+    async updateTicket(ticket) {
+        return this.statements.updateTicket.run(this.ticketRow(ticket)).changes > 0;
+    }
+
+    async clearTickets() {
+        this.statements.clearTickets.run();
+    }
+
+    async getTicketSequences() {
+        const sequences = {};
+        for (const { prefix, year, value } of this.statements.allSequences.all()) {
+            sequences[prefix] = { ...sequences[prefix], [year]: value };
+        }
+        return sequences;
+    }
+
+    async getTicketSequence(prefix, year) {
+        return this.statements.sequence.get(prefix, String(year))?.value;
+    }
+
+    async setTicketSequence(prefix, year, value) {
+        this.statements.setSequence.run(prefix, String(year), value);
+    }
+
+    // Sessions
+
+    async getSessions() {
+        return parseRows(this.statements.allSessions.all());
+    }
+
+    sessionRow(session) {
+        return {
+            phone: session.phone,
+            lastActivity: session.lastActivity || null,
+            data: JSON.stringify(session)
+        };
+    }
+
+    async saveSession(session) {
+        this.statements.saveSession.run(this.sessionRow(session));
+    }
+
+    async deleteSession(phone) {
+        this.statements.deleteSession.run(phone);
+    }
+
+    // Outbox
+
+    async getOutboxItems() {
+        return parseRows(this.statements.allOutboxItems.all());
+    }
+
+    outboxRow(item) {
+        return {
+            id: item.id,
+            createdAt: item.createdAt || null,
+            data: JSON.stringify(item)
+        };
+    }
+
+    async saveOutboxItem(item) {
+        this.statements.saveOutboxItem.run(this.outboxRow(item));
+    }
+
+    async deleteOutboxItem(id) {
+        this.statements.deleteOutboxItem.run(id);
+    }
+
+    // Agents
+
+    async getAgents() {
+        return parseRows(this.statements.allAgents.all());
+    }
+
+    agentRow(agent) {
+        return {
+            username: agent.username,
+            data: JSON.stringify(agent)
+        };
+    }
+
+    async saveAgent(agent) {
+        this.statements.saveAgent.run(this.agentRow(agent));
+    }
+
+    async deleteAgent(username) {
+        this.statements.deleteAgent.run(username);
+    }
+
+    // Conversations
+
+    async getConversations() {
+        return parseRows(this.statements.allConversations.all());
+    }
+
+    conversationRow(conversation) {
+        return {
+            phone: conversation.phone,
+            lastMessageAt: conversation.lastMessage?.timestamp || null,
+            data: JSON.stringify(conversation)
+        };
+    }
+
+    async saveConversation(conversation) {
+        this.statements.saveConversation.run(this.conversationRow(conversation));
+    }
+
+    async clearConversations() {
+        this.statements.clearConversations.run();
+    }
+
+    /**
+     * Imports data exported from another store in one transaction. Records that
+     * already exist are kept, so an import can safely be run more than once.
+     * @param {Object} snapshot - { messages: { incoming, outgoing }, messageCounters, tickets, sequences,
+     *     sessions, outbox, agents, conversations }
+     * @returns {Object} Number of records imported per kind
+     */
+    async importSnapshot({ messages, messageCounters = {}, tickets = [], sequences = {}, sessions = [], outbox = [], agents = [], conversations = [] }) {
+        const run = this.db.transaction(() => {
+            const counts = { messages: 0, tickets: 0, sequences: 0, sessions: 0, outbox: 0, agents: 0, conversations: 0 };
+
+            const stored = ['incoming', 'outgoing']
+                .flatMap(direction => (messages?.[direction] || []).map(message => ({ direction, message })))
+                .sort(STORED_ORDER);
+            for (const { direction, message } of stored) {
+                if (this.insertMessage(direction, message).changes > 0) counts.messages++;
+            }
+            this.setMessageCounters(messageCounters);
+
+            for (const ticket of tickets) {
+                if (this.statements.insertTicket.run(this.ticketRow(ticket)).changes > 0) counts.tickets++;
+            }
+
+            // Keep the higher value so numbers already handed out are never reused
+            for (const [prefix, years] of Object.entries(sequences)) {
+                for (const [year, value] of Object.entries(years)) {
+                    const current = this.statements.sequence.get(prefix, year)?.value || 0;
+                    if (value > current) {
+                        this.statements.setSequence.run(prefix, year, value);
+                        counts.sequences++;
+                    }
+                }
+            }
+
+            for (const session of sessions) {
+                if (this.statements.importSession.run(this.sessionRow(session)).changes > 0) counts.sessions++;
+            }
+
+            for (const item of outbox) {
+                if (this.statements.importOutboxItem.run(this.outboxRow(item)).changes > 0) counts.outbox++;
+            }
+
+            for (const agent of agents) {
+                if (this.statements.importAgent.run(this.agentRow(agent)).changes > 0) counts.agents++;
+            }
+
+            for (const conversation of conversations) {
+                if (this.statements.importConversation.run(this.conversationRow(conversation)).changes > 0) counts.conversations++;
+            }
+
+            return counts;
+        });
+        return run();
+    }
+}
+
+export default SqliteStore;
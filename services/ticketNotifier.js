@@ -0,0 +1,105 @@
+/**
+ * Ticket Notifier Class
+ *
+ * Keeps customers informed about their tickets. Listens to the ticket storage events
+ * and sends the customer a WhatsApp message when a ticket is assigned or changes
+ * status. Messages are rendered from the templates in public/ticket_notifications.json
+ * and sent through the same messenger the bot uses, so they are recorded in the chat
+ * history as outgoing messages linked to the ticket number.
+ *
+ * Templates:
+ * {
+ *     "assigned": "Your ticket {ticketNumber} has been assigned to {assignedTo}",
+ *     "status": {
+ *         "Resolved": "Your ticket {ticketNumber} has been resolved"
+ *     }
+ * }
+ * Placeholders: {ticketNumber}, {issue}, {status}, {previousStatus}, {assignedTo}.
+ * A status without a template (or with an empty one) sends no message.
+ *
+ * Methods:
+ *     initialize(): Load the templates and subscribe to ticket events
+ *
+ *     buildNotification(ticket, entry): Render the message for a history entry
+ *         - Returns null when no message should be sent
+ *
+ *     notify(ticket, entry): Send the message for a history entry
+ *         - Failures are logged and never undo the ticket change
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class TicketNotifier {
+    constructor({ ticketStorage, messenger, templatesPath }) {
+        this.ticketStorage = ticketStorage;
+        this.messenger = messenger;
+        this.templatesPath = templatesPath || path.join(__dirname, '..', 'public', 'ticket_notifications.json');
+        this.templates = { status: {} };
+    }
+
+    async initialize() {
+        const data = await fs.readFile(this.templatesPath, 'utf8');
+        this.templates = { status: {}, ...JSON.parse(data) };
+        console.log('Ticket notification templates loaded from:', this.templatesPath);
+
+        this.ticketStorage.on('ticketUpdated', (ticket, entry) => {
+            this.notify(ticket, entry);
+        });
+    }
+
+    renderTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+            values[key] !== undefined && values[key] !== null ? String(values[key]) : placeholder
+        );
+    }
+
+    buildNotification(ticket, entry) {
+        let template = null;
+        if (entry.action === 'assigned') {
+            template = this.templates.assigned;
+        } else if (entry.action === 'status') {
+            template = this.templates.status[entry.to];
+        }
+
+        if (!template) {
+            return null;
+        }
+
+        return this.renderTemplate(template, {
+            ticketNumber: ticket.ticketNumber,
+            issue: ticket.issue,
+            status: ticket.status,
+            previousStatus: entry.from,
+            assignedTo: ticket.assignedTo
+        });
+    }
+
+    async notify(ticket, entry) {
+        const message = this.buildNotification(ticket, entry);
+        if (!message || !ticket.customerPhone) {
+            return null;
+        }
+
+        try {
+            const result = await this.messenger.sendText(ticket.customerPhone, message, {
+                ticketNumber: ticket.ticketNumber
+            });
+            console.log(`Notified ${ticket.customerPhone} about ticket ${ticket.ticketNumber} (${entry.action})`);
+            return result;
+        } catch (error) {
+            console.error(`Failed to notify customer about ticket ${ticket.ticketNumber}:`, {
+                message: error.message,
+                kind: error.kind,
+                code: error.code
+            });
+            return null;
+        }
+    }
+}
+
+export default TicketNotifier;
@@ -0,0 +1,363 @@
+/**
+ * Ticket Storage Class
+ *
+ * Persistent storage manager for support tickets. The server routes and the conversation
+ * engine share this one implementation, which persists through the configured store
+ * (JSON files or SQLite, see services/storage/index.js).
+ *
+ * Methods:
+ *     saveTickets(newTickets): Merge tickets into storage
+ *         - Skips tickets whose number already exists
+ *         - Assigns the next sequential number to tickets without one
+ *         - Moves the sequence past sequential numbers given with a ticket, so they
+ *           are never handed out again
+ *         - Sorts tickets newest first
+ *         - Returns the ticket count, the assigned numbers and whether duplicates were dropped
+ *
+ *     createTicket(ticket, { prefix }): Store a new ticket under the next number
+ *         - Takes the number after that if a stored ticket already has it
+ *         - Starts the ticket's audit history
+ *         - Returns the stored ticket including its ticketNumber
+ *
+ *     getAllTickets(): Get all tickets as { tickets }, newest first
+ *
+ *     getTicket(ticketNumber): Get one ticket, or null if it doesn't exist
+ *
+ *     getCustomerTickets(phone): Get the tickets opened from a customer number
+ *
+ *     changeStatus(ticketNumber, status, { actor, note }): Move a ticket to a new status
+ *         - Only allows the transitions listed in TICKET_TRANSITIONS
+ *
+ *     assignTicket(ticketNumber, agent, { actor }): Assign a ticket to an agent
+ *
+ *     addNote(ticketNumber, note, { actor }): Add an internal note
+ *
+ *     addAttachment(ticketNumber, attachment, { actor }): Attach media the customer sent
+ *
+ *     clearTickets(): Remove all tickets
+ *
+ * Events:
+ *     ticketCreated (ticket): Emitted after a new ticket is stored
+ *     ticketUpdated (ticket, entry): Emitted after a status change, assignment, note
+ *         or attachment, with the history entry that describes the change
+ *
+ * Ticket Numbers:
+ *     PREFIX-YEAR-SEQUENCE, e.g. CLD-2026-00042. Sequences are kept per prefix and
+ *     year in the store and handed out one at a time, so two tickets created
+ *     in the same second never collide. Legacy PREFIX-HHMMSS-DDMM numbers stay valid.
+ *
+ * Ticket Lifecycle:
+ *     Open → In Progress → Waiting on Customer → Resolved → Closed
+ *     Tickets can also skip ahead (e.g. Open → Resolved), go back to In Progress
+ *     while work continues, and be reopened from Resolved. Customers can withdraw
+ *     a ticket that isn't resolved yet (→ Cancelled). Closed and Cancelled are final.
+ *
+ * Every change is appended to the ticket's `history` array:
+ *     { "at": "ISO_date_string", "action": "status", "actor": "agent name",
+ *       "from": "Open", "to": "In Progress", "note": "optional text" }
+ *
+ * Ticket Format (JSON store layout shown):
+ * {
+ *     "tickets": [
+ *         {
+ *             "ticketNumber": "CLD-2026-00042",
+ *             "issue": "C7. Inability to connect to cloud services.",
+ *             "status": "Open",
+ *             "createdAt": "ISO_date_string",
+ *             "updatedAt": "ISO_date_string",
+ *             "customerPhone": "phone_number",
+ *             "assignedTo": "agent name or null",
+ *             "notes": [{ "at": "ISO_date_string", "author": "agent name", "text": "..." }],
+ *             "attachments": [{ "kind": "image", "url": "/media/123.jpg", "mimeType": "image/jpeg", ... }],
+ *             "history": [{ "at": "ISO_date_string", "action": "created", "actor": "bot" }]
+ *         }
+ *     ]
+ * }
+ */
+
+import { EventEmitter } from 'events';
+
+export const TICKET_STATUSES = ['Open', 'In Progress', 'Waiting on Customer', 'Resolved', 'Closed', 'Cancelled'];
+
+// Allowed status changes, keyed by the current status
+export const TICKET_TRANSITIONS = {
+    'Open': ['In Progress', 'Waiting on Customer', 'Resolved', 'Closed', 'Cancelled'],
+    'In Progress': ['Waiting on Customer', 'Resolved', 'Closed', 'Cancelled'],
+    'Waiting on Customer': ['In Progress', 'Resolved', 'Closed', 'Cancelled'],
+    'Resolved': ['Closed', 'In Progress'],
+    'Closed': [],
+    'Cancelled': []
+};
+
+// Statuses in which nobody is working on the ticket any more
+export const FINISHED_STATUSES = ['Resolved', 'Closed', 'Cancelled'];
+
+/**
+ * Error raised for ticket operations that can't be carried out.
+ * `statusCode` is the HTTP status the routes should answer with.
+ */
+export class TicketError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TicketError';
+        this.statusCode = statusCode;
+    }
+}
+
+const SEQUENTIAL_NUMBER_PATTERN = /^([A-Z]+)-(\d{4})-(\d+)$/;
+const LEGACY_NUMBER_PATTERN = /^([A-Z]+)-(\d{6})-(\d{4})$/;
+
+/**
+ * Formats a sequential ticket number (e.g. CLD-2026-00042)
+ * @param {string} prefix - Department ticket prefix
+ * @param {number|string} year - Year the ticket was created
+ * @param {number} sequence - Sequence number within the prefix and year
+ * @returns {string} Ticket number
+ */
+export function formatTicketNumber(prefix, year, sequence) {
+    return `${prefix}-${year}-${String(sequence).padStart(5, '0')}`;
+}
+
+/**
+ * Parses a ticket number in the sequential format (CLD-2026-00042) or the legacy
+ * time-based format (CLD-160818-2801, i.e. PREFIX-HHMMSS-DDMM)
+ * @param {string} ticketNumber - Ticket number
+ * @returns {Object|null} { prefix, year, sequence, legacy: false } or
+ *     { prefix, time, date, legacy: true }, or null if the format is unknown
+ */
+export function parseTicketNumber(ticketNumber) {
+    const value = String(ticketNumber || '').toUpperCase();
+
+    const sequential = value.match(SEQUENTIAL_NUMBER_PATTERN);
+    if (sequential) {
+        return { prefix: sequential[1], year: Number(sequential[2]), sequence: Number(sequential[3]), legacy: false };
+    }
+
+    const legacy = value.match(LEGACY_NUMBER_PATTERN);
+    if (legacy) {
+        return { prefix: legacy[1], time: legacy[2], date: legacy[3], legacy: true };
+    }
+
+    return null;
+}
+
+class TicketStorage extends EventEmitter {
+    constructor({ store }) {
+        super();
+        this.store = store;
+        this.pending = Promise.resolve();
+    }
+
+    // Runs ticket changes one at a time so sequence numbers are never handed out twice
+    withLock(task) {
+        const run = this.pending.then(task, task);
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    async highestStoredSequence(prefix, year) {
+        const tickets = await this.store.getTickets();
+        return tickets.reduce((highest, ticket) => {
+            const parsed = parseTicketNumber(ticket.ticketNumber);
+            return parsed && !parsed.legacy && parsed.prefix === prefix && parsed.year === Number(year)
+                ? Math.max(highest, parsed.sequence)
+                : highest;
+        }, 0);
+    }
+
+    // Must only be called while holding the lock
+    async nextTicketNumber(prefix, date = new Date()) {
+        const key = String(prefix || 'TKT').toUpperCase();
+        const year = String(date.getFullYear());
+
+        let sequence = await this.store.getTicketSequence(key, year);
+        if (sequence === undefined) {
+            // Never reuse numbers of tickets that exist without a sequence entry
+            sequence = await this.highestStoredSequence(key, year);
+        }
+        sequence += 1;
+
+        await this.store.setTicketSequence(key, year, sequence);
+        return formatTicketNumber(key, year, sequence);
+    }
+
+    // Must only be called while holding the lock
+    async advanceSequence(ticketNumber) {
+        const parsed = parseTicketNumber(ticketNumber);
+        if (!parsed || parsed.legacy) {
+            return;
+        }
+        const year = String(parsed.year);
+        const current = await this.store.getTicketSequence(parsed.prefix, year)
+            ?? await this.highestStoredSequence(parsed.prefix, year);
+        if (parsed.sequence > current) {
+            await this.store.setTicketSequence(parsed.prefix, year, parsed.sequence);
+        }
+    }
+
+    prepareNewTicket(ticket) {
+        const createdAt = ticket.createdAt || new Date().toISOString();
+        return {
+            status: 'Open',
+            assignedTo: null,
+            notes: [],
+            attachments: [],
+            history: [{ at: createdAt, action: 'created', actor: 'bot' }],
+            updatedAt: createdAt,
+            ...ticket,
+            createdAt
+        };
+    }
+
+    // Must only be called while holding the lock
+    async insertTickets(newTickets) {
+        const added = await this.store.insertTickets(newTickets);
+        const addedNumbers = new Set(added.map(ticket => ticket.ticketNumber));
+        newTickets
+            .filter(ticket => !addedNumbers.has(ticket.ticketNumber))
+            .forEach(ticket => console.log(`Duplicate ticket prevented: ${ticket.ticketNumber}`));
+
+        added.forEach(ticket => this.emit('ticketCreated', ticket));
+        return added;
+    }
+
+    // Must only be called while holding the lock. A number can already be taken by a
+    // ticket stored before its sequence was kept, so the next one is tried until one is free
+    async insertUnderNextNumber(ticket, prefix) {
+        let added = [];
+        while (added.length === 0) {
+            ticket.ticketNumber = await this.nextTicketNumber(prefix, new Date(ticket.createdAt));
+            added = await this.insertTickets([ticket]);
+        }
+        return added[0];
+    }
+
+    async saveTickets(newTickets) {
+        return await this.withLock(async () => {
+            // Numbers the caller chose are skipped by the tickets numbered here
+            for (const { ticketNumber } of newTickets) {
+                await this.advanceSequence(ticketNumber);
+            }
+
+            // Tickets without a number get the next one for their prefix
+            const added = [];
+            for (const { prefix, ...ticket } of newTickets) {
+                const newTicket = this.prepareNewTicket(ticket);
+                const [stored] = newTicket.ticketNumber
+                    ? await this.insertTickets([newTicket])
+                    : [await this.insertUnderNextNumber(newTicket, prefix)];
+                if (stored) {
+                    added.push(stored);
+                }
+            }
+            const tickets = await this.store.getTickets();
+
+            return {
+                ticketCount: tickets.length,
+                duplicatesFound: added.length < newTickets.length,
+                ticketNumbers: added.map(ticket => ticket.ticketNumber)
+            };
+        });
+    }
+
+    async createTicket(ticket, { prefix = 'TKT' } = {}) {
+        return await this.withLock(() => this.insertUnderNextNumber(this.prepareNewTicket(ticket), prefix));
+    }
+
+    async getAllTickets() {
+        return { tickets: await this.store.getTickets() };
+    }
+
+    async getTicket(ticketNumber) {
+        return await this.store.getTicket(ticketNumber);
+    }
+
+    async getCustomerTickets(phone) {
+        return await this.store.getCustomerTickets(phone);
+    }
+
+    async updateTicket(ticketNumber, applyChange) {
+        return await this.withLock(() => this.applyTicketChange(ticketNumber, applyChange));
+    }
+
+    async applyTicketChange(ticketNumber, applyChange) {
+        const ticket = await this.store.getTicket(ticketNumber);
+        if (!ticket) {
+            throw new TicketError(`Ticket ${ticketNumber} not found`, 404);
+        }
+
+        // Tickets created before the lifecycle existed have no history yet
+        ticket.history = Array.isArray(ticket.history) ? ticket.history : [];
+        ticket.notes = Array.isArray(ticket.notes) ? ticket.notes : [];
+
+        const entry = applyChange(ticket);
+        entry.at = new Date().toISOString();
+        ticket.history.push(entry);
+        ticket.updatedAt = entry.at;
+
+        await this.store.updateTicket(ticket);
+        this.emit('ticketUpdated', ticket, entry);
+        return ticket;
+    }
+
+    async changeStatus(ticketNumber, status, { actor = 'system', note } = {}) {
+        if (!TICKET_STATUSES.includes(status)) {
+            throw new TicketError(`Unknown status "${status}". Valid statuses: ${TICKET_STATUSES.join(', ')}`);
+        }
+
+        return await this.updateTicket(ticketNumber, ticket => {
+            const current = ticket.status;
+            const allowed = TICKET_TRANSITIONS[current] || [];
+            if (!allowed.includes(status)) {
+                throw new TicketError(`Cannot move ticket ${ticketNumber} from "${current}" to "${status}"`, 409);
+            }
+
+            ticket.status = status;
+            const entry = { action: 'status', actor, from: current, to: status };
+            if (note) entry.note = note;
+            return entry;
+        });
+    }
+
+    async assignTicket(ticketNumber, agent, { actor = 'system' } = {}) {
+        if (!agent || typeof agent !== 'string') {
+            throw new TicketError('An agent name is required');
+        }
+
+        return await this.updateTicket(ticketNumber, ticket => {
+            if (ticket.status === 'Closed') {
+                throw new TicketError(`Ticket ${ticketNumber} is closed`, 409);
+            }
+            const previous = ticket.assignedTo || null;
+            ticket.assignedTo = agent;
+            return { action: 'assigned', actor, from: previous, to: agent };
+        });
+    }
+
+    async addNote(ticketNumber, note, { actor = 'system' } = {}) {
+        if (!note || typeof note !== 'string' || !note.trim()) {
+            throw new TicketError('Note text is required');
+        }
+
+        return await this.updateTicket(ticketNumber, ticket => {
+            ticket.notes.push({ at: new Date().toISOString(), author: actor, text: note.trim() });
+            return { action: 'note', actor, note: note.trim() };
+        });
+    }
+
+    async addAttachment(ticketNumber, attachment, { actor = 'customer' } = {}) {
+        return await this.updateTicket(ticketNumber, ticket => {
+            ticket.attachments = Array.isArray(ticket.attachments) ? ticket.attachments : [];
+            ticket.attachments.push(attachment);
+            return { action: 'attachment', actor, kind: attachment.kind, fileName: attachment.fileName };
+        });
+    }
+
+    async clearTickets() {
+        // Sequences are kept so numbers of cleared tickets are never handed out again
+        await this.withLock(() => this.store.clearTickets());
+        return true;
+    }
+}
+
+export default TicketStorage;
@@ -0,0 +1,284 @@
+/**
+ * Webhook Processor Class
+ *
+ * Handles WhatsApp webhook deliveries off the request path. Meta batches deliveries:
+ * one POST can carry several entries, each with several changes, and each change can
+ * hold several `messages` and `statuses`. Statuses are delivery receipts for the messages
+ * we sent and update the stored outgoing message. The webhook route hands the payload to
+ * enqueue() and answers 200 straight away; the processor then works through every
+ * message and status in the background.
+ *
+ * Events are processed one at a time in the order they arrived, so a customer's
+ * messages reach the conversation engine in order. A failing event is logged and
+ * doesn't stop the rest of the batch.
+ *
+ * Meta retries deliveries it considers failed, so the same message can arrive more
+ * than once. Messages are deduplicated on their WhatsApp message id (`wamid`): first
+ * against the ids seen recently, then against the stored history, so retries are
+ * skipped even after a restart.
+ *
+ * Media (images, videos, voice notes, documents and stickers) is downloaded through the
+ * media store before the message is stored, and handed to the conversation engine so
+ * it can be attached to the customer's pending ticket.
+ *
+ * Messages of customers whose conversation an agent has taken over or paused (see
+ * ConversationInbox) are stored but not passed to the conversation engine, so the bot
+ * stays silent until the conversation is handed back.
+ *
+ * Methods:
+ *     enqueue(payload): Queue every message and status of a delivery
+ *         - Returns the number of events queued
+ *
+ *     extractEvents(payload): List the messages and statuses in a delivery
+ *         - Messages come with the sender's WhatsApp profile name, stored as customerName
+ *
+ *     idle(): Promise that resolves once every queued event has been processed
+ *
+ * Events:
+ *     message (storedMessage): Emitted after a new incoming message is stored
+ *     status (status, message): Emitted for every status callback (sent/delivered/read/
+ *         failed), with the stored message it updated or null
+ *     duplicate (wamid): Emitted when a message that was already processed is skipped
+ */
+
+import { EventEmitter } from 'events';
+
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+const MEDIA_LABELS = {
+    image: 'Image',
+    video: 'Video',
+    audio: 'Audio',
+    document: 'Document',
+    sticker: 'Sticker'
+};
+
+/**
+ * Extracts the displayable text, the bot input and the structured details of a
+ * webhook message. Interactive replies carry the row or button id (e.g. "#sprout c3"
+ * or "yes"), which the conversation engine handles exactly like typed text. Media,
+ * locations, contacts and reactions get a readable summary as content and their
+ * data in `details`; they are not passed to the bot as input.
+ * @param {Object} message - Message object from the webhook payload
+ * @returns {{ content: string, input: string, details: Object }} Text to store, text
+ *     for the bot and the fields stored with the message (media, location, contacts
+ *     or reaction)
+ */
+export function parseIncomingMessage(message) {
+    if (message.type === 'interactive') {
+        const reply = message.interactive?.list_reply || message.interactive?.button_reply;
+        if (reply) {
+            return { content: reply.title || reply.id, input: reply.id, details: {} };
+        }
+    }
+
+    // Quick-reply buttons on template messages
+    if (message.type === 'button' && message.button) {
+        return {
+            content: message.button.text || '',
+            input: message.button.payload || message.button.text || '',
+            details: {}
+        };
+    }
+
+    if (MEDIA_TYPES.includes(message.type)) {
+        const media = message[message.type] || {};
+        const label = media.voice ? 'Voice note' : MEDIA_LABELS[message.type];
+        const name = media.filename ? `: ${media.filename}` : '';
+        return {
+            content: media.caption ? `[${label}${name}] ${media.caption}` : `[${label}${name}]`,
+            input: '',
+            details: {
+                media: {
+                    id: media.id,
+                    kind: message.type,
+                    mimeType: media.mime_type,
+                    sha256: media.sha256,
+                    caption: media.caption,
+                    originalName: media.filename,
+                    voice: media.voice || undefined
+                }
+            }
+        };
+    }
+
+    if (message.type === 'location' && message.location) {
+        const { latitude, longitude, name, address } = message.location;
+        const place = [name, address].filter(Boolean).join(', ');
+        return {
+            content: `📍 ${place ? `${place} ` : ''}(${latitude}, ${longitude})`,
+            input: '',
+            details: { location: { latitude, longitude, name, address } }
+        };
+    }
+
+    if (message.type === 'contacts' && Array.isArray(message.contacts)) {
+        const contacts = message.contacts.map(contact => ({
+            name: contact.name?.formatted_name || [contact.name?.first_name, contact.name?.last_name].filter(Boolean).join(' '),
+            phones: (contact.phones || []).map(phone => phone.phone || phone.wa_id).filter(Boolean),
+            emails: (contact.emails || []).map(email => email.email).filter(Boolean)
+        }));
+        const summary = contacts.map(contact => [contact.name, ...contact.phones].filter(Boolean).join(' ')).join('; ');
+        return { content: `👤 ${summary}`, input: '', details: { contacts } };
+    }
+
+    // An empty emoji means the customer removed their reaction
+    if (message.type === 'reaction' && message.reaction) {
+        const { emoji, message_id: messageId } = message.reaction;
+        return {
+            content: emoji ? `Reacted ${emoji}` : 'Removed a reaction',
+            input: '',
+            details: { reaction: { emoji: emoji || null, wamid: messageId } }
+        };
+    }
+
+    if (message.type && message.type !== 'text') {
+        return { content: `[Unsupported message: ${message.type}]`, input: '', details: {} };
+    }
+
+    const body = message.text?.body || '';
+    return { content: body, input: body, details: {} };
+}
+
+class WebhookProcessor extends EventEmitter {
+    constructor({ messageStorage, conversationEngine, conversationInbox = null, mediaStore = null, recentIdLimit = 1000 }) {
+        super();
+        this.messageStorage = messageStorage;
+        this.conversationEngine = conversationEngine;
+        this.conversationInbox = conversationInbox;
+        this.mediaStore = mediaStore;
+        this.recentIdLimit = recentIdLimit;
+        this.recentIds = new Set();
+        this.queue = Promise.resolve();
+    }
+
+    extractEvents(payload) {
+        const events = [];
+        for (const entry of payload?.entry || []) {
+            for (const change of entry.changes || []) {
+                const value = change.value || {};
+                (value.messages || []).forEach(message => {
+                    const contact = (value.contacts || []).find(c => c.wa_id === message.from);
+                    events.push({ type: 'message', message, customerName: contact?.profile?.name });
+                });
+                (value.statuses || []).forEach(status => events.push({ type: 'status', status }));
+            }
+        }
+        return events;
+    }
+
+    enqueue(payload) {
+        const events = this.extractEvents(payload);
+        if (events.length > 0) {
+            this.queue = this.queue.then(() => this.processEvents(events));
+        }
+        return events.length;
+    }
+
+    idle() {
+        return this.queue;
+    }
+
+    async processEvents(events) {
+        for (const event of events) {
+            try {
+                if (event.type === 'message') {
+                    await this.handleMessage(event.message, event);
+                } else {
+                    await this.handleStatus(event.status);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to process webhook ${event.type}:`, error);
+            }
+        }
+    }
+
+    rememberId(wamid) {
+        this.recentIds.add(wamid);
+        // Sets keep insertion order, so the first entry is the oldest
+        if (this.recentIds.size > this.recentIdLimit) {
+            this.recentIds.delete(this.recentIds.values().next().value);
+        }
+    }
+
+    async isDuplicate(wamid) {
+        if (!wamid) {
+            return false;
+        }
+        return this.recentIds.has(wamid) || await this.messageStorage.hasMessage(wamid);
+    }
+
+    async handleMessage(message, { customerName } = {}) {
+        if (await this.isDuplicate(message.id)) {
+            console.log('Skipping duplicate delivery of message:', message.id);
+            this.emit('duplicate', message.id);
+            return;
+        }
+
+        const { content, input, details } = parseIncomingMessage(message);
+        if (details.media) {
+            details.media = await this.downloadMedia(details.media);
+        }
+
+        const stored = await this.messageStorage.addIncomingMessage(message.from, content, {
+            wamid: message.id,
+            type: message.type,
+            ...(customerName ? { customerName } : {}),
+            ...details
+        });
+        if (message.id) {
+            this.rememberId(message.id);
+        }
+        console.log('✅ Stored message:', stored);
+        this.emit('message', stored);
+
+        // Let the conversation engine answer the customer, unless an agent took over
+        if (this.conversationInbox && !this.conversationInbox.botAnswers(message.from)) {
+            console.log('Bot is silent for this conversation:', message.from);
+            return;
+        }
+        if (input) {
+            await this.conversationEngine.handleIncomingMessage(message.from, input);
+        } else if (stored.media?.url) {
+            await this.conversationEngine.handleIncomingAttachment(message.from, {
+                ...stored.media,
+                messageId: stored.id,
+                receivedAt: stored.timestamp
+            });
+        }
+    }
+
+    // A failed download is recorded on the message instead of dropping it
+    async downloadMedia(media) {
+        if (!this.mediaStore || !media.id) {
+            return media;
+        }
+        try {
+            return { ...media, ...await this.mediaStore.download(media.id, { mimeType: media.mimeType }) };
+        } catch (error) {
+            console.error(`❌ Failed to download media ${media.id}:`, error.message);
+            return { ...media, error: error.message };
+        }
+    }
+
+    async handleStatus(status) {
+        const error = status.errors?.[0];
+        const message = await this.messageStorage.updateMessageStatus(status.id, status.status, {
+            timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : undefined,
+            error: error && {
+                code: error.code,
+                title: error.title,
+                message: error.message || error.error_data?.details
+            }
+        });
+
+        if (status.status === 'failed') {
+            console.error(`❌ Message ${status.id} to ${status.recipient_id} failed:`, error);
+        } else {
+            console.log(`Message ${status.id} to ${status.recipient_id} is ${status.status}`);
+        }
+        this.emit('status', status, message);
+    }
+}
+
+export default WebhookProcessor;
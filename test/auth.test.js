@@ -0,0 +1,322 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import AgentAccounts, { AuthError, hashPassword, verifyPassword } from '../services/agentAccounts.js';
+import { createStore } from '../services/storage/index.js';
+import { createTempDir, startServer, login, waitFor, ADMIN_USERNAME, ADMIN_PASSWORD } from './helpers.js';
+
+const ALLOWED_ORIGIN = 'https://console.example.com';
+
+describe('AgentAccounts', () => {
+    let dataDir;
+    let store;
+    let accounts;
+
+    before(async () => {
+        dataDir = await createTempDir();
+        store = await createStore({ backend: 'json', dataDir });
+        accounts = new AgentAccounts({ store, maxFailedLogins: 3 });
+        await accounts.initialize({ bootstrapAdmin: { username: 'root', password: 'first-admin-password' } });
+    });
+
+    after(async () => {
+        await store.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('hashes passwords with a salt of their own', async () => {
+        const first = await hashPassword('correct horse');
+        const second = await hashPassword('correct horse');
+        assert.notEqual(first, second);
+        assert.equal(await verifyPassword('correct horse', first), true);
+        assert.equal(await verifyPassword('wrong horse', first), false);
+        assert.equal(await verifyPassword('correct horse', 'not a hash'), false);
+    });
+
+    it('creates the bootstrap admin only while there are no accounts', async () => {
+        assert.deepEqual(accounts.list().map(agent => [agent.username, agent.role]), [['root', 'admin']]);
+
+        const again = new AgentAccounts({ store });
+        await again.initialize({ bootstrapAdmin: { username: 'other', password: 'other-password' } });
+        assert.deepEqual(again.list().map(agent => agent.username), ['root']);
+    });
+
+    it('stores only password and token hashes', async () => {
+        await accounts.create({ username: 'Thandi', password: 'agent-password', name: 'Thandi S' });
+        const { token } = await accounts.login('thandi', 'agent-password');
+
+        const stored = await fs.readFile(path.join(dataDir, 'agents.json'), 'utf8');
+        assert.ok(stored.includes('"username": "thandi"'));
+        assert.ok(!stored.includes('agent-password'));
+        assert.ok(!stored.includes(token));
+    });
+
+    it('refuses invalid and duplicate accounts', async () => {
+        const refused = async (agent, statusCode) => assert.rejects(accounts.create(agent),
+            error => error instanceof AuthError && error.statusCode === statusCode);
+        await refused({ username: 'x', password: 'long-enough' }, 400);
+        await refused({ username: 'short-password', password: 'short' }, 400);
+        await refused({ username: 'bad-role', password: 'long-enough', role: 'owner' }, 400);
+        await refused({ username: 'THANDI', password: 'long-enough' }, 409);
+    });
+
+    it('signs in, authenticates and signs out', async () => {
+        const { token, agent } = await accounts.login('THANDI ', 'agent-password');
+        assert.equal(agent.role, 'agent');
+        assert.equal(accounts.authenticate(token).username, 'thandi');
+        assert.equal(accounts.authenticate('made-up'), null);
+
+        await accounts.logout(token);
+        assert.equal(accounts.authenticate(token), null);
+    });
+
+    it('keeps both sessions of concurrent sign-ins', async () => {
+        const [first, second] = await Promise.all([
+            accounts.login('thandi', 'agent-password'),
+            accounts.login('thandi', 'agent-password')
+        ]);
+        assert.equal(accounts.authenticate(first.token)?.username, 'thandi');
+        assert.equal(accounts.authenticate(second.token)?.username, 'thandi');
+
+        const stored = (await store.getAgents()).find(agent => agent.username === 'thandi');
+        assert.equal(stored.sessions.length, accounts.get('thandi').sessions.length);
+        await accounts.logout(first.token);
+        await accounts.logout(second.token);
+    });
+
+    it('doesn\'t undo changes made while a password is checked', async () => {
+        const signingIn = accounts.login('thandi', 'agent-password');
+        await accounts.update('thandi', { role: 'supervisor', name: 'Thandi S' });
+        const { agent } = await signingIn;
+
+        assert.deepEqual([agent.role, agent.name], ['supervisor', 'Thandi S']);
+        const stored = (await store.getAgents()).find(account => account.username === 'thandi');
+        assert.equal(stored.role, 'supervisor');
+        await accounts.update('thandi', { role: 'agent' });
+    });
+
+    it('expires sessions', async () => {
+        const shortLived = new AgentAccounts({ store, sessionTtlMs: -1 });
+        await shortLived.initialize();
+        const { token } = await shortLived.login('thandi', 'agent-password');
+        assert.equal(shortLived.authenticate(token), null);
+    });
+
+    it('ends every session when the password changes', async () => {
+        const { token } = await accounts.login('thandi', 'agent-password');
+        await assert.rejects(accounts.changePassword('thandi', 'wrong-password', 'new-password'), { statusCode: 401 });
+        await accounts.changePassword('thandi', 'agent-password', 'new-agent-password');
+        assert.equal(accounts.authenticate(token), null);
+        assert.ok((await accounts.login('thandi', 'new-agent-password')).token);
+    });
+
+    it('locks a username out after repeated wrong passwords', async () => {
+        await accounts.create({ username: 'locked', password: 'locked-password' });
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(accounts.login('locked', 'wrong-password'), { statusCode: 401 });
+        }
+        await assert.rejects(accounts.login('locked', 'locked-password'), { statusCode: 429 });
+    });
+
+    it('keeps at least one admin', async () => {
+        await assert.rejects(accounts.remove('root'), { statusCode: 409 });
+        await assert.rejects(accounts.update('root', { role: 'agent' }), { statusCode: 409 });
+
+        await accounts.create({ username: 'second', password: 'second-password', role: 'admin' });
+        await accounts.update('root', { role: 'supervisor' });
+        assert.equal(accounts.hasRole(accounts.toPublic(accounts.get('root')), 'admin'), false);
+        assert.equal(accounts.hasRole(accounts.toPublic(accounts.get('root')), 'agent'), true);
+    });
+
+    it('keeps an admin when two are demoted or deleted at once', async () => {
+        await accounts.create({ username: 'third', password: 'third-password', role: 'admin' });
+        const results = await Promise.allSettled([
+            accounts.remove('second'),
+            accounts.update('third', { role: 'agent' })
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+        assert.equal(accounts.countAdmins(), 1);
+    });
+});
+
+describe('route access', () => {
+    let server;
+    let adminToken;
+    let agentToken;
+    let supervisorToken;
+
+    const request = async (method, route, { token, body, headers = {} } = {}) => {
+        const response = await fetch(`${server.baseUrl}${route}`, {
+            method,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            // Not JSON (e.g. a 404 page)
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    };
+
+    before(async () => {
+        server = await startServer({ env: { CORS_ORIGINS: ALLOWED_ORIGIN } });
+        adminToken = await login(server);
+
+        for (const [username, role] of [['alice', 'agent'], ['sam', 'supervisor']]) {
+            const { status } = await request('POST', '/agents', {
+                token: adminToken,
+                body: { username, password: `${username}-password`, role }
+            });
+            assert.equal(status, 201);
+        }
+        agentToken = await login(server, 'alice', 'alice-password');
+        supervisorToken = await login(server, 'sam', 'sam-password');
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    it('keeps the webhook and health routes public', async () => {
+        assert.equal((await request('GET', '/health')).status, 200);
+        assert.equal((await request('GET', '/webhook?hub.mode=subscribe&hub.verify_token=test-verify-token&hub.challenge=1')).status, 200);
+    });
+
+    it('refuses requests without a valid session', async () => {
+        for (const [method, route] of [
+            ['GET', '/messages'],
+            ['GET', '/tickets'],
+            ['POST', '/send-message'],
+            ['POST', '/api/clear-tickets'],
+            ['GET', '/debug/chat-history'],
+            ['GET', '/capabilities'],
+            ['GET', '/conversations']
+        ]) {
+            assert.equal((await request(method, route)).status, 401, `${method} ${route}`);
+            assert.equal((await request(method, route, { token: 'made-up' })).status, 401, `${method} ${route}`);
+        }
+    });
+
+    it('refuses a wrong password', async () => {
+        const { status, body } = await request('POST', '/auth/login', { body: { username: ADMIN_USERNAME, password: 'wrong' } });
+        assert.equal(status, 401);
+        assert.equal(body.token, undefined);
+    });
+
+    it('signs the console in with an HttpOnly cookie', async () => {
+        const response = await fetch(`${server.baseUrl}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD })
+        });
+        const cookie = response.headers.get('set-cookie');
+        assert.match(cookie, /^sprout_session=[^;]+;/);
+        assert.match(cookie, /HttpOnly/);
+        assert.match(cookie, /SameSite=Strict/);
+
+        const me = await request('GET', '/auth/me', { headers: { Cookie: cookie.split(';')[0] } });
+        assert.equal(me.status, 200);
+        assert.deepEqual([me.body.agent.username, me.body.agent.role], [ADMIN_USERNAME, 'admin']);
+        assert.equal(me.body.agent.passwordHash, undefined);
+    });
+
+    it('lets agents work but not clear data or manage accounts', async () => {
+        assert.equal((await request('GET', '/tickets', { token: agentToken })).status, 200);
+        assert.equal((await request('GET', '/outbox', { token: agentToken })).status, 200);
+        assert.equal((await request('POST', '/tickets', { token: agentToken, body: { issue: 'Printer', customerPhone: '15550001111' } })).status, 201);
+
+        for (const [method, route] of [
+            ['POST', '/api/clear-tickets'],
+            ['POST', '/api/clear-chat-history'],
+            ['GET', '/debug/chat-history'],
+            ['GET', '/test-message'],
+            ['GET', '/agents'],
+            ['POST', '/templates'],
+            ['POST', '/save-ticket'],
+            ['POST', '/outbox/unknown/replay']
+        ]) {
+            assert.equal((await request(method, route, { token: agentToken })).status, 403, `${method} ${route}`);
+        }
+        assert.equal((await request('GET', '/tickets', { token: adminToken })).body.tickets.length, 1);
+    });
+
+    it('lets supervisors manage the outbox but not clear data', async () => {
+        assert.equal((await request('POST', '/outbox/unknown/replay', { token: supervisorToken })).status, 404);
+        assert.equal((await request('POST', '/api/clear-tickets', { token: supervisorToken })).status, 403);
+    });
+
+    it('tells the customer when a supervisor takes over from an agent', async () => {
+        const customer = '15550003333';
+        await server.simulator.pushIncomingMessage(customer, 'Is anyone there?');
+        await waitFor(async () => (await request('GET', `/conversations/${customer}`, { token: agentToken })).status === 200);
+
+        const setMode = (token, mode) => request('POST', `/conversations/${customer}/mode`, { token, body: { mode } });
+        assert.equal((await setMode(agentToken, 'human')).body.notice.content, 'You are now talking to alice.');
+        assert.equal((await setMode(supervisorToken, 'human')).body.notice.content, 'You are now talking to sam.');
+        assert.equal((await setMode(supervisorToken, 'human')).body.notice, null);
+    });
+
+    it('records ticket changes under the signed-in agent', async () => {
+        const { body } = await request('POST', '/tickets', { token: agentToken, body: { issue: 'VPN down', customerPhone: '15550002222' } });
+        const { ticketNumber } = body.ticket;
+
+        await request('POST', `/tickets/${ticketNumber}/notes`, { token: agentToken, body: { note: 'Called back', agent: 'someone-else' } });
+        const { body: updated } = await request('GET', `/tickets/${ticketNumber}`, { token: agentToken });
+        assert.equal(updated.ticket.notes.at(-1).author, 'alice');
+    });
+
+    it('manages accounts as an admin', async () => {
+        const { body } = await request('GET', '/agents', { token: adminToken });
+        assert.deepEqual(body.agents.map(agent => agent.username), ['admin', 'alice', 'sam']);
+        assert.ok(body.agents.every(agent => agent.passwordHash === undefined && agent.sessions === undefined));
+
+        assert.equal((await request('POST', '/agents', { token: adminToken, body: { username: 'alice', password: 'whatever-password' } })).status, 409);
+        assert.equal((await request('PUT', '/agents/alice', { token: adminToken, body: { role: 'supervisor' } })).body.agent.role, 'supervisor');
+        assert.equal((await request('DELETE', `/agents/${ADMIN_USERNAME}`, { token: adminToken })).status, 409);
+
+        const temporary = { username: 'temp', password: 'temp-password' };
+        await request('POST', '/agents', { token: adminToken, body: temporary });
+        const tempToken = await login(server, temporary.username, temporary.password);
+        assert.equal((await request('DELETE', '/agents/temp', { token: adminToken })).status, 200);
+        assert.equal((await request('GET', '/auth/me', { token: tempToken })).status, 401);
+    });
+
+    it('ends the session on logout', async () => {
+        const token = await login(server, 'sam', 'sam-password');
+        assert.equal((await request('POST', '/auth/logout', { token })).status, 200);
+        assert.equal((await request('GET', '/auth/me', { token })).status, 401);
+        assert.equal((await request('GET', '/auth/me', { token: supervisorToken })).status, 200);
+    });
+
+    it('never logs passwords', () => {
+        assert.ok(!server.output().includes(ADMIN_PASSWORD));
+        assert.ok(!server.output().includes('alice-password'));
+    });
+
+    it('never serves the store files', async () => {
+        for (const file of ['agents.json', 'chatHistory.json', 'tickets.json', 'agents.json.bak']) {
+            assert.equal((await request('GET', `/${file}`)).status, 404, file);
+        }
+        assert.equal((await request('GET', '/login.html')).status, 200);
+    });
+
+    it('allows cross-origin requests from the configured origins only', async () => {
+        const allowed = await request('OPTIONS', '/messages', { headers: { Origin: ALLOWED_ORIGIN } });
+        assert.equal(allowed.status, 204);
+        assert.equal(allowed.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+        assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+
+        const other = await request('GET', '/health', { headers: { Origin: 'https://evil.example.com' } });
+        assert.equal(other.headers.get('access-control-allow-origin'), null);
+    });
+});
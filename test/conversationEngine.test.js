@@ -0,0 +1,246 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ConversationEngine from '../services/conversationEngine.js';
+import TicketStorage from '../services/ticketStorage.js';
+import SessionStore from '../services/sessionStore.js';
+import { createStore } from '../services/storage/index.js';
+import { createTempDir } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const commands = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'public', 'sprout_commands.json'), 'utf8'));
+const flow = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'public', 'sprout_flow.json'), 'utf8'));
+
+const DEFAULT_GREETING = 'Hi there! Type #sprout to see our support menu.';
+
+// Every issue code in the flow (C1–C10, I1–I10 ... W1–W10) with its department
+const ISSUES = Object.entries(flow.nodes)
+    .filter(([, node]) => node.ticketPrefix && node.options)
+    .flatMap(([nodeId, node]) => node.options.map(option => ({ nodeId, prefix: node.ticketPrefix, ...option })));
+
+describe('ConversationEngine.handleUserInput', () => {
+    let dataDir;
+    let store;
+    let ticketStorage;
+    let engine;
+    let phoneCounter = 0;
+
+    // A new number per case, so no case sees another one's session
+    const nextPhone = () => `2648100${String(++phoneCounter).padStart(5, '0')}`;
+    const bodies = replies => replies.filter(reply => reply.type !== 'image').map(reply => reply.body);
+
+    before(async () => {
+        dataDir = await createTempDir();
+        store = await createStore({ backend: 'json', dataDir });
+        ticketStorage = new TicketStorage({ store });
+        engine = new ConversationEngine({
+            messenger: {},
+            ticketStorage,
+            sessionStore: new SessionStore({ store })
+        });
+        await engine.initialize();
+    });
+
+    after(async () => {
+        await store.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    describe('greetings', () => {
+        const cases = [
+            ...Object.entries(commands.greetings).map(([greeting, response]) => ({ input: greeting, expected: response })),
+            { input: 'Hello', expected: commands.greetings.hello },
+            { input: '  HI  ', expected: commands.greetings.hi },
+            { input: 'hello there', expected: DEFAULT_GREETING },
+            { input: 'good day to you', expected: DEFAULT_GREETING }
+        ];
+
+        for (const { input, expected } of cases) {
+            it(`answers "${input}" with the logo and a greeting`, async () => {
+                const replies = await engine.handleUserInput(nextPhone(), input);
+                assert.equal(replies[0].type, 'image');
+                assert.deepEqual(bodies(replies), [expected]);
+            });
+        }
+    });
+
+    describe('support keywords', () => {
+        const cases = [
+            { input: 'hi, I have a problem', logo: true },
+            { input: 'Good morning, my laptop is broken', logo: true },
+            { input: 'I need help', logo: false },
+            { input: 'the printer is not working', logo: false },
+            { input: "I can't log in", logo: false },
+            { input: 'SUPPORT', logo: false }
+        ];
+
+        for (const { input, logo } of cases) {
+            it(`points "${input}" to the support menu`, async () => {
+                const replies = await engine.handleUserInput(nextPhone(), input);
+                assert.equal(replies[0].type === 'image', logo);
+                assert.deepEqual(bodies(replies), [commands.support_greeting]);
+            });
+        }
+    });
+
+    describe('#sprout menus', () => {
+        it('shows the department menu for the bare command, in any case', async () => {
+            for (const input of ['#sprout', '#Sprout', '  #SPROUT  ']) {
+                const [reply] = await engine.handleUserInput(nextPhone(), input);
+                assert.equal(reply.type, 'text');
+                for (const option of flow.nodes.main.options) {
+                    assert.match(reply.body, new RegExp(`${option.code}\\. ${option.label}`));
+                }
+            }
+        });
+
+        for (const option of flow.nodes.main.options.filter(option => !flow.nodes[option.next].ticket)) {
+            it(`opens the ${option.label} with "#sprout ${option.code}"`, async () => {
+                const [reply] = await engine.handleUserInput(nextPhone(), `#sprout ${option.code}`);
+                const department = flow.nodes[option.next];
+                assert.equal(reply.type, 'text');
+                for (const issue of department.options) {
+                    assert.ok(reply.body.includes(`${issue.code}. ${issue.label}`), `${issue.code} missing from the menu`);
+                }
+            });
+        }
+
+        it('sends the menu as an interactive list when enabled', async () => {
+            const interactiveEngine = new ConversationEngine({
+                messenger: {},
+                ticketStorage,
+                sessionStore: new SessionStore({ store }),
+                interactive: true
+            });
+            await interactiveEngine.initialize();
+            const [reply] = await interactiveEngine.handleUserInput(nextPhone(), '#sprout');
+            assert.equal(reply.type, 'interactive');
+            assert.equal(reply.interactive.type, 'list');
+            assert.match(reply.body, /01\. Cloud Department/);
+        });
+    });
+
+    describe('issue codes', () => {
+        for (const issue of ISSUES) {
+            it(`offers a ticket for ${issue.code}`, async () => {
+                const [reply] = await engine.handleUserInput(nextPhone(), `#sprout ${issue.code.toLowerCase()}`);
+                assert.equal(reply.type, 'text');
+                assert.equal(reply.body, `Selected issue:\n${issue.code}. ${issue.label}\n\n${flow.confirmPrompt}`);
+            });
+        }
+    });
+
+    describe('yes confirmation', () => {
+        const cases = [
+            { code: 'C3', prefix: 'CLD', issue: 'C3. Slow upload/download speeds.' },
+            { code: 'W10', prefix: 'WRT', issue: `W10. ${ISSUES.find(issue => issue.code === 'W10').label}` },
+            { code: '07', prefix: 'OTR', issue: 'None Specified', displayIssue: 'Other - None Specified' }
+        ];
+
+        for (const { code, prefix, issue, displayIssue } of cases) {
+            it(`creates a ${prefix} ticket after "#sprout ${code}" and "yes"`, async () => {
+                const phone = nextPhone();
+                await engine.handleUserInput(phone, `#sprout ${code}`);
+                const [reply] = await engine.handleUserInput(phone, 'Yes');
+
+                const ticketNumber = reply.body.match(/Ticket Number: (\S+)/)?.[1];
+                assert.match(ticketNumber, new RegExp(`^${prefix}-\\d{4}-\\d{5}$`));
+                assert.ok(reply.body.startsWith('Ticket created successfully!'));
+                assert.ok(reply.body.includes(`Issue: ${displayIssue || issue}`));
+
+                const [ticket] = await ticketStorage.getCustomerTickets(phone);
+                assert.equal(ticket.ticketNumber, ticketNumber);
+                assert.equal(ticket.issue, issue);
+                assert.equal(ticket.status, 'Open');
+            });
+        }
+
+        it('ignores "yes" when no issue was selected', async () => {
+            const phone = nextPhone();
+            assert.deepEqual(await engine.handleUserInput(phone, 'yes'), []);
+            assert.deepEqual(await ticketStorage.getCustomerTickets(phone), []);
+        });
+
+        it('drops the issue on "no"', async () => {
+            const phone = nextPhone();
+            await engine.handleUserInput(phone, '#sprout c1');
+            const [reply] = await engine.handleUserInput(phone, 'no');
+            assert.match(reply.body, /no ticket was created/);
+            assert.deepEqual(await engine.handleUserInput(phone, 'yes'), []);
+            assert.deepEqual(await ticketStorage.getCustomerTickets(phone), []);
+        });
+
+        for (const inputs of [['#sprout c2'], ['#sprout', '#sprout c2']]) {
+            it(`drops media sent for an issue left with "${inputs.join('", "')}"`, async () => {
+                const phone = nextPhone();
+                await engine.handleUserInput(phone, '#sprout c1');
+                await engine.handleAttachment(phone, { kind: 'image', url: '/media/router.jpg', mimeType: 'image/jpeg' });
+                for (const input of inputs) {
+                    await engine.handleUserInput(phone, input);
+                }
+                await engine.handleUserInput(phone, 'yes');
+
+                const [ticket] = await ticketStorage.getCustomerTickets(phone);
+                assert.match(ticket.issue, /^C2\./);
+                assert.deepEqual(ticket.attachments, []);
+            });
+        }
+    });
+
+    describe('farewells', () => {
+        const cases = [
+            ...Object.entries(commands.farewells).map(([farewell, response]) => ({ input: farewell, expected: response })),
+            { input: 'ok bye', expected: commands.farewells.bye },
+            { input: 'See you tomorrow', expected: commands.farewells['see you'] }
+        ];
+
+        for (const { input, expected } of cases) {
+            it(`says goodbye to "${input}"`, async () => {
+                assert.deepEqual(bodies(await engine.handleUserInput(nextPhone(), input)), [expected]);
+            });
+        }
+    });
+
+    describe('invalid commands', () => {
+        for (const input of ['#sprout xyz', '#sprout 99', '#sprout c11', '#sprout 01 02']) {
+            it(`answers "${input}" with the help text`, async () => {
+                const [reply] = await engine.handleUserInput(nextPhone(), input);
+                assert.equal(reply.body, engine.getHelpText());
+                assert.match(reply.body, /#sprout status - List your open tickets/);
+            });
+        }
+
+        for (const input of ['thanks', 'what time is it', '12345']) {
+            it(`doesn't answer "${input}"`, async () => {
+                assert.deepEqual(await engine.handleUserInput(nextPhone(), input), []);
+            });
+        }
+    });
+
+    describe('handleIncomingMessage', () => {
+        it('sends the replies to the sender through the messenger', async () => {
+            const sent = [];
+            const messengerEngine = new ConversationEngine({
+                messenger: {
+                    sendText: async (to, body) => sent.push({ type: 'text', to, body }),
+                    sendImage: async to => sent.push({ type: 'image', to }),
+                    sendInteractive: async (to, interactive, body) => sent.push({ type: 'interactive', to, body })
+                },
+                ticketStorage,
+                sessionStore: new SessionStore({ store })
+            });
+            await messengerEngine.initialize();
+
+            const phone = nextPhone();
+            await messengerEngine.handleIncomingMessage(phone, 'hello');
+            assert.deepEqual(sent, [
+                { type: 'image', to: phone },
+                { type: 'text', to: phone, body: commands.greetings.hello }
+            ]);
+        });
+    });
+});
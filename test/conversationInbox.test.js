@@ -0,0 +1,211 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { once } from 'events';
+import MessageStorage from '../public/messageStorage.js';
+import TicketStorage from '../services/ticketStorage.js';
+import ConversationInbox, { ConversationError, PREVIEW_LENGTH } from '../services/conversationInbox.js';
+import { createStore } from '../services/storage/index.js';
+import { createTempDir } from './helpers.js';
+
+const ALICE = '15550001111';
+const BOB = '15550002222';
+const CAROL = '15550003333';
+
+describe('ConversationInbox', () => {
+    let dataDir;
+    let store;
+    let messageStorage;
+    let ticketStorage;
+    let inbox;
+
+    // Stores a message and waits until the inbox has recorded it
+    const receive = async (from, content, metadata) => {
+        const updated = once(inbox, 'conversationUpdated');
+        const message = await messageStorage.addIncomingMessage(from, content, metadata);
+        await updated;
+        return message;
+    };
+    const reply = async (to, content) => {
+        const updated = once(inbox, 'conversationUpdated');
+        const message = await messageStorage.addOutgoingMessage(to, content);
+        await updated;
+        return message;
+    };
+
+    before(async () => {
+        dataDir = await createTempDir();
+        store = await createStore({ backend: 'json', dataDir });
+        messageStorage = new MessageStorage({ store });
+        await messageStorage.initialize();
+        ticketStorage = new TicketStorage({ store });
+
+        // History from before the inbox existed
+        await messageStorage.addIncomingMessage(ALICE, 'Hello');
+        await messageStorage.addOutgoingMessage(ALICE, 'Hi there! Type #sprout to see our support menu.');
+
+        inbox = new ConversationInbox({ store, messageStorage, ticketStorage });
+        await inbox.initialize();
+    });
+
+    after(async () => {
+        await store.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('summarises the existing history on the first start', async () => {
+        const [conversation] = await inbox.list();
+        assert.equal(conversation.phone, ALICE);
+        assert.equal(conversation.unreadCount, 1);
+        assert.equal(conversation.lastMessage.direction, 'outgoing');
+        const { openTickets, ...stored } = conversation;
+        assert.deepEqual(openTickets, []);
+        assert.deepEqual(await store.getConversations(), [stored]);
+    });
+
+    it('counts unread customer messages until the conversation is read', async () => {
+        await receive(BOB, 'My router is down', { customerName: 'Bob' });
+        await receive(BOB, 'Still down');
+        await reply(BOB, 'Looking into it');
+
+        let bob = await inbox.get(BOB);
+        assert.equal(bob.unreadCount, 2);
+        assert.equal(bob.customerName, 'Bob');
+        assert.deepEqual([bob.lastMessage.direction, bob.lastMessage.content], ['outgoing', 'Looking into it']);
+
+        await inbox.markRead(`+${BOB}`, { username: 'thandi' });
+        bob = await inbox.get(BOB);
+        assert.equal(bob.unreadCount, 0);
+        assert.equal(bob.lastReadBy, 'thandi');
+    });
+
+    it('lists the latest conversation first, with a short preview', async () => {
+        await receive(ALICE, 'x'.repeat(200));
+        const conversations = await inbox.list();
+        assert.deepEqual(conversations.map(conversation => conversation.phone), [ALICE, BOB]);
+        assert.equal(conversations[0].lastMessage.content.length, PREVIEW_LENGTH);
+    });
+
+    it('links the open tickets of each customer', async () => {
+        const open = await ticketStorage.createTicket({ issue: 'Router down', customerPhone: BOB, status: 'Open' });
+        const closed = await ticketStorage.createTicket({ issue: 'Old issue', customerPhone: BOB, status: 'Open' });
+        await ticketStorage.changeStatus(closed.ticketNumber, 'Closed');
+
+        const bob = await inbox.get(BOB);
+        assert.deepEqual(bob.openTickets.map(ticket => ticket.ticketNumber), [open.ticketNumber]);
+        assert.deepEqual((await inbox.get(ALICE)).openTickets, []);
+    });
+
+    it('refuses unknown conversations', async () => {
+        await assert.rejects(inbox.get('15559999999'), error => error instanceof ConversationError && error.statusCode === 404);
+        await assert.rejects(inbox.markRead('15559999999'), { statusCode: 404 });
+    });
+
+    it('silences the bot while an agent has taken over or paused it', async () => {
+        const thandi = { username: 'thandi', name: 'Thandi S' };
+        assert.equal(inbox.botAnswers(BOB), true);
+        assert.equal(inbox.botAnswers('15559999999'), true);
+
+        const updated = once(inbox, 'conversationUpdated');
+        const { conversation, previousMode } = await inbox.setMode(BOB, 'human', thandi);
+        assert.equal(previousMode, 'bot');
+        assert.deepEqual([conversation.mode, conversation.handledBy, conversation.modeChangedBy], ['human', thandi, 'thandi']);
+        assert.equal((await updated)[0].mode, 'human');
+        assert.equal(inbox.botAnswers(`+${BOB}`), false);
+
+        await inbox.setMode(BOB, 'paused', thandi);
+        assert.equal(inbox.botAnswers(BOB), false);
+        assert.equal((await inbox.get(BOB)).handledBy, null);
+
+        await inbox.setMode(BOB, 'bot', thandi);
+        assert.equal(inbox.botAnswers(BOB), true);
+    });
+
+    it('leaves a taken over conversation to its agent unless overridden', async () => {
+        await inbox.setMode(BOB, 'human', { username: 'thandi', name: 'Thandi S' });
+        await assert.rejects(inbox.setMode(BOB, 'bot', { username: 'sam' }),
+            error => error instanceof ConversationError && error.statusCode === 403 && /Thandi S/.test(error.message));
+        await assert.rejects(inbox.setMode(BOB, 'human', { username: 'sam' }), { statusCode: 403 });
+
+        const { conversation, previousMode, previousHandler } = await inbox.setMode(BOB, 'human', { username: 'sam', name: 'Sam' }, { override: true });
+        assert.deepEqual([previousMode, previousHandler], ['human', 'thandi']);
+        assert.equal(conversation.handledBy.username, 'sam');
+        await inbox.setMode(BOB, 'bot', { username: 'sam' });
+    });
+
+    it('refuses unknown modes', async () => {
+        await assert.rejects(inbox.setMode(BOB, 'robot', { username: 'thandi' }), { statusCode: 400 });
+        await assert.rejects(inbox.setMode('15559999999', 'human', { username: 'thandi' }), { statusCode: 404 });
+    });
+
+    it('keeps the summaries across restarts', async () => {
+        const restarted = new ConversationInbox({ store, messageStorage: new MessageStorage({ store }), ticketStorage });
+        await restarted.initialize();
+        assert.deepEqual(await restarted.list(), await inbox.list());
+    });
+
+    it('keeps taken over conversations when the history is cleared', async () => {
+        const thandi = { username: 'thandi', name: 'Thandi S' };
+        await inbox.setMode(BOB, 'human', thandi);
+        await inbox.clear();
+
+        const [conversation] = await inbox.list();
+        assert.equal((await inbox.list()).length, 1);
+        assert.deepEqual([conversation.phone, conversation.mode, conversation.handledBy], [BOB, 'human', thandi]);
+        assert.deepEqual([conversation.lastMessage, conversation.unreadCount], [null, 0]);
+        assert.equal(inbox.botAnswers(BOB), false);
+        assert.equal(inbox.botAnswers(ALICE), true);
+        assert.deepEqual((await store.getConversations()).map(stored => stored.phone), [BOB]);
+        await inbox.setMode(BOB, 'bot', thandi);
+    });
+});
+
+describe('MessageStorage.getConversationMessages', () => {
+    let dataDir;
+    let store;
+    let messageStorage;
+
+    before(async () => {
+        dataDir = await createTempDir();
+        store = await createStore({ backend: 'json', dataDir });
+        messageStorage = new MessageStorage({ store });
+        await messageStorage.initialize();
+        for (let i = 1; i <= 5; i++) {
+            await messageStorage.addIncomingMessage(ALICE, `question ${i}`);
+            await messageStorage.addOutgoingMessage(ALICE, `answer ${i}`);
+            await messageStorage.addIncomingMessage(BOB, `other ${i}`);
+        }
+    });
+
+    after(async () => {
+        await store.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('pages back through one customer\'s thread, oldest first', async () => {
+        const latest = await messageStorage.getConversationMessages(ALICE, { limit: 4 });
+        assert.deepEqual(latest.messages.map(message => message.content), ['question 4', 'answer 4', 'question 5', 'answer 5']);
+        assert.equal(latest.hasMore, true);
+
+        const earlier = await messageStorage.getConversationMessages(ALICE, { before: latest.messages[0].id, limit: 4 });
+        assert.deepEqual(earlier.messages.map(message => message.content), ['question 2', 'answer 2', 'question 3', 'answer 3']);
+
+        const first = await messageStorage.getConversationMessages(ALICE, { before: earlier.messages[0].id, limit: 4 });
+        assert.deepEqual(first.messages.map(message => message.content), ['question 1', 'answer 1']);
+        assert.equal(first.hasMore, false);
+    });
+
+    it('keeps the stored order of messages with the same timestamp', async () => {
+        const timestamp = new Date().toISOString();
+        await store.addMessage('outgoing', { id: 'msg_out_900', to: CAROL, content: 'answer', timestamp });
+        await store.addMessage('incoming', { id: 'msg_in_900', from: CAROL, content: 'next question', timestamp });
+
+        const { messages } = await messageStorage.getConversationMessages(CAROL);
+        assert.deepEqual(messages.map(message => message.content), ['answer', 'next question']);
+    });
+
+    it('returns null for a message of another conversation', async () => {
+        const { messages } = await messageStorage.getConversationMessages(BOB);
+        assert.equal(await messageStorage.getConversationMessages(ALICE, { before: messages[0].id }), null);
+    });
+});
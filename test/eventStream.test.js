@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import EventStream from '../services/eventStream.js';
+
+// A request and response pair that records what the stream writes
+const connection = () => {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        ended: false,
+        writeHead(statusCode, headers) {
+            this.statusCode = statusCode;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.ended = true;
+        },
+        events() {
+            return this.chunks.filter(chunk => chunk.startsWith('id: ')).map(chunk => {
+                const [, id, type, data] = chunk.match(/^id: (.*)\nevent: (.*)\ndata: (.*)\n\n$/);
+                return { id, type, data: JSON.parse(data) };
+            });
+        }
+    };
+    return { req, res };
+};
+
+describe('EventStream', () => {
+    it('sends every published event to the open streams', () => {
+        const stream = new EventStream();
+        const { req, res } = connection();
+        stream.connect(req, res);
+
+        const event = stream.publish('new-message', { id: 'm1' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['Content-Type'], 'text/event-stream');
+        assert.deepEqual(res.events().map(e => e.type), ['ready', 'new-message']);
+        assert.deepEqual(res.events()[1], event);
+
+        req.emit('close');
+        stream.publish('new-message', { id: 'm2' });
+        assert.equal(res.events().length, 2);
+    });
+
+    it('replays the events missed since the last event id', () => {
+        const stream = new EventStream();
+        const first = stream.publish('new-message', { id: 'm1' });
+        stream.publish('status-update', { id: 'm1', status: 'sent' });
+        stream.publish('ticket-created', { ticket: { ticketNumber: 'T-1' } });
+
+        const { req, res } = connection();
+        stream.connect(req, res, first.id);
+        assert.deepEqual(res.events().map(e => e.type), ['status-update', 'ticket-created']);
+
+        const { req: upToDate, res: nothingMissed } = connection();
+        stream.connect(upToDate, nothingMissed, stream.lastEventId);
+        assert.deepEqual(nothingMissed.events(), []);
+    });
+
+    it('asks for a resync when the missed events are gone', () => {
+        const stream = new EventStream({ bufferSize: 2 });
+        const first = stream.publish('new-message', { id: 'm1' });
+        const second = stream.publish('new-message', { id: 'm2' });
+        stream.publish('new-message', { id: 'm3' });
+        stream.publish('new-message', { id: 'm4' });
+
+        assert.equal(stream.eventsAfter(first.id), null);
+        assert.deepEqual(stream.eventsAfter(second.id).map(e => e.data.id), ['m3', 'm4']);
+        assert.equal(stream.eventsAfter('other-1'), null);
+        assert.equal(stream.eventsAfter(`${stream.streamId}-99`), null);
+        assert.equal(stream.eventsAfter('garbage'), null);
+
+        const { req, res } = connection();
+        stream.connect(req, res, 'previous-run-7');
+        assert.deepEqual(res.events(), [{ id: stream.lastEventId, type: 'resync', data: { lastEventId: stream.lastEventId } }]);
+    });
+
+    it('ends the open streams on close', () => {
+        const stream = new EventStream();
+        const { req, res } = connection();
+        stream.connect(req, res);
+        stream.close();
+        assert.equal(res.ended, true);
+        req.emit('close');
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Test Helpers
+ *
+ * Starts the real server (server.js) in a child process against a temporary data
+ * directory and the WhatsApp API simulator, so route tests never touch the files in
+ * public/ or the network.
+ *
+ * Functions:
+ *     createTempDir(): Make an empty temporary directory
+ *
+ *     startServer({ env }): Start the simulator and the server
+ *         - Returns { baseUrl, dataDir, simulator, appSecret, output(), stop() }
+ *         - The server starts with an admin account (ADMIN_USERNAME / ADMIN_PASSWORD)
+ *
+ *     login(server, username, password): Sign in, returns the session token
+ *         - Signs in as the admin when no username is given
+ *
+ *     postWebhook(server, payload, { sign }): Post a webhook delivery, signed by default
+ *
+ *     waitFor(check, { timeoutMs }): Poll until check() returns something truthy
+ *
+ *     openEventStream(server, token, { lastEventId }): Read GET /events
+ *         - Returns { status, events, waitForEvent(match), close() }; `events` fills up
+ *           with { id, type, data } as they arrive
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import GraphSimulator from '../services/graphSimulator.js';
+import { signPayload, SIGNATURE_HEADER } from '../services/webhookSignature.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const APP_SECRET = 'test-app-secret';
+
+export const ADMIN_USERNAME = 'admin';
+export const ADMIN_PASSWORD = 'test-admin-password';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function createTempDir() {
+    return await fs.mkdtemp(path.join(os.tmpdir(), 'sprout-test-'));
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.once('error', reject);
+    });
+}
+
+export async function waitFor(check, { timeoutMs = 10000, intervalMs = 50 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs} ms`);
+        }
+        await sleep(intervalMs);
+    }
+}
+
+export async function startServer({ env = {} } = {}) {
+    const dataDir = await createTempDir();
+    const port = await freePort();
+    const baseUrl = `http://localhost:${port}`;
+
+    const simulator = new GraphSimulator({
+        port: 0,
+        webhookUrl: `${baseUrl}/webhook`,
+        appSecret: APP_SECRET,
+        autoStatuses: false,
+        // Node 20's test runner can misread a line starting with an emoji that directly
+        // follows a test result, and then fails the whole file
+        log: () => {}
+    });
+    const graphUrl = await simulator.start();
+
+    // Everything is set explicitly, so a local .env can't leak into the tests
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd: path.dirname(SERVER_PATH),
+        env: {
+            ...process.env,
+            WHATSAPP_TOKEN: 'test-token',
+            PHONE_NUMBER_ID: '541998855653030',
+            VERSION: 'v21.0',
+            WEBHOOK_VERIFY_TOKEN: 'test-verify-token',
+            APP_SECRET,
+            PORT: String(port),
+            GRAPH_API_URL: graphUrl,
+            GRAPH_MAX_RETRIES: '0',
+            STORAGE_BACKEND: 'json',
+            DATA_DIR: dataDir,
+            MEDIA_DIR: path.join(dataDir, 'media'),
+            INTERACTIVE_MENUS: 'false',
+            ADMIN_USERNAME,
+            ADMIN_PASSWORD,
+            CORS_ORIGINS: '',
+            HUMAN_TAKEOVER_MESSAGE: 'You are now talking to {agent}.',
+            BOT_HANDBACK_MESSAGE: 'The Sprout bot is back.',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const stop = async () => {
+        if (child.exitCode === null) {
+            child.kill();
+            await exited;
+        }
+        await simulator.stop();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    };
+
+    try {
+        await waitFor(async () => {
+            if (child.exitCode !== null) {
+                throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+            }
+            try {
+                return (await fetch(`${baseUrl}/health`)).ok;
+            } catch {
+                return false;
+            }
+        }, { timeoutMs: 20000, intervalMs: 100 });
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+
+    return { baseUrl, dataDir, simulator, appSecret: APP_SECRET, output: () => output, stop };
+}
+
+export async function login(server, username = ADMIN_USERNAME, password = ADMIN_PASSWORD) {
+    const response = await fetch(`${server.baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(`Signing in as ${username} failed: ${body.error}`);
+    }
+    return body.token;
+}
+
+export async function postWebhook(server, payload, { sign = true } = {}) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (sign) {
+        headers[SIGNATURE_HEADER] = signPayload(body, server.appSecret);
+    }
+    return await fetch(`${server.baseUrl}/webhook`, { method: 'POST', headers, body });
+}
+
+export async function openEventStream(server, token, { lastEventId } = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}/events`, {
+        headers: {
+            Authorization: `Bearer ${token}`,
+            ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {})
+        },
+        signal: controller.signal
+    });
+
+    const events = [];
+    if (response.ok) {
+        (async () => {
+            const decoder = new TextDecoder();
+            let buffered = '';
+            for await (const chunk of response.body) {
+                buffered += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffered.indexOf('\n\n')) !== -1) {
+                    const fields = Object.fromEntries(buffered.slice(0, end).split('\n')
+                        .filter(line => line && !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    buffered = buffered.slice(end + 2);
+                    if (fields.event) {
+                        events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+                    }
+                }
+            }
+        })().catch(() => {}); // Aborted by close()
+    }
+
+    return {
+        status: response.status,
+        events,
+        waitForEvent: match => waitFor(() => events.find(match)),
+        close: () => controller.abort()
+    };
+}
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactSecrets, redactFields, REDACTED } from '../services/logRedaction.js';
+
+describe('log redaction', () => {
+    it('removes every occurrence of a secret', () => {
+        const token = 'EAAG-secret-token-value';
+        const line = `Authorization: Bearer ${token} (again: ${token})`;
+        assert.equal(redactSecrets(line, [token]), `Authorization: Bearer ${REDACTED} (again: ${REDACTED})`);
+    });
+
+    it('leaves short and empty secrets alone', () => {
+        assert.equal(redactSecrets('http://localhost:3100', ['local', '', undefined]), 'http://localhost:3100');
+    });
+
+    it('redacts sensitive fields at any depth', () => {
+        const body = {
+            username: 'thandi',
+            password: 'hunter22',
+            nested: { access_token: 'abc', headers: { Authorization: 'Bearer abc', Cookie: 'sprout_session=abc' } },
+            list: [{ newPassword: 'x' }, 'plain']
+        };
+        assert.deepEqual(redactFields(body), {
+            username: 'thandi',
+            password: REDACTED,
+            nested: { access_token: REDACTED, headers: { Authorization: REDACTED, Cookie: REDACTED } },
+            list: [{ newPassword: REDACTED }, 'plain']
+        });
+        assert.equal(body.password, 'hunter22');
+    });
+
+    it('keeps fields whose name only contains a sensitive word', () => {
+        const body = { passed: true, tokens: 42, compass: 'north', bypass: false, secretary: 'Lindiwe', 'set-cookie': 'a=b' };
+        assert.deepEqual(redactFields(body), {
+            passed: true,
+            tokens: 42,
+            compass: 'north',
+            bypass: false,
+            secretary: 'Lindiwe',
+            'set-cookie': REDACTED
+        });
+    });
+
+    it('returns values that aren\'t objects as they are', () => {
+        assert.equal(redactFields(undefined), undefined);
+        assert.equal(redactFields('text'), 'text');
+        const buffer = Buffer.from('raw');
+        assert.equal(redactFields(buffer), buffer);
+    });
+});
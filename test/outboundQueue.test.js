@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import MessageStorage from '../public/messageStorage.js';
+import OutboundQueue from '../services/outboundQueue.js';
+import { createStore } from '../services/storage/index.js';
+import { createTempDir, waitFor } from './helpers.js';
+
+const CUSTOMER = '15550001111';
+
+describe('OutboundQueue', () => {
+    let dataDir;
+    let store;
+    let messageStorage;
+    let queue;
+    let sent = 0;
+
+    // Answers like the Graph API, with a new wamid for every message
+    const graphClient = { sendMessage: async () => ({ messages: [{ id: `wamid.TEST${++sent}` }] }) };
+
+    const queueText = async body => {
+        const message = await messageStorage.addOutgoingMessage(CUSTOMER, body);
+        return await queue.enqueue(CUSTOMER, { type: 'text', text: { body } }, { messageId: message.id });
+    };
+
+    before(async () => {
+        dataDir = await createTempDir();
+        store = await createStore({ backend: 'json', dataDir });
+        messageStorage = new MessageStorage({ store });
+        await messageStorage.initialize();
+        // The worker is only started by the tests that deliver
+        queue = new OutboundQueue({ store, graphClient, messageStorage });
+        await queue.initialize();
+    });
+
+    after(async () => {
+        await queue.stop();
+        await store.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('delivers items queued before the chat history was cleared to their own message', async () => {
+        const before = await queueText('Sent before the clear');
+        await messageStorage.clearMessages();
+
+        // A restart after the clear keeps numbering where it was
+        messageStorage = new MessageStorage({ store });
+        await messageStorage.initialize();
+        queue.messageStorage = messageStorage;
+        const after = await queueText('Sent after the clear');
+        assert.notEqual(before.messageId, after.messageId);
+
+        queue.start();
+        await waitFor(async () => (await store.getOutboxItems()).length === 0);
+        await queue.stop();
+
+        const { outgoing } = await store.getMessages();
+        assert.deepEqual(outgoing.map(message => [message.content, message.status, message.wamid]),
+            [['Sent after the clear', 'sent', 'wamid.TEST2']]);
+    });
+
+    it('reads items queued before they had an id of their own', async () => {
+        await store.saveOutboxItem({ id: 'msg_out_7', to: CUSTOMER, payload: { type: 'text', text: { body: 'Old' } }, state: 'dead' });
+        const restarted = new OutboundQueue({ store, graphClient, messageStorage });
+        await restarted.initialize();
+
+        const [item] = restarted.getDeadLetters();
+        assert.deepEqual([item.id, item.messageId], ['msg_out_7', 'msg_out_7']);
+    });
+});
@@ -0,0 +1,463 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer, postWebhook, waitFor, login, openEventStream, ADMIN_PASSWORD } from './helpers.js';
+
+const CUSTOMER = '15551234567';
+
+let sequence = 0;
+const textDelivery = (from, body, id = `wamid.TEST${++sequence}`) => ({
+    object: 'whatsapp_business_account',
+    entry: [{
+        id: 'TEST_WABA',
+        changes: [{
+            field: 'messages',
+            value: {
+                messaging_product: 'whatsapp',
+                metadata: { display_phone_number: '15550783881', phone_number_id: '541998855653030' },
+                contacts: [{ profile: { name: 'Test Customer' }, wa_id: from }],
+                messages: [{ from, id, timestamp: String(Math.floor(Date.now() / 1000)), type: 'text', text: { body } }]
+            }
+        }]
+    }]
+});
+
+describe('server routes', () => {
+    let server;
+    let token;
+
+    const request = async (method, route, body) => {
+        const response = await fetch(`${server.baseUrl}${route}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+    const history = async () => (await request('GET', '/debug/chat-history')).body.messages;
+
+    before(async () => {
+        server = await startServer();
+        token = await login(server);
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    describe('GET /webhook', () => {
+        it('answers the challenge for the right verify token', async () => {
+            const response = await fetch(`${server.baseUrl}/webhook?hub.mode=subscribe&hub.verify_token=test-verify-token&hub.challenge=1234`);
+            assert.equal(response.status, 200);
+            assert.equal(await response.text(), '1234');
+        });
+
+        it('refuses a wrong verify token', async () => {
+            const response = await fetch(`${server.baseUrl}/webhook?hub.mode=subscribe&hub.verify_token=wrong&hub.challenge=1234`);
+            assert.equal(response.status, 403);
+        });
+    });
+
+    describe('POST /webhook', () => {
+        it('rejects unsigned and tampered deliveries', async () => {
+            assert.equal((await postWebhook(server, textDelivery(CUSTOMER, 'hello'), { sign: false })).status, 401);
+
+            const response = await fetch(`${server.baseUrl}/webhook`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': 'sha256=' + '0'.repeat(64) },
+                body: JSON.stringify(textDelivery(CUSTOMER, 'hello'))
+            });
+            assert.equal(response.status, 401);
+            assert.equal((await history()).incoming.length, 0);
+        });
+
+        it('stores the message and lets the bot reply through the WhatsApp API', async () => {
+            const response = await postWebhook(server, textDelivery(CUSTOMER, '#sprout'));
+            assert.equal(response.status, 200);
+
+            const sent = await waitFor(() => server.simulator.sentMessages.find(message => message.to === CUSTOMER));
+            assert.equal(sent.type, 'text');
+            assert.match(sent.body.text.body, /01\. Cloud Department/);
+
+            const messages = await waitFor(async () => {
+                const stored = await history();
+                return stored.outgoing.some(message => message.status === 'sent') && stored;
+            });
+            assert.equal(messages.incoming.at(-1).content, '#sprout');
+            assert.equal(messages.incoming.at(-1).from, CUSTOMER);
+            assert.equal(messages.outgoing.at(-1).wamid, sent.wamid);
+        });
+
+        it('skips a delivery of a message it already processed', async () => {
+            const delivery = textDelivery(CUSTOMER, 'bye', 'wamid.DUPLICATE');
+            await postWebhook(server, delivery);
+            await postWebhook(server, delivery);
+
+            await waitFor(() => server.simulator.sentMessages.some(message => message.body.text?.body === 'Goodbye! Have a great day!'));
+            const incoming = (await history()).incoming.filter(message => message.wamid === 'wamid.DUPLICATE');
+            assert.equal(incoming.length, 1);
+        });
+
+        it('creates a ticket when the customer confirms an issue', async () => {
+            await postWebhook(server, textDelivery(CUSTOMER, '#sprout c3'));
+            await waitFor(() => server.simulator.sentMessages.some(message => /Selected issue:\nC3\./.test(message.body.text?.body)));
+            await postWebhook(server, textDelivery(CUSTOMER, 'yes'));
+
+            const ticket = await waitFor(async () => (await request('GET', '/tickets')).body.tickets
+                .find(ticket => ticket.customerPhone === CUSTOMER));
+            assert.match(ticket.ticketNumber, /^CLD-\d{4}-\d{5}$/);
+            assert.equal(ticket.issue, 'C3. Slow upload/download speeds.');
+        });
+
+        it('applies delivery receipts to the stored message', async () => {
+            const [sent] = server.simulator.sentMessages;
+            await server.simulator.pushStatus(sent.wamid, 'read');
+
+            const message = await waitFor(async () => (await history()).outgoing
+                .find(stored => stored.wamid === sent.wamid && stored.status === 'read'));
+            assert.ok(message.statusTimes.read);
+        });
+    });
+
+    describe('GET /messages', () => {
+        it('returns the whole history without a timestamp', async () => {
+            const { status, body } = await request('GET', '/messages');
+            assert.equal(status, 200);
+            assert.ok(body.messages.messages.incoming.length > 0);
+            assert.ok(body.messages.messages.outgoing.length > 0);
+        });
+
+        it('returns only newer messages, oldest first, after a timestamp', async () => {
+            const since = new Date().toISOString();
+            await postWebhook(server, textDelivery(CUSTOMER, 'hello'));
+            const messages = await waitFor(async () => {
+                const { body } = await request('GET', `/messages?since=${encodeURIComponent(since)}`);
+                return body.messages.some(message => message.to && message.timestamp > since && message.status === 'sent')
+                    && body.messages;
+            });
+
+            // Receipts for earlier messages may still arrive, so only the new ones are checked in full
+            assert.ok(messages.every(message => message.timestamp > since || message.statusUpdatedAt > since));
+            const created = messages.filter(message => message.timestamp > since);
+            assert.equal(created[0].content, 'hello');
+            assert.equal(created[0].text.body, 'hello');
+            const times = created.map(message => new Date(message.timestamp).getTime());
+            assert.deepEqual(times, [...times].sort((a, b) => a - b));
+        });
+    });
+
+    describe('GET /events', () => {
+        it('pushes new messages, status updates and ticket changes', async () => {
+            const stream = await openEventStream(server, token);
+            try {
+                assert.equal(stream.status, 200);
+                await stream.waitForEvent(event => event.type === 'ready');
+
+                await postWebhook(server, textDelivery(CUSTOMER, '#sprout'));
+                const incoming = await stream.waitForEvent(event => event.type === 'new-message' && event.data.content === '#sprout');
+                assert.equal(incoming.data.from, CUSTOMER);
+                assert.equal(incoming.data.text.body, '#sprout');
+
+                const reply = await stream.waitForEvent(event => event.type === 'new-message' && event.data.to === CUSTOMER);
+                await stream.waitForEvent(event => event.type === 'status-update' && event.data.id === reply.data.id && event.data.status === 'sent');
+
+                const { body } = await request('POST', '/tickets', { issue: 'Router offline', customerPhone: CUSTOMER });
+                const created = await stream.waitForEvent(event => event.type === 'ticket-created');
+                assert.equal(created.data.ticket.ticketNumber, body.ticket.ticketNumber);
+
+                await request('POST', `/tickets/${body.ticket.ticketNumber}/notes`, { note: 'Checking the line' });
+                const updated = await stream.waitForEvent(event => event.type === 'ticket-updated');
+                assert.equal(updated.data.entry.action, 'note');
+            } finally {
+                stream.close();
+            }
+        });
+
+        it('replays what a reconnecting console missed, once', async () => {
+            const first = await openEventStream(server, token);
+            const ready = await first.waitForEvent(event => event.type === 'ready');
+            first.close();
+
+            await postWebhook(server, textDelivery(CUSTOMER, 'missed while offline'));
+            await waitFor(async () => (await history()).incoming.some(message => message.content === 'missed while offline'));
+
+            const resumed = await openEventStream(server, token, { lastEventId: ready.id });
+            try {
+                await resumed.waitForEvent(event => event.type === 'new-message' && event.data.content === 'missed while offline');
+                const ids = resumed.events.map(event => event.id);
+                assert.equal(new Set(ids).size, ids.length);
+                assert.ok(!resumed.events.some(event => event.type === 'ready' || event.type === 'resync'));
+            } finally {
+                resumed.close();
+            }
+        });
+
+        it('asks for a resync when it can\'t replay the missed events', async () => {
+            const stream = await openEventStream(server, token, { lastEventId: 'previous-run-42' });
+            try {
+                await stream.waitForEvent(event => event.type === 'resync');
+            } finally {
+                stream.close();
+            }
+        });
+
+        it('requires a session', async () => {
+            assert.equal((await openEventStream(server, 'made-up')).status, 401);
+        });
+    });
+
+    describe('/conversations', () => {
+        it('lists one conversation per customer with unread count, preview and open tickets', async () => {
+            await postWebhook(server, textDelivery('15557654321', 'Is anyone there?'));
+            await waitFor(async () => (await request('GET', '/conversations')).body.conversations.length === 2);
+
+            const { status, body } = await request('GET', '/conversations');
+            assert.equal(status, 200);
+            assert.equal(body.conversations[0].phone, '15557654321');
+
+            const customer = body.conversations.find(conversation => conversation.phone === CUSTOMER);
+            assert.equal(customer.customerName, 'Test Customer');
+            assert.ok(customer.unreadCount > 0);
+            assert.ok(customer.lastMessage.content);
+            assert.ok(customer.openTickets.some(ticket => /^CLD-/.test(ticket.ticketNumber)));
+        });
+
+        it('pages through a conversation', async () => {
+            const latest = await request('GET', `/conversations/${CUSTOMER}/messages?limit=2`);
+            assert.equal(latest.status, 200);
+            assert.equal(latest.body.messages.length, 2);
+            assert.equal(latest.body.hasMore, true);
+            assert.ok(latest.body.messages.every(message => message.from === CUSTOMER && message.text.body === message.content));
+
+            const earlier = await request('GET', `/conversations/${CUSTOMER}/messages?limit=2&before=${latest.body.messages[0].id}`);
+            assert.ok(new Date(earlier.body.messages[1].timestamp) <= new Date(latest.body.messages[0].timestamp));
+            assert.ok(!earlier.body.messages.some(message => latest.body.messages.some(newer => newer.id === message.id)));
+        });
+
+        it('refuses bad paging and unknown conversations', async () => {
+            assert.equal((await request('GET', `/conversations/${CUSTOMER}/messages?limit=0`)).status, 400);
+            assert.equal((await request('GET', `/conversations/${CUSTOMER}/messages?before=msg_in_99999`)).status, 400);
+            assert.equal((await request('GET', '/conversations/15559999999/messages')).status, 404);
+            assert.equal((await request('GET', '/conversations/15559999999')).status, 404);
+        });
+
+        it('marks a conversation as read and tells the consoles', async () => {
+            const stream = await openEventStream(server, token);
+            try {
+                const { status, body } = await request('POST', `/conversations/${CUSTOMER}/read`);
+                assert.equal(status, 200);
+                assert.equal(body.conversation.unreadCount, 0);
+                assert.equal(body.conversation.lastReadBy, 'admin');
+
+                const event = await stream.waitForEvent(event => event.type === 'conversation-updated');
+                assert.equal(event.data.conversation.phone, CUSTOMER);
+                assert.equal(event.data.conversation.unreadCount, 0);
+            } finally {
+                stream.close();
+            }
+        });
+    });
+
+    describe('POST /conversations/:phone/mode', () => {
+        const TAKEOVER = '15550004444';
+        const menusSent = () => server.simulator.sentMessages
+            .filter(message => message.to === TAKEOVER && /01\. Cloud Department/.test(message.body.text?.body));
+
+        it('keeps the bot silent while an agent has taken over, until handback', async () => {
+            await postWebhook(server, textDelivery(TAKEOVER, '#sprout'));
+            await waitFor(() => menusSent().length === 1);
+
+            const takeover = await request('POST', `/conversations/${TAKEOVER}/mode`, { mode: 'human' });
+            assert.equal(takeover.status, 200);
+            assert.equal(takeover.body.conversation.mode, 'human');
+            assert.equal(takeover.body.conversation.handledBy.username, 'admin');
+            assert.match(takeover.body.notice.content, /^You are now talking to .+\.$/);
+            assert.equal(takeover.body.notice.sentBy, 'system');
+
+            await postWebhook(server, textDelivery(TAKEOVER, '#sprout'));
+            await waitFor(async () => (await history()).incoming.filter(message => message.from === TAKEOVER).length === 2);
+            const handback = await request('POST', `/conversations/${TAKEOVER}/mode`, { mode: 'bot' });
+            assert.equal(handback.body.conversation.mode, 'bot');
+            assert.equal(handback.body.notice.content, 'The Sprout bot is back.');
+
+            // Deliveries are processed in order, so the menu answers the message after handback
+            await postWebhook(server, textDelivery(TAKEOVER, '#sprout'));
+            await waitFor(() => menusSent().length === 2);
+            const incoming = (await history()).incoming.filter(message => message.from === TAKEOVER);
+            assert.equal(incoming.length, 3);
+            assert.equal(menusSent().length, 2);
+        });
+
+        it('records whether the bot or an agent sent a message', async () => {
+            const { body } = await request('POST', '/send-message', { to: TAKEOVER, message: 'Thandi here, checking your line' });
+            assert.deepEqual([body.message.sentBy, body.message.agent], ['agent', 'admin']);
+
+            const outgoing = (await history()).outgoing.filter(message => message.to === TAKEOVER);
+            assert.ok(outgoing.filter(message => /01\. Cloud Department/.test(message.content)).every(message => message.sentBy === 'bot'));
+        });
+
+        it('refuses unknown modes and conversations', async () => {
+            assert.equal((await request('POST', `/conversations/${TAKEOVER}/mode`, { mode: 'robot' })).status, 400);
+            assert.equal((await request('POST', '/conversations/15559999999/mode', { mode: 'human' })).status, 404);
+        });
+    });
+
+    describe('POST /send-message', () => {
+        it('refuses a missing or blank recipient or message', async () => {
+            for (const body of [{ message: 'Hello' }, { to: ' + ', message: 'Hello' }, { to: CUSTOMER }, { to: CUSTOMER, message: '   ' }]) {
+                const response = await request('POST', '/send-message', body);
+                assert.equal(response.status, 400);
+                assert.equal(response.body.error, 'to and message are required');
+            }
+        });
+
+        it('files a reply to a formatted number under the customer', async () => {
+            const { status, body } = await request('POST', '/send-message', { to: '+1 (555) 123-4567', message: 'Formatted number reply' });
+            assert.equal(status, 202);
+            assert.equal(body.message.to, CUSTOMER);
+
+            const latest = await request('GET', `/conversations/${CUSTOMER}/messages?limit=1`);
+            assert.equal(latest.body.messages[0].content, 'Formatted number reply');
+        });
+    });
+
+    describe('free-form sends outside the service window', () => {
+        const STRANGER = '15550005555';
+        const buttons = [{ id: 'yes', title: 'Yes' }];
+
+        it('are refused up front instead of queued', async () => {
+            for (const [route, body] of [
+                ['/send-list', { body: 'Pick one', button: 'Options', sections: [{ title: 'All', rows: [{ id: 'a', title: 'A' }] }] }],
+                ['/send-buttons', { body: 'Still there?', buttons }],
+                ['/send-menu', {}],
+                ['/send-media', { media_id: 'media-1', kind: 'image' }],
+                ['/send-image', { media_id: 'media-1' }]
+            ]) {
+                const response = await request('POST', route, { to: STRANGER, ...body });
+                assert.equal(response.status, 409, route);
+                assert.deepEqual(response.body.serviceWindow, { open: false, lastIncomingAt: null, expiresAt: null });
+            }
+            assert.ok(!(await history()).outgoing.some(message => message.to === STRANGER));
+        });
+
+        it('are sent while the window is open', async () => {
+            const { status } = await request('POST', '/send-buttons', { to: CUSTOMER, body: 'Still there?', buttons });
+            assert.equal(status, 202);
+        });
+    });
+
+    describe('POST /save-ticket', () => {
+        it('numbers and stores new tickets', async () => {
+            const { status, body } = await request('POST', '/save-ticket', {
+                tickets: [{ issue: 'Printer jammed', customerPhone: '15550000001', prefix: 'PRT' }]
+            });
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+            assert.equal(body.duplicatesFound, false);
+            assert.match(body.ticketNumbers[0], /^PRT-\d{4}-\d{5}$/);
+        });
+
+        it('skips tickets whose number already exists', async () => {
+            const ticket = { ticketNumber: 'TKT-2026-90000', issue: 'Duplicate', customerPhone: '15550000002' };
+            await request('POST', '/save-ticket', { tickets: [ticket] });
+            const { body } = await request('POST', '/save-ticket', { tickets: [ticket] });
+            assert.equal(body.duplicatesFound, true);
+            assert.deepEqual(body.ticketNumbers, []);
+        });
+
+        it('refuses a request without tickets', async () => {
+            const { status, body } = await request('POST', '/save-ticket', {});
+            assert.equal(status, 400);
+            assert.equal(body.success, false);
+        });
+
+        it('writes to the temporary data directory', async () => {
+            const data = JSON.parse(await fs.readFile(path.join(server.dataDir, 'tickets.json'), 'utf8'));
+            assert.ok(data.tickets.some(ticket => ticket.issue === 'Printer jammed'));
+        });
+    });
+
+    describe('/tickets', () => {
+        it('creates a ticket under the next number', async () => {
+            const { status, body } = await request('POST', '/tickets', { issue: 'VPN down', customerPhone: '15550000003', prefix: 'NET' });
+            assert.equal(status, 201);
+            assert.match(body.ticket.ticketNumber, /^NET-\d{4}-\d{5}$/);
+            assert.equal(body.ticket.status, 'Open');
+
+            const next = await request('POST', '/tickets', { issue: 'VPN still down', customerPhone: '15550000003', prefix: 'NET' });
+            const number = value => Number(value.split('-').pop());
+            assert.equal(number(next.body.ticket.ticketNumber), number(body.ticket.ticketNumber) + 1);
+        });
+
+        it('refuses a ticket without an issue or customer', async () => {
+            assert.equal((await request('POST', '/tickets', { issue: 'No customer' })).status, 400);
+            assert.equal((await request('POST', '/tickets', { customerPhone: '15550000003' })).status, 400);
+        });
+
+        it('lists every ticket, newest first', async () => {
+            const { status, body } = await request('GET', '/tickets');
+            assert.equal(status, 200);
+            const created = body.tickets.map(ticket => new Date(ticket.createdAt).getTime());
+            assert.deepEqual(created, [...created].sort((a, b) => b - a));
+            assert.ok(body.tickets.some(ticket => ticket.issue === 'VPN down'));
+        });
+
+        it('returns one ticket, or 404', async () => {
+            const [ticket] = (await request('GET', '/tickets')).body.tickets;
+            const { status, body } = await request('GET', `/tickets/${ticket.ticketNumber}`);
+            assert.equal(status, 200);
+            assert.equal(body.ticket.ticketNumber, ticket.ticketNumber);
+            assert.equal((await request('GET', '/tickets/TKT-1999-00001')).status, 404);
+        });
+    });
+
+    describe('GET /capabilities', () => {
+        it('describes the connection without any secret', async () => {
+            const { status, body } = await request('GET', '/capabilities');
+            assert.equal(status, 200);
+            assert.equal(body.phoneNumberId, '541998855653030');
+            assert.equal(body.version, 'v21.0');
+            assert.equal(body.features.webhookSignatures, true);
+            assert.equal(body.features.customGraphApi, true);
+            assert.ok(body.features.mediaKinds.includes('document'));
+            assert.ok(!JSON.stringify(body).includes('test-token'));
+        });
+
+        it('no longer serves the environment with the access token', async () => {
+            const response = await fetch(`${server.baseUrl}/environment`, { headers: { Authorization: `Bearer ${token}` } });
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe('logs', () => {
+        it('never contain the configured secrets', () => {
+            const output = server.output();
+            assert.ok(output.includes('GET /webhook'));
+            for (const secret of ['test-token', 'test-verify-token', 'test-app-secret', ADMIN_PASSWORD, token]) {
+                assert.ok(!output.includes(secret), `${secret} was logged`);
+            }
+        });
+    });
+
+    describe('/api/clear-*', () => {
+        it('clears every ticket', async () => {
+            const { status, body } = await request('POST', '/api/clear-tickets');
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+            assert.deepEqual((await request('GET', '/tickets')).body.tickets, []);
+        });
+
+        it('clears the chat history', async () => {
+            const { status, body } = await request('POST', '/api/clear-chat-history');
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+            assert.deepEqual(await history(), { incoming: [], outgoing: [] });
+            assert.deepEqual((await request('GET', '/conversations')).body.conversations, []);
+        });
+    });
+});
@@ -0,0 +1,250 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { createStore, STORAGE_BACKENDS } from '../services/storage/index.js';
+import { createTempDir } from './helpers.js';
+
+const MIGRATE_SCRIPT = fileURLToPath(new URL('../scripts/migrateToSqlite.js', import.meta.url));
+const CUSTOMER = '15550001111';
+const OTHER_CUSTOMER = '15550002222';
+
+// The sqlite backend is optional, so its tests only run where it is installed
+const sqliteMissing = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 is not installed');
+const skipBackend = backend => (backend === 'sqlite' ? sqliteMissing : false);
+
+const openStore = (backend, dataDir) => createStore({ backend, dataDir, sqlitePath: path.join(dataDir, 'sprout.db') });
+
+const incoming = (id, from, timestamp) => ({ id, from, text: `Message ${id}`, timestamp });
+const outgoing = (id, to, timestamp) => ({ id, to, text: `Reply ${id}`, timestamp, status: 'pending' });
+const ticket = (ticketNumber, customerPhone, createdAt) => ({ ticketNumber, customerPhone, createdAt, status: 'open' });
+const texts = messages => messages.map(message => message.text);
+
+for (const backend of STORAGE_BACKENDS) {
+    describe(`${backend} store`, { skip: skipBackend(backend) }, () => {
+        let dataDir;
+        let store;
+
+        before(async () => {
+            dataDir = await createTempDir();
+            store = await openStore(backend, dataDir);
+        });
+
+        after(async () => {
+            await store?.close();
+            await fs.rm(dataDir, { recursive: true, force: true });
+        });
+
+        it('numbers messages in the order they were stored', async () => {
+            const sameTime = '2024-03-01T10:00:00.000Z';
+            const first = await store.addMessage('incoming', incoming('msg_in_1', CUSTOMER, sameTime));
+            const second = await store.addMessage('outgoing', outgoing('msg_out_1', CUSTOMER, sameTime));
+            const third = await store.addMessage('incoming', incoming('msg_in_2', OTHER_CUSTOMER, '2024-03-01T10:05:00.000Z'));
+
+            assert.ok(first.seq < second.seq && second.seq < third.seq);
+            const { incoming: received, outgoing: sent } = await store.getMessages();
+            assert.deepEqual(received.map(message => message.seq), [first.seq, third.seq]);
+            assert.deepEqual(sent.map(message => message.seq), [second.seq]);
+        });
+
+        it('finds messages by customer, WhatsApp id and time', async () => {
+            await store.updateOutgoingMessage({ id: 'msg_out_1' }, message => {
+                message.wamid = 'wamid.OUT1';
+                message.status = 'sent';
+                message.statusUpdatedAt = '2024-03-01T10:10:00.000Z';
+            });
+
+            const customerMessages = await store.getCustomerMessages(CUSTOMER);
+            assert.deepEqual(texts(customerMessages.incoming), ['Message msg_in_1']);
+            assert.deepEqual(texts(customerMessages.outgoing), ['Reply msg_out_1']);
+            assert.equal((await store.getLastMessage('incoming', OTHER_CUSTOMER)).id, 'msg_in_2');
+            assert.equal(await store.getLastMessage('outgoing', OTHER_CUSTOMER), null);
+            assert.equal(await store.hasMessage('wamid.OUT1'), true);
+            assert.equal(await store.hasMessage('wamid.UNKNOWN'), false);
+
+            // The reply is older, but its status changed after the cut-off
+            const since = await store.getMessages({ since: '2024-03-01T10:02:00.000Z' });
+            assert.deepEqual(texts(since.incoming), ['Message msg_in_2']);
+            assert.deepEqual(since.outgoing.map(message => message.status), ['sent']);
+        });
+
+        it('leaves a message alone when the change is refused', async () => {
+            const unchanged = await store.updateOutgoingMessage({ wamid: 'wamid.OUT1' }, message => {
+                message.status = 'failed';
+                return false;
+            });
+
+            assert.equal(unchanged, null);
+            assert.equal((await store.getLastMessage('outgoing', CUSTOMER)).status, 'sent');
+        });
+
+        it('keeps counting after the history was cleared', async () => {
+            const { incoming: received } = await store.getMessages();
+            const lastSeq = received.at(-1).seq;
+            assert.deepEqual(await store.getMessageCounters(), {});
+            await store.clearMessages({ incoming: 3, outgoing: 2 });
+            assert.deepEqual(await store.getMessages(), { incoming: [], outgoing: [] });
+            assert.deepEqual(await store.getMessageCounters(), { incoming: 3, outgoing: 2 });
+
+            const next = await store.addMessage('incoming', incoming('msg_in_1', CUSTOMER, '2024-03-02T09:00:00.000Z'));
+            assert.ok(next.seq > lastSeq);
+        });
+
+        it('stores tickets once and updates them in place', async () => {
+            const added = await store.insertTickets([
+                ticket('TKT-2024-001', CUSTOMER, '2024-03-01T10:00:00.000Z'),
+                ticket('TKT-2024-002', OTHER_CUSTOMER, '2024-03-02T10:00:00.000Z'),
+                ticket('TKT-2024-001', OTHER_CUSTOMER, '2024-03-03T10:00:00.000Z')
+            ]);
+            assert.deepEqual(added.map(t => t.ticketNumber), ['TKT-2024-001', 'TKT-2024-002']);
+
+            assert.equal(await store.updateTicket({ ...added[0], status: 'closed' }), true);
+            assert.equal(await store.updateTicket(ticket('TKT-2024-999', CUSTOMER, '2024-03-01T10:00:00.000Z')), false);
+            assert.equal((await store.getTicket('TKT-2024-001')).status, 'closed');
+            assert.equal(await store.getTicket('TKT-2024-999'), null);
+            assert.deepEqual((await store.getTickets()).map(t => t.ticketNumber), ['TKT-2024-002', 'TKT-2024-001']);
+            assert.deepEqual((await store.getCustomerTickets(OTHER_CUSTOMER)).map(t => t.ticketNumber), ['TKT-2024-002']);
+        });
+
+        it('keeps ticket sequences per prefix and year', async () => {
+            await store.setTicketSequence('TKT', '2024', 2);
+            await store.setTicketSequence('TKT', '2024', 3);
+            await store.setTicketSequence('BUG', '2024', 1);
+
+            assert.equal(await store.getTicketSequence('TKT', '2024'), 3);
+            assert.equal(await store.getTicketSequence('TKT', '2025'), undefined);
+            assert.deepEqual(await store.getTicketSequences(), { TKT: { 2024: 3 }, BUG: { 2024: 1 } });
+        });
+
+        it('saves and deletes sessions, outbox items, agents and conversations', async () => {
+            await store.saveSession({ phone: CUSTOMER, lastActivity: 1, step: 'start' });
+            await store.saveSession({ phone: CUSTOMER, lastActivity: 2, step: 'menu' });
+            await store.saveSession({ phone: OTHER_CUSTOMER, lastActivity: 3, step: 'start' });
+            await store.deleteSession(OTHER_CUSTOMER);
+            assert.deepEqual(await store.getSessions(), [{ phone: CUSTOMER, lastActivity: 2, step: 'menu' }]);
+
+            const item = { id: 'item-1', messageId: 'msg_out_1', to: CUSTOMER, createdAt: '2024-03-01T10:00:00.000Z', state: 'pending' };
+            await store.saveOutboxItem(item);
+            await store.saveOutboxItem({ ...item, state: 'dead' });
+            await store.saveOutboxItem({ ...item, id: 'item-2', createdAt: '2024-03-01T10:01:00.000Z' });
+            await store.deleteOutboxItem('item-2');
+            assert.deepEqual(await store.getOutboxItems(), [{ ...item, state: 'dead' }]);
+
+            await store.saveAgent({ username: 'alice', name: 'Alice' });
+            await store.saveAgent({ username: 'alice', name: 'Alice A.' });
+            await store.saveAgent({ username: 'bob', name: 'Bob' });
+            await store.deleteAgent('bob');
+            assert.deepEqual(await store.getAgents(), [{ username: 'alice', name: 'Alice A.' }]);
+
+            const conversation = { phone: CUSTOMER, lastMessageAt: '2024-03-01T10:00:00.000Z', unreadCount: 1 };
+            await store.saveConversation(conversation);
+            await store.saveConversation({ ...conversation, unreadCount: 0 });
+            assert.deepEqual(await store.getConversations(), [{ ...conversation, unreadCount: 0 }]);
+            await store.clearConversations();
+            assert.deepEqual(await store.getConversations(), []);
+        });
+    });
+}
+
+describe('SqliteStore', { skip: sqliteMissing }, () => {
+    let dataDir;
+    let store;
+
+    before(async () => {
+        dataDir = await createTempDir();
+        store = await openStore('sqlite', dataDir);
+    });
+
+    after(async () => {
+        await store?.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('gives a message stored twice the seq it was first stored with', async () => {
+        const first = await store.addMessage('incoming', incoming('msg_in_1', CUSTOMER, '2024-03-01T10:00:00.000Z'));
+        await store.addMessage('incoming', incoming('msg_in_2', CUSTOMER, '2024-03-01T10:05:00.000Z'));
+        const again = await store.addMessage('incoming', incoming('msg_in_1', CUSTOMER, '2024-03-01T10:00:00.000Z'));
+
+        assert.equal(again.seq, first.seq);
+        const { incoming: received } = await store.getMessages();
+        assert.deepEqual(received.map(message => message.id), ['msg_in_1', 'msg_in_2']);
+    });
+});
+
+describe('SQLite migration', { skip: sqliteMissing }, () => {
+    let dataDir;
+
+    before(async () => {
+        dataDir = await createTempDir();
+    });
+
+    after(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('copies every JSON record into the database', async () => {
+        const source = await openStore('json', dataDir);
+        await source.clearMessages({ incoming: 1, outgoing: 1 });
+        await source.addMessage('incoming', incoming('msg_in_1', CUSTOMER, '2024-03-01T10:00:00.000Z'));
+        await source.addMessage('outgoing', outgoing('msg_out_1', CUSTOMER, '2024-03-01T10:00:00.000Z'));
+        await source.addMessage('incoming', incoming('msg_in_2', OTHER_CUSTOMER, '2024-03-01T10:05:00.000Z'));
+        await source.insertTickets([ticket('TKT-2024-001', CUSTOMER, '2024-03-01T10:01:00.000Z')]);
+        await source.setTicketSequence('TKT', '2024', 1);
+        await source.saveSession({ phone: CUSTOMER, lastActivity: 1, step: 'menu' });
+        await source.saveOutboxItem({ id: 'item-1', messageId: 'msg_out_1', to: CUSTOMER, createdAt: '2024-03-01T10:00:00.000Z', state: 'pending' });
+        await source.saveAgent({ username: 'alice', name: 'Alice' });
+        await source.saveConversation({ phone: CUSTOMER, lastMessageAt: '2024-03-01T10:00:00.000Z', unreadCount: 1 });
+
+        // Running it twice must not duplicate anything
+        const sqlitePath = path.join(dataDir, 'sprout.db');
+        await promisify(execFile)(process.execPath, [MIGRATE_SCRIPT, dataDir, sqlitePath], { cwd: dataDir });
+        await promisify(execFile)(process.execPath, [MIGRATE_SCRIPT, dataDir, sqlitePath], { cwd: dataDir });
+
+        const target = await openStore('sqlite', dataDir);
+        try {
+            assert.deepEqual(await target.getMessages(), await source.getMessages());
+            assert.deepEqual(await target.getMessageCounters(), await source.getMessageCounters());
+            assert.deepEqual(await target.getTickets(), await source.getTickets());
+            assert.deepEqual(await target.getTicketSequences(), await source.getTicketSequences());
+            assert.deepEqual(await target.getSessions(), await source.getSessions());
+            assert.deepEqual(await target.getOutboxItems(), await source.getOutboxItems());
+            assert.deepEqual(await target.getAgents(), await source.getAgents());
+            assert.deepEqual(await target.getConversations(), await source.getConversations());
+        } finally {
+            await target.close();
+            await source.close();
+        }
+    });
+});
+
+describe('JsonFileStore recovery', () => {
+    let dataDir;
+
+    before(async () => {
+        dataDir = await createTempDir();
+    });
+
+    after(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('restores a corrupt conversations file from its snapshot', async () => {
+        const store = await createStore({ backend: 'json', dataDir });
+        await store.saveConversation({ phone: '15550001111', unreadCount: 1 });
+        await store.saveConversation({ phone: '15550002222', unreadCount: 2 });
+        await store.close();
+
+        // A crash left half a file behind
+        const conversationsPath = path.join(dataDir, 'conversations.json');
+        await fs.writeFile(conversationsPath, '{ "conversations": [ { "pho');
+
+        const restarted = await createStore({ backend: 'json', dataDir });
+        assert.deepEqual((await restarted.getConversations()).map(conversation => conversation.phone), ['15550001111']);
+        const files = await fs.readdir(dataDir);
+        assert.ok(files.some(file => file.startsWith('conversations.json.corrupt-')));
+        await restarted.close();
+    });
+});
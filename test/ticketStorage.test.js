@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import TicketStorage from '../services/ticketStorage.js';
+import { createStore } from '../services/storage/index.js';
+import { createTempDir } from './helpers.js';
+
+const CUSTOMER = '15550001111';
+const YEAR = new Date().getFullYear();
+
+describe('TicketStorage numbering', () => {
+    let dataDir;
+    let store;
+    let ticketStorage;
+
+    before(async () => {
+        dataDir = await createTempDir();
+        store = await createStore({ backend: 'json', dataDir });
+        ticketStorage = new TicketStorage({ store });
+    });
+
+    after(async () => {
+        await store.close();
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('never hands out a number a ticket was saved with', async () => {
+        await ticketStorage.createTicket({ issue: 'First', customerPhone: CUSTOMER }, { prefix: 'CLD' });
+        const saved = await ticketStorage.saveTickets([
+            { ticketNumber: `CLD-${YEAR}-00002`, issue: 'Imported', customerPhone: CUSTOMER },
+            { issue: 'Numbered here', customerPhone: CUSTOMER, prefix: 'CLD' }
+        ]);
+        assert.deepEqual(saved.ticketNumbers, [`CLD-${YEAR}-00002`, `CLD-${YEAR}-00003`]);
+
+        const created = await ticketStorage.createTicket({ issue: 'Next', customerPhone: CUSTOMER }, { prefix: 'CLD' });
+        assert.equal(created.ticketNumber, `CLD-${YEAR}-00004`);
+    });
+
+    it('takes the next free number when a stored ticket already has one', async () => {
+        // A sequence that fell behind the stored tickets
+        await store.setTicketSequence('CLD', String(YEAR), 1);
+
+        const created = await ticketStorage.createTicket({ issue: 'After the reset', customerPhone: CUSTOMER }, { prefix: 'CLD' });
+        assert.equal(created.ticketNumber, `CLD-${YEAR}-00005`);
+        assert.equal((await ticketStorage.getTicket(created.ticketNumber)).issue, 'After the reset');
+        assert.equal((await ticketStorage.getAllTickets()).tickets.length, 5);
+    });
+});